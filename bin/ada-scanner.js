@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createScanner, SCANNER_RULES } from '../lib/scanner.js';
+import { createAiAnalyzer } from '../lib/ai.js';
+import { createAiProviderFromEnv } from '../lib/ai-providers.js';
+import { createAiCache } from '../lib/ai-cache.js';
+import { createArtifactStore } from '../lib/artifacts.js';
+import { ScanCancelledError } from '../lib/jobs.js';
+import { resolveScope, isSameSite, normalizeUrl } from '../lib/scope.js';
+import { validateAuthSpec } from '../lib/auth.js';
+import { validateFlows } from '../lib/flows.js';
+import { resolveViewportProfiles } from '../lib/viewports.js';
+import { resolveRuleConfig } from '../lib/standards.js';
+import { resolveCrawlOptions } from '../lib/crawler.js';
+import { resolveKeyboardOptions } from '../lib/keyboard.js';
+import { resolveScreenshotOptions } from '../lib/screenshots.js';
+import { createBaseline, validateBaseline, applyBaseline } from '../lib/baseline.js';
+import { REPORT_FORMATS, renderReport } from '../lib/reports/index.js';
+
+// Command-line scanner for developers and CI: runs the same pipeline as the API against
+// any reachable URL (including local dev servers), writes a report and exits non-zero
+// when the configured thresholds fail.
+
+const EXIT = { passed: 0, thresholds_failed: 1, usage: 2, scan_failed: 3, interrupted: 130 };
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const FORMATS = ['json', ...Object.keys(REPORT_FORMATS)];
+
+const USAGE = `Usage: ada-scanner scan <url> [options]
+
+Scan options:
+  --max-pages <n>         Pages to scan, 1-50 (default: 10)
+  --standard <id>         wcag20a ... wcag22aaa, section508, en301549 (default: wcag22aa)
+  --viewports <list>      Comma-separated viewport profiles (default: desktop)
+  --keyboard              Run the keyboard navigation audit
+  --screenshots <dir>     Capture element and page screenshots into <dir>
+  --config <file>         JSON file with any POST /api/scan fields (crawl, scope, auth,
+                          flows, rules, exclude_selectors, ...). Flags override it
+  --ai-level <level>      basic or advanced AI analysis (default: none). Needs ANTHROPIC_API_KEY,
+                          or AI_PROVIDER=mock for canned offline responses
+
+Output:
+  --format <format>       ${FORMATS.join(', ')} (default: json)
+  --output, -o <file>     Write the report to <file> (default: stdout)
+  --verbose, -v           Log scan progress to stderr
+
+Thresholds (exit code 1 when any fails):
+  --fail-on <impact>      Fail on any violation of this impact or worse (${IMPACTS.join(', ')})
+  --min-score <n>         Fail if the compliance score is below <n>
+  --max-violations <n>    Fail if there are more than <n> violations
+  --baseline <file>       Ignore failing elements listed in this baseline for thresholds
+  --write-baseline <file> Save every failing element found as a new baseline
+
+Exit codes: 0 passed, 1 thresholds failed, 2 usage error, 3 scan failed, 130 interrupted`;
+
+class UsageError extends Error {}
+
+function say(line) {
+  process.stderr.write(`${line}\n`);
+}
+
+function readJsonFile(file, what) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`could not read ${what} ${file}: ${error.message}`);
+  }
+}
+
+function integerOption(value, name, min, max) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(`--${name} must be an integer from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Parse and validate the command line into scan params and CLI settings. Throws UsageError.
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'max-pages': { type: 'string' },
+        standard: { type: 'string' },
+        viewports: { type: 'string' },
+        keyboard: { type: 'boolean' },
+        screenshots: { type: 'string' },
+        config: { type: 'string' },
+        'ai-level': { type: 'string' },
+        format: { type: 'string', default: 'json' },
+        output: { type: 'string', short: 'o' },
+        verbose: { type: 'boolean', short: 'v' },
+        'fail-on': { type: 'string' },
+        'min-score': { type: 'string' },
+        'max-violations': { type: 'string' },
+        baseline: { type: 'string' },
+        'write-baseline': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, url, ...extra] = positionals;
+  if (command !== 'scan') throw new UsageError(command ? `unknown command "${command}"` : 'missing command');
+  if (!url) throw new UsageError('missing <url>');
+  if (extra.length > 0) throw new UsageError(`unexpected argument "${extra[0]}"`);
+
+  let websiteUrl;
+  try {
+    websiteUrl = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).toString();
+  } catch {
+    throw new UsageError(`invalid URL "${url}"`);
+  }
+
+  const format = values.format.toLowerCase();
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+  if (values['fail-on'] && !IMPACTS.includes(values['fail-on'])) {
+    throw new UsageError(`--fail-on must be one of: ${IMPACTS.join(', ')}`);
+  }
+  const aiLevel = values['ai-level'] || 'none';
+  if (!['none', 'basic', 'advanced'].includes(aiLevel)) {
+    throw new UsageError('--ai-level must be one of: none, basic, advanced');
+  }
+  let aiProvider = null;
+  if (aiLevel !== 'none') {
+    try {
+      aiProvider = createAiProviderFromEnv();
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    if (!aiProvider) {
+      throw new UsageError('--ai-level needs the ANTHROPIC_API_KEY environment variable (or AI_PROVIDER=mock)');
+    }
+  }
+
+  const config = values.config ? readJsonFile(values.config, 'config') : {};
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new UsageError('the config file must hold a JSON object');
+  }
+
+  const params = {
+    ...config,
+    // An http start URL (a local dev server) is scanned as given, not upgraded to https
+    ...(websiteUrl.startsWith('http:') && { scope: { force_https: false, ...config.scope } }),
+    website_url: websiteUrl,
+    scan_id: `SCAN_CLI_${Date.now()}`,
+    customer_id: null,
+    max_pages: integerOption(values['max-pages'], 'max-pages', 1, 50) ?? config.max_pages ?? 10,
+    ai_level: aiLevel,
+    ...(values.standard && { standard: values.standard }),
+    ...(values.viewports && { viewports: values.viewports.split(',').map(name => name.trim()).filter(Boolean) }),
+    ...(values.keyboard && { keyboard_audit: config.keyboard_audit || true }),
+    ...(values.screenshots && { screenshots: config.screenshots || true })
+  };
+
+  // Same checks as POST /api/scan, so a bad option fails before the browser starts
+  try {
+    const scope = resolveScope(params.scope, websiteUrl);
+    // The crawl starts from the normalized URL, so it must stay on the origin that was asked for
+    const startOrigin = new URL(normalizeUrl(websiteUrl, scope)).origin;
+    if (startOrigin !== new URL(websiteUrl).origin) {
+      throw new Error(`the start URL normalizes to ${startOrigin}, a different origin (check scope.force_https)`);
+    }
+    validateAuthSpec(params.auth);
+    validateFlows(params.flows, flowUrl => isSameSite(flowUrl, scope));
+    resolveViewportProfiles(params.viewports);
+    resolveRuleConfig(params, { scannerRules: SCANNER_RULES });
+    resolveCrawlOptions(params.crawl);
+    resolveKeyboardOptions(params.keyboard_audit);
+    resolveScreenshotOptions(params.screenshots);
+  } catch (error) {
+    throw new UsageError(`invalid scan options: ${error.message}`);
+  }
+
+  const baseline = values.baseline ? readJsonFile(values.baseline, 'baseline') : null;
+  if (baseline) {
+    try {
+      validateBaseline(baseline);
+    } catch (error) {
+      throw new UsageError(`${values.baseline}: ${error.message}`);
+    }
+  }
+
+  return {
+    params,
+    aiProvider,
+    format,
+    output: values.output || null,
+    verbose: values.verbose === true,
+    screenshotsDir: values.screenshots ? path.resolve(values.screenshots) : null,
+    baseline,
+    baselineFile: values.baseline || null,
+    writeBaselineFile: values['write-baseline'] || null,
+    thresholds: {
+      fail_on: values['fail-on'] || null,
+      min_score: integerOption(values['min-score'], 'min-score', 0, 100) ?? null,
+      max_violations: integerOption(values['max-violations'], 'max-violations', 0, Number.MAX_SAFE_INTEGER) ?? null
+    }
+  };
+}
+
+// Failure messages for every threshold the result misses. Baselined violations don't count.
+function checkThresholds(result, thresholds) {
+  const failures = [];
+  const counted = result.violations.filter(v => !v.baselined);
+
+  if (thresholds.fail_on) {
+    const worst = IMPACTS.indexOf(thresholds.fail_on);
+    const failing = counted.filter(v => {
+      const rank = IMPACTS.indexOf(v.impact);
+      return rank !== -1 && rank <= worst;
+    });
+    if (failing.length > 0) {
+      failures.push(`${failing.length} violation${failing.length === 1 ? '' : 's'} of impact ${thresholds.fail_on} or worse`);
+    }
+  }
+  if (thresholds.min_score !== null && result.complianceScore < thresholds.min_score) {
+    failures.push(`score ${result.complianceScore} is below ${thresholds.min_score}`);
+  }
+  if (thresholds.max_violations !== null && counted.length > thresholds.max_violations) {
+    failures.push(`${counted.length} violations, more than the ${thresholds.max_violations} allowed`);
+  }
+  return failures;
+}
+
+async function writeOutput(result, { format, output }) {
+  const body = format === 'json'
+    ? `${JSON.stringify(result, null, 2)}\n`
+    : (await renderReport(result, format)).body;
+  if (output) {
+    writeFileSync(output, body);
+    say(`Report written to ${output}`);
+  } else {
+    process.stdout.write(body);
+  }
+}
+
+async function main(argv) {
+  let cli;
+  try {
+    cli = parseCommandLine(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    say(`ada-scanner: ${error.message}\n\n${USAGE}`);
+    return EXIT.usage;
+  }
+  if (cli.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT.passed;
+  }
+
+  // The scanner logs as it goes; keep stdout for the report
+  if (cli.verbose) {
+    console.log = (...args) => console.error(...args);
+  } else {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const scanner = createScanner({
+    ai: cli.aiProvider
+      ? createAiAnalyzer({
+        provider: cli.aiProvider,
+        cache: process.env.AI_CACHE_DIR ? createAiCache({ dir: process.env.AI_CACHE_DIR }) : null
+      })
+      : null,
+    artifactStore: cli.screenshotsDir
+      ? createArtifactStore({
+        dir: cli.screenshotsDir,
+        urlFor: (scanId, name) => path.join(cli.screenshotsDir, scanId, name)
+      })
+      : null
+  });
+
+  // Ctrl+C stops the scan and closes the browser; a second one exits at once
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    say('Stopping scan...');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(EXIT.interrupted));
+  });
+
+  say(`Scanning ${cli.params.website_url} (up to ${cli.params.max_pages} pages)...`);
+  let result;
+  try {
+    result = await scanner.runScan(cli.params, {
+      signal: controller.signal,
+      reportProgress: (progress) => {
+        if (cli.verbose) console.error(`[PROGRESS] ${JSON.stringify(progress)}`);
+      }
+    });
+  } catch (error) {
+    if (error instanceof ScanCancelledError) {
+      say('Scan interrupted');
+      return EXIT.interrupted;
+    }
+    say(`Scan failed: ${error.message}`);
+    return EXIT.scan_failed;
+  }
+
+  if (!result.success) {
+    say(`Scan failed: ${result.error}. ${result.error_details || ''}`.trim());
+    if (cli.format === 'json') await writeOutput(result, cli);
+    return EXIT.scan_failed;
+  }
+
+  if (cli.writeBaselineFile) {
+    const baseline = createBaseline(result);
+    writeFileSync(cli.writeBaselineFile, `${JSON.stringify(baseline, null, 2)}\n`);
+    say(`Baseline of ${baseline.issues.length} failing elements written to ${cli.writeBaselineFile}`);
+  }
+
+  const baselineCounts = cli.baseline ? applyBaseline(result, cli.baseline) : null;
+  const failures = checkThresholds(result, cli.thresholds);
+  result.ci = {
+    thresholds: cli.thresholds,
+    passed: failures.length === 0,
+    failures,
+    baseline: baselineCounts && { file: cli.baselineFile, ...baselineCounts }
+  };
+
+  try {
+    await writeOutput(result, cli);
+  } catch (error) {
+    say(`Could not write the ${cli.format} report: ${error.message}`);
+    return EXIT.scan_failed;
+  }
+
+  say(`${result.pages_scanned} pages scanned, ${result.total_violations} violations ` +
+    `(${result.critical_count} critical, ${result.serious_count} serious, ${result.moderate_count} moderate, ${result.minor_count} minor), ` +
+    `score ${result.complianceScore}`);
+  if (baselineCounts) {
+    say(`${baselineCounts.baselined_violations} violations fully covered by the baseline`);
+  }
+  failures.forEach(failure => say(`FAILED: ${failure}`));
+  return failures.length > 0 ? EXIT.thresholds_failed : EXIT.passed;
+}
+
+// exitCode rather than exit() so a report piped to stdout is flushed first
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  error => {
+    say(`ada-scanner: ${error.stack || error.message}`);
+    process.exitCode = EXIT.scan_failed;
+  }
+);
@@ -0,0 +1,48 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJson, writeJson } from './storage.js';
+import { normalizeHtml } from './history.js';
+
+// Content-addressed cache of AI responses on disk, so the same rule failing on the same
+// markup (a site-wide header, a shared component) is explained once rather than on every
+// scan. Entries live at `<dir>/<first 2 hex chars>/<key>.json` and expire after `ttlMs`.
+
+// Stable key for `parts` (e.g. model, prompt version, rule id, markup hash)
+export function cacheKey(...parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Markup hash that ignores whitespace differences and per-request tokens
+export function htmlHash(html) {
+  return createHash('sha256').update(normalizeHtml(html)).digest('hex');
+}
+
+export function createAiCache({ dir, ttlMs = 30 * 24 * 60 * 60 * 1000 }) {
+  function entryFile(key) {
+    return path.join(dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  // Cached value, or null if missing or expired. Read errors count as a miss.
+  async function get(key) {
+    const entry = await readJson(entryFile(key), null).catch(() => null);
+    if (!entry) return null;
+    if (Date.parse(entry.expires_at) <= Date.now()) {
+      await fs.unlink(entryFile(key)).catch(() => {});
+      return null;
+    }
+    return entry.value;
+  }
+
+  async function set(key, value) {
+    const now = Date.now();
+    await writeJson(entryFile(key), {
+      key,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + ttlMs).toISOString(),
+      value
+    });
+  }
+
+  return { get, set };
+}
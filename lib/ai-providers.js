@@ -0,0 +1,184 @@
+import { readFileSync } from 'fs';
+import Anthropic from '@anthropic-ai/sdk';
+
+// AI providers: the model behind violation explanations and the AI page review.
+// A provider is `{ name, model, pricing, complete({ purpose, content, maxTokens }) }`;
+// complete() resolves with `{ text, usage: { input_tokens, output_tokens } }`.
+// `purpose` is "violation_explanation", "fix_revision" (a second try at a suggested fix that
+// failed verification, see lib/fix-verification.js) or "page_analysis"; `content` is a prompt string or
+// Anthropic-style content blocks (text and base64 images).
+
+export const AI_PURPOSES = ['violation_explanation', 'fix_revision', 'page_analysis'];
+
+const DEFAULT_MODEL = 'claude-haiku-4-5-20251001';
+const DEFAULT_MAX_TOKENS = { violation_explanation: 1024, fix_revision: 1024, page_analysis: 2048 };
+
+// USD per million tokens
+const MODEL_PRICING = {
+  'claude-haiku-4-5-20251001': { input_per_mtok: 1, output_per_mtok: 5 },
+  'claude-sonnet-4-5-20250929': { input_per_mtok: 3, output_per_mtok: 15 }
+};
+
+// Estimated cost in USD of `usage` at `pricing`, or null if the model's price is unknown
+export function estimateCost(usage, pricing) {
+  if (!pricing) return null;
+  const cost = (usage.input_tokens * pricing.input_per_mtok + usage.output_tokens * pricing.output_per_mtok) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Claude via the Anthropic API. Rate limit (429) and overloaded (529) responses are retried
+// `maxRetries` times with exponential backoff from `retryDelayMs`, or after `retry-after`.
+export function createAnthropicProvider({
+  apiKey,
+  model = DEFAULT_MODEL,
+  maxTokens = {},
+  maxRetries = 3,
+  retryDelayMs = 1000,
+  retryStatuses = [429, 529],
+  pricing = MODEL_PRICING[model] || null,
+  client = new Anthropic({ apiKey, maxRetries: 0 })
+}) {
+  const limits = { ...DEFAULT_MAX_TOKENS, ...maxTokens };
+
+  function retryDelay(error, attempt) {
+    const retryAfter = Number(error.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, 60000);
+    return retryDelayMs * 2 ** attempt;
+  }
+
+  async function complete({ purpose, content, maxTokens: requestedMaxTokens }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const message = await client.messages.create({
+          model,
+          max_tokens: requestedMaxTokens || limits[purpose],
+          temperature: 0,
+          messages: [{ role: 'user', content }]
+        });
+        return {
+          text: message.content.find(block => block.type === 'text')?.text || '',
+          usage: {
+            input_tokens: message.usage?.input_tokens || 0,
+            output_tokens: message.usage?.output_tokens || 0
+          }
+        };
+      } catch (error) {
+        if (!retryStatuses.includes(error.status) || attempt >= maxRetries) throw error;
+        const delayMs = retryDelay(error, attempt);
+        console.log(`[AI] ${purpose}: HTTP ${error.status}, retrying in ${delayMs}ms (${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  return { name: 'anthropic', model, pricing, complete };
+}
+
+const MOCK_FIXTURES = {
+  violation_explanation: {
+    default: {
+      explanation: 'Mock explanation of the {rule_id} violation.',
+      impact_on_users: 'Mock description of how this affects people with disabilities.',
+      fix_steps: '1. Mock first step\n2. Mock second step',
+      code_before: '{html_snippet}',
+      code_after: '{html_snippet}',
+      estimated_time: '15 minutes'
+    }
+  },
+  page_analysis: {
+    summary: 'Mock page analysis.',
+    visual_issues: [],
+    content_issues: [],
+    priority_fixes: [{ rank: 1, issue: 'Mock priority fix', impact: 'moderate', fix: 'Mock fix', time: '1 hour' }]
+  }
+};
+
+// Offline provider for tests and runs without an API key. Responses are fixtures, so the
+// same input always gives the same output: `violation_explanation` fixtures are keyed by
+// rule id (with a `default`) and also answer fix revisions, and {rule_id} / {html_snippet}
+// in them are filled in from the prompt. Token counts are estimated at 4 characters per
+// token; cost is zero.
+export function createMockProvider({ fixtures = {} } = {}) {
+  const explanations = { ...MOCK_FIXTURES.violation_explanation, ...fixtures.violation_explanation };
+  const pageAnalysis = fixtures.page_analysis || MOCK_FIXTURES.page_analysis;
+
+  function promptText(content) {
+    return typeof content === 'string'
+      ? content
+      : content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+  }
+
+  async function complete({ purpose, content }) {
+    const prompt = promptText(content);
+    let response;
+    if (purpose === 'violation_explanation' || purpose === 'fix_revision') {
+      const ruleId = /^Rule: (.*)$/m.exec(prompt)?.[1] || 'unknown';
+      const html = /^Affected element: (.*)$/m.exec(prompt)?.[1] || '';
+      const fixture = explanations[ruleId] || explanations.default;
+      response = JSON.parse(JSON.stringify(fixture), (key, value) => (typeof value === 'string'
+        ? value.replace('{rule_id}', () => ruleId).replace('{html_snippet}', () => html)
+        : value));
+    } else {
+      response = pageAnalysis;
+    }
+
+    const text = JSON.stringify(response);
+    return {
+      text,
+      usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(text.length / 4) }
+    };
+  }
+
+  return { name: 'mock', model: 'mock', pricing: { input_per_mtok: 0, output_per_mtok: 0 }, complete };
+}
+
+// The provider configured by environment variables (see README "AI Providers"), or null
+// when AI isn't available (the Anthropic provider without an API key)
+export function createAiProviderFromEnv(env = process.env) {
+  const name = env.AI_PROVIDER || 'anthropic';
+  if (name === 'mock') {
+    let fixtures = {};
+    if (env.AI_MOCK_FIXTURES) {
+      try {
+        fixtures = JSON.parse(readFileSync(env.AI_MOCK_FIXTURES, 'utf8'));
+      } catch (error) {
+        throw new Error(`AI_MOCK_FIXTURES: could not load ${env.AI_MOCK_FIXTURES} (${error.message})`);
+      }
+    }
+    return createMockProvider({ fixtures });
+  }
+  if (name !== 'anthropic') {
+    throw new Error(`unknown AI_PROVIDER "${name}" (available: anthropic, mock)`);
+  }
+  if (!env.ANTHROPIC_API_KEY) return null;
+
+  // Unset variables give undefined; anything but a number >= `min` (and an integer for
+  // counts) is a configuration error
+  const number = (name, { integer = false, min = 0 } = {}) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return undefined;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+      throw new Error(`${name} must be ${integer ? 'an integer' : 'a number'} of at least ${min} (got "${raw}")`);
+    }
+    return value;
+  };
+  const model = env.AI_MODEL || DEFAULT_MODEL;
+  const inputPrice = number('AI_PRICE_INPUT_PER_MTOK');
+  const outputPrice = number('AI_PRICE_OUTPUT_PER_MTOK');
+  const explanationTokens = number('AI_MAX_TOKENS_EXPLANATION', { integer: true, min: 1 });
+  const pageAnalysisTokens = number('AI_MAX_TOKENS_PAGE_ANALYSIS', { integer: true, min: 1 });
+  const maxRetries = number('AI_MAX_RETRIES', { integer: true });
+  return createAnthropicProvider({
+    apiKey: env.ANTHROPIC_API_KEY,
+    model,
+    maxTokens: {
+      ...(explanationTokens && { violation_explanation: explanationTokens, fix_revision: explanationTokens }),
+      ...(pageAnalysisTokens && { page_analysis: pageAnalysisTokens })
+    },
+    maxRetries: maxRetries ?? 3,
+    pricing: inputPrice !== undefined && outputPrice !== undefined
+      ? { input_per_mtok: inputPrice, output_per_mtok: outputPrice }
+      : MODEL_PRICING[model] || null
+  });
+}
@@ -0,0 +1,171 @@
+import { getCriterion } from './wcag.js';
+
+// Schemas for the JSON the model returns, and a small validator for them. A schema is one of
+//
+//   { type: 'string', minLength }      { type: 'integer', minimum }
+//   { type: 'string', enum: [...] }    { type: 'string', format: 'wcag_criterion' }
+//   { type: 'array', items, maxItems } { type: 'object', properties: { ... } }
+//
+// Every property of an object schema is required unless listed in `optional`; properties the
+// schema doesn't know are dropped from the validated value.
+
+const MAX_ERRORS = 20;
+
+const text = { type: 'string', minLength: 1 };
+const wcag = { type: 'string', format: 'wcag_criterion' };
+
+export const VISUAL_ISSUE_TYPES = ['touch_target', 'focus_indicator', 'text_in_image', 'layout'];
+// Reading level and link text are checked locally (lib/content.js), not by the model
+export const CONTENT_ISSUE_TYPES = ['placeholder', 'error_messages', 'sensory'];
+export const FIX_IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+export const EXPLANATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    explanation: text,
+    impact_on_users: text,
+    fix_steps: text,
+    code_before: { type: 'string' },
+    code_after: { type: 'string' },
+    estimated_time: text
+  }
+};
+
+export const PAGE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: text,
+    visual_issues: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        properties: { type: { type: 'string', enum: VISUAL_ISSUE_TYPES }, description: text, wcag, fix: text }
+      }
+    },
+    content_issues: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: CONTENT_ISSUE_TYPES },
+          examples: { type: 'array', maxItems: 20, items: text },
+          wcag,
+          fix: text
+        }
+      }
+    },
+    priority_fixes: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          rank: { type: 'integer', minimum: 1 },
+          issue: text,
+          impact: { type: 'string', enum: FIX_IMPACTS },
+          fix: text,
+          time: text
+        }
+      }
+    }
+  }
+};
+
+// A WCAG reference is a success criterion number, optionally prefixed with "WCAG" and
+// followed by its name: "1.4.3", "WCAG 2.5.8", "1.1.1 Non-text Content"
+const WCAG_REFERENCE = /^(?:WCAG\s+)?([1-4]\.\d{1,2}\.\d{1,2})(?:\s.*)?$/;
+
+function checkFormat(value, format) {
+  if (format === 'wcag_criterion') {
+    const id = WCAG_REFERENCE.exec(value.trim())?.[1];
+    if (!id) return 'must be a WCAG success criterion number such as "1.4.3"';
+    if (!getCriterion(id)) return `refers to unknown WCAG success criterion ${id}`;
+  }
+  return null;
+}
+
+function check(value, schema, label, errors) {
+  if (errors.length >= MAX_ERRORS) return undefined;
+  const name = label || 'response';
+
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') {
+      errors.push(`${name} must be a string`);
+      return undefined;
+    }
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${name} must not be empty`);
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+    } else if (schema.format) {
+      const formatError = checkFormat(value, schema.format);
+      if (formatError) errors.push(`${name} ${formatError}`);
+    }
+    return value;
+  }
+
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      errors.push(`${name} must be an integer`);
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}`);
+    }
+    return value;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${name} must be an array`);
+      return undefined;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} items`);
+    }
+    return value.map((item, index) => check(item, schema.items, `${label}[${index}]`, errors));
+  }
+
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${name} must be an object`);
+    return undefined;
+  }
+  const result = {};
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    const propertyLabel = label ? `${label}.${key}` : key;
+    if (value[key] === undefined || value[key] === null) {
+      if (!schema.optional?.includes(key)) errors.push(`${propertyLabel} is required`);
+      continue;
+    }
+    result[key] = check(value[key], propertySchema, propertyLabel, errors);
+  }
+  return result;
+}
+
+// Validate `value` against `schema`: `{ value, errors }`, where `value` keeps only the
+// properties the schema knows and `errors` is empty when it's valid
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  const validated = check(value, schema, '', errors);
+  return { value: validated, errors };
+}
+
+// Parse a model response that should be a single JSON object, allowing only a surrounding
+// markdown code fence. Prose before or after the JSON is an error, reported for repair.
+export function parseModelJson(responseText) {
+  let jsonText = String(responseText || '').trim();
+  const fence = /^```(?:json)?\s*\n([\s\S]*?)\n?```$/.exec(jsonText);
+  if (fence) jsonText = fence[1];
+  try {
+    return { value: JSON.parse(jsonText), error: null };
+  } catch (error) {
+    return { value: null, error: `response is not valid JSON (${error.message})` };
+  }
+}
+
+// Parse and validate a model response: `{ value, errors }` as for validateAgainstSchema
+export function validateModelResponse(responseText, schema) {
+  const parsed = parseModelJson(responseText);
+  if (parsed.error) return { value: null, errors: [parsed.error] };
+  return validateAgainstSchema(parsed.value, schema);
+}
@@ -0,0 +1,514 @@
+import { cacheKey, htmlHash } from './ai-cache.js';
+import { AI_PURPOSES, estimateCost } from './ai-providers.js';
+import { EXPLANATION_SCHEMA, PAGE_ANALYSIS_SCHEMA, validateModelResponse } from './ai-schemas.js';
+
+// AI analysis: plain-English explanations of violations and a review of important pages
+// for issues automated testing can't detect. The model comes from a provider (see
+// lib/ai-providers.js).
+
+// AI Prompts - Concise but complete versions. The JSON formats are shared with the repair
+// prompt; responses are validated against the schemas in lib/ai-schemas.js.
+const EXPLANATION_FORMAT = `{
+  "explanation": "What this means in plain English",
+  "impact_on_users": "How this affects people with disabilities",
+  "fix_steps": "Numbered steps to fix this specific element, as one string",
+  "code_before": "Current problematic code",
+  "code_after": "Corrected code",
+  "estimated_time": "realistic time estimate"
+}`;
+
+const PAGE_ANALYSIS_FORMAT = `{
+  "summary": "1-2 sentence overview",
+  "visual_issues": [{"type": "touch_target|focus_indicator|text_in_image|layout", "description": "specific issue with location", "wcag": "success criterion number, e.g. 2.5.8", "fix": "code example"}],
+  "content_issues": [{"type": "placeholder|error_messages|sensory", "examples": ["exact quotes"], "wcag": "success criterion number, e.g. 3.3.2", "fix": "before/after"}],
+  "priority_fixes": [{"rank": 1, "issue": "brief", "impact": "critical|serious|moderate|minor", "fix": "specific solution", "time": "estimate"}]
+}`;
+
+const VIOLATION_EXPLANATION_PROMPT = `Explain this accessibility violation to a non-technical website owner:
+
+Rule: {rule_id}
+Impact: {impact}
+Description: {description}
+Affected element: {html_snippet}
+Selector: {target}
+Why it fails: {failure_summary}
+
+Return JSON only:
+${EXPLANATION_FORMAT}
+
+Be specific to THIS element. Include actual values (colors, sizes, text) from the HTML provided.
+code_after must be the complete corrected HTML of the element (no CSS rules or scripts): it is applied to the page and re-tested.`;
+
+// Bump when the explanation prompt changes, so cached explanations from the old one aren't reused
+const EXPLANATION_PROMPT_VERSION = 3;
+
+// Second try at a suggested fix that was applied to the page and still failed the rule
+const FIX_REVISION_PROMPT = `Your suggested fix for this accessibility violation was applied to the page and re-tested with axe-core. It does not pass.
+
+Rule: {rule_id}
+Description: {description}
+Affected element: {html_snippet}
+Your code_after: {code_after}
+Verification result: {verification}
+What still fails: {failures}
+
+Return JSON only:
+${EXPLANATION_FORMAT}
+
+code_after must be the complete corrected HTML of the element (no CSS rules or scripts) and must pass the rule.`;
+
+const PAGE_ANALYSIS_PROMPT = `Analyze this screenshot and structured data for accessibility issues that automated tools cannot detect.
+
+Automated testing already checked: links, images, contrast, forms, ARIA, headings, landmarks, keyboard access, page structure.
+
+Reading level, page language, link text, page titles and heading structure are checked locally. Do not report them.
+
+You must check ONLY:
+1. Visual (screenshot): Touch targets <44px, focus indicators, text-in-images, layout issues
+2. Content (data): placeholder-only labels, unclear error messages, sensory-dependent instructions
+
+Use provided data: formElements.hasPlaceholderOnly, errorElements, sensoryInstructions, textContent (for context).
+
+Return JSON only:
+${PAGE_ANALYSIS_FORMAT}
+
+Be specific. Use exact locations and values from the data.`;
+
+const REPAIR_PROMPT = `Your previous response did not match the required JSON format.
+
+Problems found:
+{errors}
+
+Previous response:
+{response}
+
+Required format:
+{format}
+
+Return the corrected JSON only. Keep the content of the previous response wherever it was valid; fix only what the problems above describe.`;
+
+const MAX_REPAIR_RESPONSE_CHARS = 8000;
+
+// Per-scan AI usage: requests (of which `repairs` re-prompted an invalid response), cache
+// hits, tokens and estimated cost, per purpose and in total
+export function createAiUsageMeter(provider) {
+  const emptyCounts = () => ({ requests: 0, repairs: 0, cache_hits: 0, input_tokens: 0, output_tokens: 0 });
+  const byPurpose = Object.fromEntries(AI_PURPOSES.map(purpose => [purpose, emptyCounts()]));
+
+  function record(purpose, usage, { repair = false } = {}) {
+    const counts = byPurpose[purpose];
+    counts.requests++;
+    if (repair) counts.repairs++;
+    counts.input_tokens += usage?.input_tokens || 0;
+    counts.output_tokens += usage?.output_tokens || 0;
+  }
+
+  function recordCacheHit(purpose) {
+    byPurpose[purpose].cache_hits++;
+  }
+
+  function summary() {
+    const totals = emptyCounts();
+    for (const counts of Object.values(byPurpose)) {
+      for (const field of Object.keys(totals)) totals[field] += counts[field];
+    }
+    return {
+      provider: provider.name,
+      model: provider.model,
+      ...totals,
+      estimated_cost_usd: estimateCost(totals, provider.pricing),
+      by_purpose: Object.fromEntries(Object.entries(byPurpose).map(([purpose, counts]) => [
+        purpose,
+        { ...counts, estimated_cost_usd: estimateCost(counts, provider.pricing) }
+      ]))
+    };
+  }
+
+  return { record, recordCacheHit, summary };
+}
+
+// `provider` is an AI provider; `cache` (optional, see lib/ai-cache.js) keeps explanations
+// by rule and markup across scans. Each scan passes its own usage meter from createMeter().
+// Responses that fail schema validation are sent back to the model with the problems up to
+// `maxRepairs` times.
+export function createAiAnalyzer({ provider, cache = null, maxRepairs = 1 }) {
+  // Ask the model for JSON matching `schema`. Resolves with `{ value, status, errors }`:
+  // status "validated" (valid first time), "repaired" (valid after a repair prompt) or
+  // "unavailable" (value null; `errors` are the last response's problems).
+  async function completeValidated({ purpose, content, schema, format, meter }) {
+    let response = await provider.complete({ purpose, content });
+    meter?.record(purpose, response.usage);
+    let result = validateModelResponse(response.text, schema);
+
+    for (let repair = 1; result.errors.length > 0 && repair <= maxRepairs; repair++) {
+      console.log(`[AI] ${purpose}: invalid response (${result.errors.length} problem${result.errors.length !== 1 ? 's' : ''}), repair ${repair}/${maxRepairs}`);
+      const repairPrompt = REPAIR_PROMPT
+        .replace('{errors}', () => result.errors.map(error => `- ${error}`).join('\n'))
+        .replace('{response}', () => response.text.slice(0, MAX_REPAIR_RESPONSE_CHARS))
+        .replace('{format}', () => format);
+      response = await provider.complete({ purpose, content: repairPrompt });
+      meter?.record(purpose, response.usage, { repair: true });
+      result = validateModelResponse(response.text, schema);
+      if (result.errors.length === 0) return { value: result.value, status: 'repaired', errors: [] };
+    }
+
+    if (result.errors.length > 0) return { value: null, status: 'unavailable', errors: result.errors };
+    return { value: result.value, status: 'validated', errors: [] };
+  }
+
+  // `ai_explanation_status` says whether the explanation can be relied on; `ai_explanation_errors`
+  // says why there is none
+  function withExplanation(violation, { explanation = null, status = 'unavailable', errors = [] } = {}) {
+    return {
+      ...violation,
+      ai_explanation: explanation,
+      ai_explanation_status: status,
+      ...(status === 'unavailable' && { ai_explanation_errors: errors })
+    };
+  }
+
+  // Explanations are cached by rule and the markup of the violation's first element
+  function explanationKey(violation) {
+    if (!cache) return null;
+    const html = violation.nodes?.[0]?.html || violation.element_selector;
+    return cacheKey(provider.model, EXPLANATION_PROMPT_VERSION, violation.rule_id, htmlHash(html));
+  }
+
+  // Function to explain violations using AI
+  async function explainViolations(violations, meter = null) {
+    if (!violations || violations.length === 0) return [];
+
+    try {
+      // Group violations by rule_id to reduce API calls
+      const violationsByRule = {};
+      violations.forEach(v => {
+        if (!violationsByRule[v.rule_id]) {
+          violationsByRule[v.rule_id] = [];
+        }
+        violationsByRule[v.rule_id].push(v);
+      });
+
+      console.log(`[AI EXPLAIN] Processing ${Object.keys(violationsByRule).length} violation types`);
+
+      // Process each violation type with AI
+      const explanationPromises = Object.entries(violationsByRule).map(async ([ruleId, ruleViolations]) => {
+        try {
+          const firstViolation = ruleViolations[0];
+          const firstNode = firstViolation.nodes?.[0];
+
+          // Build prompt with specific violation data (function replacers so `$` in HTML is kept literally)
+          const prompt = VIOLATION_EXPLANATION_PROMPT
+            .replace('{rule_id}', () => firstViolation.rule_id)
+            .replace('{impact}', () => firstViolation.impact)
+            .replace('{description}', () => firstViolation.description)
+            .replace('{html_snippet}', () => firstNode?.html || 'Element at selector: ' + firstViolation.element_selector)
+            .replace('{target}', () => firstViolation.element_selector)
+            .replace('{failure_summary}', () => firstNode?.failure_summary || 'Not provided');
+
+          // The same rule failing on the same markup gets the same explanation
+          const key = explanationKey(firstViolation);
+          const cached = key ? await cache.get(key) : null;
+          if (cached) {
+            meter?.recordCacheHit('violation_explanation');
+            return { ruleId, explanation: cached.explanation, status: cached.status, errors: [] };
+          }
+
+          const { value: explanation, status, errors } = await completeValidated({
+            purpose: 'violation_explanation',
+            content: prompt,
+            schema: EXPLANATION_SCHEMA,
+            format: EXPLANATION_FORMAT,
+            meter
+          });
+
+          if (explanation && key) {
+            await cache.set(key, { explanation, status }).catch(error => {
+              console.error(`[AI EXPLAIN] Could not cache ${ruleId}:`, error.message);
+            });
+          }
+          if (!explanation) {
+            console.error(`[AI EXPLAIN] No valid explanation for ${ruleId}:`, errors.join('; '));
+          }
+          return { ruleId, explanation, status, errors };
+        } catch (error) {
+          console.error(`[AI EXPLAIN] Error explaining ${ruleId}:`, error.message);
+          return { ruleId, explanation: null, status: 'unavailable', errors: [`request failed: ${error.message}`] };
+        }
+      });
+
+      // Wait for all explanations with staggered delays to avoid rate limits
+      const explanations = [];
+      for (let i = 0; i < explanationPromises.length; i++) {
+        if (i > 0) {
+          // Add 500ms delay between API calls to respect rate limits
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        explanations.push(await explanationPromises[i]);
+      }
+
+      // Map explanations back to violations
+      const explanationMap = {};
+      explanations.forEach(entry => {
+        explanationMap[entry.ruleId] = entry;
+      });
+
+      // Add explanations to each violation
+      return violations.map(v => withExplanation(v, explanationMap[v.rule_id]));
+
+    } catch (error) {
+      console.error('[AI EXPLAIN] Fatal error:', error);
+      // Return original violations without explanations
+      return violations.map(v => withExplanation(v, { errors: [`explanations failed: ${error.message}`] }));
+    }
+  }
+
+  // Ask again for a fix to `violation` after `explanation`'s code_after failed verification.
+  // `verification` is the failed check (see lib/fix-verification.js). Resolves like
+  // explainViolations' entries: `{ explanation, status, errors }`.
+  async function reviseFix(violation, explanation, verification, meter = null) {
+    try {
+      const prompt = FIX_REVISION_PROMPT
+        .replace('{rule_id}', () => violation.rule_id)
+        .replace('{description}', () => violation.description)
+        .replace('{html_snippet}', () => violation.nodes?.[0]?.html || 'Element at selector: ' + violation.element_selector)
+        .replace('{code_after}', () => explanation.code_after)
+        .replace('{verification}', () => verification.status === 'partial' ? 'partially fixes the violation' : 'does not fix the violation')
+        .replace('{failures}', () => (verification.remaining_failures || []).join('; ') || 'The rule still reports the element for review');
+
+      const { value, status, errors } = await completeValidated({
+        purpose: 'fix_revision',
+        content: prompt,
+        schema: EXPLANATION_SCHEMA,
+        format: EXPLANATION_FORMAT,
+        meter
+      });
+      return { explanation: value, status, errors };
+    } catch (error) {
+      console.error(`[AI FIX] Error revising ${violation.rule_id}:`, error.message);
+      return { explanation: null, status: 'unavailable', errors: [`request failed: ${error.message}`] };
+    }
+  }
+
+  // Replace the cached explanation for `violation`'s rule and markup, e.g. with a revised
+  // fix that verified where the first one didn't
+  async function rememberExplanation(violation, { explanation, status }) {
+    const key = explanationKey(violation);
+    if (!key) return;
+    await cache.set(key, { explanation, status }).catch(error => {
+      console.error(`[AI FIX] Could not cache ${violation.rule_id}:`, error.message);
+    });
+  }
+
+  // Function to run Advanced AI page analysis. Resolves with `{ analysis, status, errors }`
+  // (see completeValidated).
+  async function runAdvancedAIAnalysis(screenshot, accessibilityData, meter = null) {
+    try {
+      const formattedData = `
+PAGE TEXT:
+${accessibilityData.textContent.substring(0, 10000)}
+
+STATISTICS:
+- Total forms: ${accessibilityData.stats.totalForms}
+- Total buttons: ${accessibilityData.stats.totalButtons}
+- Total links: ${accessibilityData.stats.totalLinks}
+- Inputs with placeholder-only labels: ${accessibilityData.stats.hasPlaceholderOnlyInputs}
+
+FORM ELEMENTS (ALL ${accessibilityData.formElements.length} inputs captured):
+${JSON.stringify(accessibilityData.formElements, null, 2)}
+
+INTERACTIVE ELEMENTS (first 30 of ${accessibilityData.interactiveElements.length}):
+${JSON.stringify(accessibilityData.interactiveElements.slice(0, 30), null, 2)}
+
+ERROR/VALIDATION ELEMENTS:
+${JSON.stringify(accessibilityData.errorElements, null, 2)}
+
+POTENTIAL SENSORY INSTRUCTIONS:
+${JSON.stringify(accessibilityData.sensoryInstructions, null, 2)}
+`;
+
+      const { value: analysis, status, errors } = await completeValidated({
+        purpose: 'page_analysis',
+        content: [
+          {
+            type: "image",
+            source: {
+              type: "base64",
+              media_type: "image/png",
+              data: screenshot
+            }
+          },
+          {
+            type: "text",
+            text: `${PAGE_ANALYSIS_PROMPT}\n\n${formattedData}`
+          }
+        ],
+        schema: PAGE_ANALYSIS_SCHEMA,
+        format: PAGE_ANALYSIS_FORMAT,
+        meter
+      });
+
+      if (!analysis) {
+        console.error('[AI PAGE] No valid analysis:', errors.join('; '));
+      }
+      return { analysis, status, errors };
+    } catch (error) {
+      console.error('[AI PAGE] Error:', error.message);
+      if (error.error) {
+        console.error('[AI PAGE] API error details:', error.error);
+      }
+      return { analysis: null, status: 'unavailable', errors: [`request failed: ${error.message}`] };
+    }
+  }
+
+  return {
+    provider: { name: provider.name, model: provider.model },
+    explainViolations,
+    reviseFix,
+    rememberExplanation,
+    runAdvancedAIAnalysis,
+    createMeter: () => createAiUsageMeter(provider)
+  };
+}
+
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+
+// Suggested violation fixes that passed verification (see lib/fix-verification.js), one per
+// rule, in priority fix form. Fixes that only partly work or weren't tested aren't promoted.
+function verifiedFixes(violations) {
+  const byRule = new Map();
+  violations.forEach(v => {
+    if (v.ai_fix_verification?.status !== 'verified' || !v.ai_explanation) return;
+    const existing = byRule.get(v.rule_id);
+    if (!existing) {
+      byRule.set(v.rule_id, {
+        issue: v.description,
+        impact: v.impact,
+        fix: v.ai_explanation.fix_steps,
+        time: v.ai_explanation.estimated_time,
+        code_after: v.ai_explanation.code_after,
+        rule_id: v.rule_id,
+        source: 'verified_fix',
+        pages_affected: [v.page_url]
+      });
+      return;
+    }
+    if ((IMPACT_ORDER[v.impact] ?? 4) < (IMPACT_ORDER[existing.impact] ?? 4)) existing.impact = v.impact;
+    if (!existing.pages_affected.includes(v.page_url)) existing.pages_affected.push(v.page_url);
+  });
+  return Array.from(byRule.values());
+}
+
+// Aggregate AI analyses from multiple pages into structured summary. `violations` (with AI
+// explanations) contribute their verified fixes to the priority fixes.
+export function aggregateAIAnalyses(ai_page_analysis, violations = []) {
+  const fixesFromViolations = verifiedFixes(violations || []);
+  if ((!ai_page_analysis || !Array.isArray(ai_page_analysis) || ai_page_analysis.length === 0) && fixesFromViolations.length === 0) {
+    return {
+      overall_summary: "No AI analysis available",
+      stats: { pages_analyzed: 0, pages_unavailable: 0, total_issues: 0, total_priority_fixes: 0, verified_fixes: 0 },
+      page_analyses: [],
+      aggregated_priority_fixes: [],
+      // Backward compatibility
+      summary: "No AI analysis available",
+      priority_fixes: [],
+      visual_issues: [],
+      content_issues: []
+    };
+  }
+  ai_page_analysis = ai_page_analysis || [];
+
+  const stats = {
+    pages_analyzed: ai_page_analysis.filter(pageData => pageData.analysis).length,
+    pages_unavailable: ai_page_analysis.filter(pageData => !pageData.analysis).length,
+    total_issues: 0,
+    total_priority_fixes: 0,
+    verified_fixes: fixesFromViolations.length
+  };
+
+  const allPriorityFixes = [];
+  const allVisualIssues = [];
+  const allContentIssues = [];
+
+  // Extract all issues from all pages
+  ai_page_analysis.forEach(pageData => {
+    const analysis = pageData.analysis;
+    if (!analysis) return;
+
+    const pageUrl = pageData.page_url;
+
+    // Add page_url to each item and collect
+    if (Array.isArray(analysis.priority_fixes)) {
+      analysis.priority_fixes.forEach(fix => {
+        allPriorityFixes.push({ ...fix, source: 'page_review', page_url: pageUrl });
+      });
+      stats.total_priority_fixes += analysis.priority_fixes.length;
+    }
+
+    if (Array.isArray(analysis.visual_issues)) {
+      analysis.visual_issues.forEach(issue => {
+        allVisualIssues.push({ ...issue, page_url: pageUrl });
+      });
+    }
+
+    if (Array.isArray(analysis.content_issues)) {
+      analysis.content_issues.forEach(issue => {
+        allContentIssues.push({ ...issue, page_url: pageUrl });
+      });
+    }
+  });
+
+  stats.total_issues = allPriorityFixes.length + allVisualIssues.length + allContentIssues.length;
+
+  // Group similar fixes across pages
+  const fixGroups = new Map();
+  allPriorityFixes.forEach(fix => {
+    // Create a key based on issue text (first 100 chars normalized)
+    const issueKey = (fix.issue || '').toLowerCase().substring(0, 100).trim();
+
+    if (!fixGroups.has(issueKey)) {
+      fixGroups.set(issueKey, {
+        ...fix,
+        pages_affected: [fix.page_url]
+      });
+    } else {
+      const existing = fixGroups.get(issueKey);
+      if (!existing.pages_affected.includes(fix.page_url)) {
+        existing.pages_affected.push(fix.page_url);
+      }
+    }
+  });
+
+  // Convert to array and sort by impact, then by frequency
+  const aggregated_priority_fixes = [...fixGroups.values(), ...fixesFromViolations]
+    .sort((a, b) => {
+      const impactDiff = (IMPACT_ORDER[a.impact] ?? 4) - (IMPACT_ORDER[b.impact] ?? 4);
+      if (impactDiff !== 0) return impactDiff;
+      return b.pages_affected.length - a.pages_affected.length;
+    })
+    .map((fix, index) => ({
+      ...fix,
+      rank: index + 1
+    }));
+
+  // Generate overall summary
+  const criticalCount = aggregated_priority_fixes.filter(f => f.impact === 'critical').length;
+  const overall_summary = ((ai_page_analysis.length > 0
+    ? `AI analyzed ${stats.pages_analyzed} page${stats.pages_analyzed !== 1 ? 's' : ''}, ` +
+      `found ${stats.total_issues} accessibility issue${stats.total_issues !== 1 ? 's' : ''} that automated testing cannot detect. `
+    : '') +
+    (criticalCount > 0 ? `${criticalCount} critical issue${criticalCount !== 1 ? 's' : ''} require${criticalCount === 1 ? 's' : ''} immediate attention. ` : '') +
+    (stats.pages_unavailable > 0 ? `The review of ${stats.pages_unavailable} page${stats.pages_unavailable !== 1 ? 's' : ''} is unavailable. ` : '') +
+    (stats.verified_fixes > 0 ? `${stats.verified_fixes} suggested fix${stats.verified_fixes !== 1 ? 'es were' : ' was'} verified on the live page${stats.verified_fixes !== 1 ? 's' : ''}.` : '')).trim();
+
+  return {
+    overall_summary,
+    stats,
+    page_analyses: ai_page_analysis,
+    aggregated_priority_fixes,
+    // Backward compatibility fields
+    summary: overall_summary,
+    priority_fixes: aggregated_priority_fixes,
+    visual_issues: allVisualIssues,
+    content_issues: allContentIssues
+  };
+}
@@ -0,0 +1,125 @@
+import { createHash } from 'crypto';
+import { readFileSync, promises as fs } from 'fs';
+import path from 'path';
+import { resolvePlanLimits } from './plans.js';
+import { safeSegment, readJson } from './storage.js';
+
+// API keys. Keys are configured in a JSON file (or the API_KEYS environment variable)
+// as SHA-256 hashes, so the config never holds a usable key:
+//
+//   { "keys": [{ "id": "acme-prod", "key_sha256": "<hex>", "customer_id": "CUST_1",
+//                "plan": "essentials", "limits": { "scans_per_day": 100 } }] }
+//
+// `role: "admin"` keys may read every customer's scans. `disabled: true` revokes a key.
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Validate parsed key config and build the lookup. Throws on the first bad entry.
+export function createApiKeyRegistry(config) {
+  const byHash = new Map();
+  const byId = new Map();
+
+  (config?.keys || []).forEach((entry, index) => {
+    const where = `keys[${index}]`;
+    if (typeof entry.id !== 'string' || !/^[\w.-]{1,64}$/.test(entry.id)) {
+      throw new Error(`${where}.id must be 1-64 letters, digits, dots, dashes or underscores`);
+    }
+    if (byId.has(entry.id)) {
+      throw new Error(`${where}.id "${entry.id}" is used twice`);
+    }
+    if (typeof entry.key_sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(entry.key_sha256)) {
+      throw new Error(`${where}.key_sha256 must be a hex SHA-256 hash`);
+    }
+    if (entry.role !== 'admin' && (typeof entry.customer_id !== 'string' || !entry.customer_id)) {
+      throw new Error(`${where}.customer_id is required`);
+    }
+    let limits;
+    try {
+      limits = resolvePlanLimits(entry.plan, entry.limits);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+
+    const record = {
+      id: entry.id,
+      customer_id: entry.customer_id || null,
+      plan: entry.plan,
+      role: entry.role === 'admin' ? 'admin' : 'customer',
+      disabled: entry.disabled === true,
+      limits
+    };
+    byId.set(entry.id, record);
+    byHash.set(entry.key_sha256.toLowerCase(), record);
+  });
+
+  // The key record for a presented key, or null
+  function lookup(presentedKey) {
+    if (typeof presentedKey !== 'string' || !presentedKey) return null;
+    return byHash.get(hashApiKey(presentedKey)) || null;
+  }
+
+  // The key record with this id (e.g. the key a scheduled monitor scans under), or null
+  function get(id) {
+    return byId.get(id) || null;
+  }
+
+  return { lookup, get, size: byHash.size };
+}
+
+// Key config from API_KEYS (JSON) or the file at API_KEYS_FILE. An absent file means no keys.
+export function loadApiKeys({ json, file }) {
+  let config = { keys: [] };
+  if (json) {
+    config = JSON.parse(json);
+  } else if (file) {
+    try {
+      config = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return createApiKeyRegistry(config);
+}
+
+// The key in `Authorization: Bearer <key>` or `X-API-Key: <key>`
+export function presentedApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+  return bearer ? bearer[1] : req.get('x-api-key') || null;
+}
+
+// Whether a key may see a customer's scans
+export function canAccessCustomer(apiKey, customerId) {
+  return apiKey.role === 'admin' || apiKey.customer_id === customerId;
+}
+
+// Which customer each scan_id belongs to, so scan endpoints (status, reports, screenshots,
+// webhook logs) only answer the owner, even after the in-memory job has expired.
+// One small file per scan id under `dir`.
+export function createScanOwners({ dir }) {
+  function ownerFile(scanId) {
+    return path.join(dir, `${safeSegment(scanId)}.json`);
+  }
+
+  // Record the owner of a new scan id. Resolves false if another customer already owns it.
+  async function claim(scanId, customerId) {
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      await fs.writeFile(ownerFile(scanId), JSON.stringify({ scan_id: scanId, customer_id: customerId }), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const existing = await readJson(ownerFile(scanId), null);
+      return existing?.customer_id === customerId;
+    }
+  }
+
+  // Resolves with { customer_id } for a known scan id, or null
+  async function owner(scanId) {
+    return readJson(ownerFile(scanId), null);
+  }
+
+  return { claim, owner };
+}
@@ -0,0 +1,37 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { safeSegment } from './storage.js';
+
+// Binary scan artifacts (screenshots) stored on disk next to the scan results,
+// one directory per scan: `<dir>/<scan_id>/<name>`.
+
+const SAFE_NAME = /^[\w.-]{1,100}$/;
+
+// `urlFor(scanId, name)` builds the URL an artifact is served from; save() resolves with it
+export function createArtifactStore({ dir, urlFor }) {
+  function scanDir(scanId) {
+    return path.join(dir, safeSegment(scanId));
+  }
+
+  async function save(scanId, name, data) {
+    if (!SAFE_NAME.test(name)) {
+      throw new Error(`invalid artifact name "${name}"`);
+    }
+    await fs.mkdir(scanDir(scanId), { recursive: true });
+    await fs.writeFile(path.join(scanDir(scanId), name), data);
+    return urlFor(scanId, name);
+  }
+
+  // File contents, or null if there's no such artifact
+  async function read(scanId, name) {
+    if (!SAFE_NAME.test(name) || /^\.+$/.test(name)) return null;
+    try {
+      return await fs.readFile(path.join(scanDir(scanId), name));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+      throw error;
+    }
+  }
+
+  return { save, read };
+}
@@ -0,0 +1,228 @@
+// Authenticated scanning: cookies, extra headers / basic auth, or a scripted login
+// run once per scan. The session lives in the browser's cookie jar, so every tab reuses it.
+
+const LOGOUT_LINK_PATTERN = /\b(log|sign)[-_ ]?(out|off)\b/i;
+
+// Headers that carry credentials are never echoed back
+const SENSITIVE_HEADER_PATTERN = /authorization|cookie|token|secret|key|session|password|auth/i;
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Validate the `auth` field of a scan request. Throws with a client-facing message.
+export function validateAuthSpec(auth) {
+  if (auth === undefined || auth === null) return;
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    throw new Error('auth must be an object');
+  }
+
+  if (auth.cookies !== undefined) {
+    if (!Array.isArray(auth.cookies) || auth.cookies.some(c => !c?.name || typeof c.value !== 'string')) {
+      throw new Error('auth.cookies must be an array of { name, value } objects');
+    }
+  }
+  if (auth.headers !== undefined) {
+    if (typeof auth.headers !== 'object' || Object.values(auth.headers).some(v => typeof v !== 'string')) {
+      throw new Error('auth.headers must map header names to string values');
+    }
+  }
+  if (auth.basic !== undefined && (!auth.basic?.username || typeof auth.basic.password !== 'string')) {
+    throw new Error('auth.basic requires username and password');
+  }
+  if (auth.login !== undefined) {
+    const required = ['url', 'username_selector', 'password_selector', 'username', 'password', 'success_selector'];
+    const missing = required.filter(field => !auth.login?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`auth.login is missing: ${missing.join(', ')}`);
+    }
+    new URL(auth.login.url);
+  }
+}
+
+function basicAuthorization({ username, password }) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+// Safe description of the auth spec for logs and scan results
+export function describeAuth(auth) {
+  if (!auth) return null;
+  const methods = [];
+  if (auth.cookies?.length) methods.push('cookies');
+  if (auth.headers && Object.keys(auth.headers).length) methods.push('headers');
+  if (auth.basic) methods.push('basic');
+  if (auth.login) methods.push('login');
+
+  return {
+    methods,
+    cookie_names: (auth.cookies || []).map(cookie => cookie.name),
+    header_names: Object.keys(auth.headers || {}),
+    login_url: auth.login?.url || null
+  };
+}
+
+// Replace every credential value in a string (for error messages that might echo input)
+export function redactCredentials(text, auth) {
+  if (!auth || typeof text !== 'string') return text;
+  const secrets = [
+    auth.login?.password,
+    auth.login?.username,
+    auth.basic?.password,
+    auth.basic && basicAuthorization(auth.basic),
+    ...(auth.cookies || []).map(cookie => cookie.value),
+    ...Object.entries(auth.headers || {})
+      .filter(([name]) => SENSITIVE_HEADER_PATTERN.test(name))
+      .map(([, value]) => value)
+  ].filter(secret => typeof secret === 'string' && secret.length >= 3);
+
+  return secrets.reduce((result, secret) => result.split(secret).join('[redacted]'), text);
+}
+
+// Crawling a logout link would end the session for every tab
+export function isLogoutUrl(urlString) {
+  try {
+    const url = new URL(urlString);
+    return LOGOUT_LINK_PATTERN.test(url.pathname + url.search);
+  } catch {
+    return false;
+  }
+}
+
+export function stripQuery(urlString) {
+  const url = new URL(urlString);
+  return url.origin + url.pathname.replace(/\/$/, '');
+}
+
+// Create the auth session for one scan.
+// `isInScope(url)` limits extra headers to the scanned site so credentials don't leak to third parties.
+// `guardPage(page)` runs first on the login tab (e.g. to block unsafe requests).
+export function createAuthSession({ browser, auth, websiteUrl, isInScope, timeoutMs = 30000, guardPage = async () => {} }) {
+  let loginPromise = null;
+  let relogins = 0;
+
+  // Basic auth is sent as a header like the others, not with page.authenticate(), which
+  // would answer a 401 challenge from any host (third-party frames and scripts included)
+  const scopedHeaders = {
+    ...(auth.basic && { Authorization: basicAuthorization(auth.basic) }),
+    ...auth.headers
+  };
+
+  // Per-tab setup: headers and basic auth (cookies are shared through the browser)
+  async function setupPage(page) {
+    if (Object.keys(scopedHeaders).length > 0) {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+        const headers = isInScope(request.url())
+          ? { ...request.headers(), ...scopedHeaders }
+          : request.headers();
+        request.continue({ headers }, 0);
+      });
+    }
+  }
+
+  async function setCookies(page) {
+    if (!auth.cookies?.length) return;
+    await page.setCookie(...auth.cookies.map(cookie => ({
+      ...cookie,
+      // Puppeteer needs either a domain or a url to scope the cookie
+      url: cookie.domain ? undefined : websiteUrl
+    })));
+  }
+
+  async function runLoginScript() {
+    const { login } = auth;
+    const page = await browser.newPage();
+    try {
+      await guardPage(page);
+      await setupPage(page);
+      await page.goto(login.url, { waitUntil: 'networkidle2', timeout: timeoutMs });
+
+      await page.waitForSelector(login.username_selector, { timeout: timeoutMs });
+      await page.$eval(login.username_selector, el => { el.value = ''; });
+      await page.type(login.username_selector, login.username);
+      await page.$eval(login.password_selector, el => { el.value = ''; });
+      await page.type(login.password_selector, login.password);
+
+      const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout: timeoutMs }).catch(() => null);
+      if (login.submit_selector) {
+        await page.click(login.submit_selector);
+      } else {
+        await page.keyboard.press('Enter');
+      }
+      await navigation;
+
+      await page.waitForSelector(login.success_selector, { timeout: timeoutMs }).catch(() => {
+        throw new AuthError('Login failed: success selector not found after submitting credentials');
+      });
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      throw new AuthError(`Login failed: ${redactCredentials(error.message, auth)}`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  // Establish the session once before crawling; concurrent callers share one attempt
+  function login() {
+    if (!loginPromise) {
+      loginPromise = (async () => {
+        const page = await browser.newPage();
+        try {
+          await setCookies(page);
+        } finally {
+          await page.close().catch(() => {});
+        }
+        if (auth.login) {
+          await runLoginScript();
+          console.log('[AUTH] Logged in');
+        }
+      })().finally(() => {
+        loginPromise = null;
+      });
+    }
+    return loginPromise;
+  }
+
+  // Were we bounced to the login page, or does the page show the logged-out marker?
+  async function isLoggedOut(page) {
+    if (auth.logged_out_selector && await page.$(auth.logged_out_selector)) {
+      return true;
+    }
+    if (auth.login) {
+      try {
+        return stripQuery(page.url()) === stripQuery(auth.login.url);
+      } catch {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  // Called after navigation: re-login once and reload if the session expired.
+  // Throws if the page still looks logged out.
+  async function ensureLoggedIn(page, url) {
+    if (!(await isLoggedOut(page))) return;
+
+    console.log(`[AUTH] Logged out while loading ${url}, logging in again`);
+    relogins++;
+    await login();
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: timeoutMs });
+
+    if (await isLoggedOut(page)) {
+      throw new AuthError('Session logged out and could not be restored');
+    }
+  }
+
+  function summary() {
+    return {
+      ...describeAuth(auth),
+      relogins
+    };
+  }
+
+  return { setupPage, login, ensureLoggedIn, summary };
+}
@@ -0,0 +1,76 @@
+import { fingerprintNode } from './history.js';
+
+// Baselines for the command-line scanner: a file of known failing elements that CI
+// should not fail on. Elements are fingerprinted by page path rather than full URL,
+// so a baseline written against a dev server still matches staging or production.
+//
+//   { "version": 1, "created_at": "...", "website_url": "...",
+//     "issues": [{ "fingerprint": "...", "rule_id": "...", "page": "/about", "selector": "..." }] }
+
+const BASELINE_VERSION = 1;
+
+function pagePath(pageUrl) {
+  try {
+    const parsed = new URL(pageUrl);
+    return parsed.pathname + parsed.search;
+  } catch {
+    return String(pageUrl);
+  }
+}
+
+function baselineFingerprint(violation, node) {
+  return fingerprintNode(violation.rule_id, pagePath(violation.page_url), node);
+}
+
+// Baseline of every failing element in a completed scan result
+export function createBaseline(result) {
+  const issues = [];
+  const seen = new Set();
+  for (const violation of result.violations || []) {
+    for (const node of violation.nodes || []) {
+      const fingerprint = baselineFingerprint(violation, node);
+      if (seen.has(fingerprint)) continue;
+      seen.add(fingerprint);
+      issues.push({ fingerprint, rule_id: violation.rule_id, page: pagePath(violation.page_url), selector: node.selector });
+    }
+  }
+  return {
+    version: BASELINE_VERSION,
+    created_at: new Date().toISOString(),
+    website_url: result.website_url,
+    issues
+  };
+}
+
+// Throws if `baseline` isn't a parsed baseline file
+export function validateBaseline(baseline) {
+  if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.issues)) {
+    throw new Error(`not a version ${BASELINE_VERSION} baseline file`);
+  }
+}
+
+// Mark elements in `result` found in the baseline (`node.baselined`), and violations
+// whose every element is baselined (`violation.baselined`). Returns the counts.
+export function applyBaseline(result, baseline) {
+  const known = new Set(baseline.issues.map(issue => issue.fingerprint));
+  let baselinedNodes = 0;
+  let baselinedViolations = 0;
+
+  for (const violation of result.violations || []) {
+    let remaining = 0;
+    for (const node of violation.nodes || []) {
+      if (known.has(baselineFingerprint(violation, node))) {
+        node.baselined = true;
+        baselinedNodes++;
+      } else {
+        remaining++;
+      }
+    }
+    if (remaining === 0 && violation.nodes?.length > 0) {
+      violation.baselined = true;
+      baselinedViolations++;
+    }
+  }
+
+  return { baselined_violations: baselinedViolations, baselined_elements: baselinedNodes };
+}
@@ -0,0 +1,370 @@
+import { installPageHelpers } from './page-helpers.js';
+import { readabilityScores } from './readability.js';
+import { detectLanguage, languageMatches, primaryLanguage, MIN_DETECTION_WORDS } from './language.js';
+
+// Content checks computed locally, without AI: readability per page and per content block,
+// the page's language against its `lang` attributes, generic and ambiguous link text,
+// duplicate page titles across the crawl and the heading outline. Results are structured
+// findings in `content_analysis`, separate from axe violations, so they don't change scores.
+
+export const CONTENT_DEFAULTS = {
+  readingGradeTarget: 9,
+  minBlockWords: 30,
+  maxBlocks: 200,
+  maxLinks: 500
+};
+
+// Finding types, with the WCAG criteria they relate to (none for best practices)
+export const CONTENT_RULES = {
+  'reading-level': { wcag: ['3.1.5'], impact: 'minor', description: 'Text needs more than a lower secondary reading level' },
+  'language-of-page': { wcag: ['3.1.1'], impact: 'serious', description: 'The page text is not in the language its lang attribute declares' },
+  'language-of-parts': { wcag: ['3.1.2'], impact: 'moderate', description: 'A passage in another language is not marked with its own lang attribute' },
+  'link-text-generic': { wcag: ['2.4.4', '2.4.9'], impact: 'serious', description: 'Link text does not describe where the link goes' },
+  'link-text-url': { wcag: ['2.4.9'], impact: 'minor', description: 'Link text is a bare URL' },
+  'link-text-ambiguous': { wcag: ['2.4.4', '2.4.9'], impact: 'moderate', description: 'The same link text leads to different pages' },
+  'page-title-duplicate': { wcag: ['2.4.2'], impact: 'moderate', description: 'Several pages share the same title' },
+  'heading-level-skipped': { wcag: ['1.3.1'], impact: 'moderate', description: 'Heading levels skip a level' },
+  'heading-h1-missing': { wcag: [], impact: 'moderate', description: 'The page has no level-one heading' },
+  'heading-h1-multiple': { wcag: [], impact: 'minor', description: 'The page has more than one level-one heading' }
+};
+
+// Link text that says nothing about the destination, in the languages the detector knows
+const GENERIC_LINK_TEXT = new Set([
+  'click', 'click here', 'click this', 'click this link', 'here', 'this', 'this link', 'this page', 'link', 'tap here', 'press here',
+  'more', 'read more', 'read more here', 'more info', 'more information', 'more details', 'details', 'learn more', 'find out more',
+  'see more', 'see all', 'show more', 'view', 'view more', 'view all', 'view details', 'info', 'information', 'go', 'go here',
+  'continue', 'continue reading', 'keep reading', 'download', 'page', 'website', 'site',
+  'article', 'check it out', 'discover more', 'full story', 'get more info',
+  'leer más', 'más información', 'ver más', 'aquí', 'haga clic aquí', 'haz clic aquí',
+  'en savoir plus', 'lire la suite', 'plus', 'ici', 'cliquez ici', 'voir plus',
+  'mehr', 'mehr erfahren', 'weiterlesen', 'mehr lesen', 'hier', 'hier klicken',
+  'leggi di più', 'scopri di più', 'clicca qui', 'qui',
+  'saiba mais', 'leia mais', 'clique aqui', 'aqui',
+  'lees meer', 'meer', 'meer informatie', 'klik hier',
+  'läs mer', 'læs mere', 'les mer', 'klikk her', 'klicka här', 'klik her',
+  'czytaj więcej', 'więcej', 'kliknij tutaj', 'tutaj'
+]);
+
+// Resolve the `content_analysis` request field: false disables, absent or true uses the
+// defaults, or `{ reading_grade_target, min_block_words }`
+export function resolveContentOptions(requested) {
+  if (requested === false) return null;
+  const options = requested && typeof requested === 'object' ? requested : {};
+  const target = Number(options.reading_grade_target);
+  const minWords = Number(options.min_block_words);
+  return {
+    ...CONTENT_DEFAULTS,
+    readingGradeTarget: Number.isFinite(target) && target > 0 ? Math.min(target, 20) : CONTENT_DEFAULTS.readingGradeTarget,
+    minBlockWords: Number.isInteger(minWords) && minWords > 0 ? Math.min(minWords, 500) : CONTENT_DEFAULTS.minBlockWords
+  };
+}
+
+// Runs in the page: title, languages, text blocks, links and headings
+function collectContent(maxBlocks, maxLinks) {
+  const { cssPath, isVisible } = window.__adaScanner;
+  const BLOCK_SELECTOR = 'p, li, blockquote, dd, figcaption, td, th, pre, address';
+  const hidden = (element) => element.closest('[aria-hidden="true"], [hidden]') !== null;
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+  // Innermost text containers only, so a <li> holding a <p> isn't counted twice
+  const blocks = Array.from(document.body?.querySelectorAll(BLOCK_SELECTOR) || [])
+    .filter(element => !element.querySelector(BLOCK_SELECTOR) && !hidden(element) && isVisible(element))
+    .map(element => {
+      const langHost = element.closest('[lang]');
+      return {
+        selector: cssPath(element),
+        tag: element.tagName.toLowerCase(),
+        text: (element.innerText || element.textContent || '').trim().slice(0, 5000),
+        lang: langHost?.getAttribute('lang') ?? null,
+        own_lang: langHost !== null && langHost !== document.documentElement
+      };
+    })
+    .filter(block => block.text.length > 0)
+    .slice(0, maxBlocks);
+
+  const textOf = (ids) => (ids || '').split(/\s+/)
+    .map(id => document.getElementById(id)?.textContent || '')
+    .join(' ');
+  const links = Array.from(document.querySelectorAll('a[href]'))
+    .filter(link => !hidden(link) && getComputedStyle(link).display !== 'none' && getComputedStyle(link).visibility !== 'hidden')
+    .slice(0, maxLinks)
+    .map(link => {
+      const images = Array.from(link.querySelectorAll('img[alt]')).map(img => img.alt).join(' ');
+      const name = clean(textOf(link.getAttribute('aria-labelledby')))
+        || clean(link.getAttribute('aria-label'))
+        || clean(link.innerText || link.textContent)
+        || clean(images)
+        || clean(link.getAttribute('title'));
+      // Link purpose may come from the surrounding sentence, list item or cell (WCAG 2.4.4)
+      const container = link.closest('p, li, td, th, dd');
+      const contextText = container ? clean(container.innerText || container.textContent) : '';
+      return {
+        selector: cssPath(link),
+        name,
+        href: link.href,
+        described: !!(link.getAttribute('aria-describedby') && clean(textOf(link.getAttribute('aria-describedby')))),
+        has_context: contextText.length > name.length + 20
+      };
+    });
+
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]'))
+    .filter(heading => !hidden(heading) && getComputedStyle(heading).display !== 'none')
+    .map(heading => {
+      const ariaLevel = parseInt(heading.getAttribute('aria-level'), 10);
+      const tagLevel = /^h[1-6]$/i.test(heading.tagName) ? Number(heading.tagName[1]) : 2;
+      return {
+        level: Number.isInteger(ariaLevel) && ariaLevel > 0 ? ariaLevel : tagLevel,
+        text: clean(heading.innerText || heading.textContent).slice(0, 200),
+        selector: cssPath(heading)
+      };
+    });
+
+  return {
+    title: clean(document.title),
+    lang: document.documentElement.getAttribute('lang'),
+    blocks,
+    links,
+    headings
+  };
+}
+
+// Collect the page's content for analyzePageContent
+export async function extractContentData(page, options = CONTENT_DEFAULTS) {
+  await installPageHelpers(page);
+  return page.evaluate(collectContent, options.maxBlocks, options.maxLinks);
+}
+
+const wordCount = (text) => (String(text).match(/[\p{L}\p{N}]+/gu) || []).length;
+
+// Normalized link text for comparisons: lower case, without punctuation, arrows and icons
+function normalizeLinkText(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Link destination for comparisons: without fragment or trailing slash
+function normalizeHref(href) {
+  try {
+    const url = new URL(href);
+    url.hash = '';
+    return url.toString().replace(/\/$/, '');
+  } catch (error) {
+    return href;
+  }
+}
+
+function finding(ruleId, pageUrl, details) {
+  const rule = CONTENT_RULES[ruleId];
+  return {
+    rule_id: ruleId,
+    wcag_criteria: rule.wcag,
+    impact: rule.impact,
+    description: rule.description,
+    page_url: pageUrl,
+    ...details
+  };
+}
+
+// Readability of the page and of each long block (English only: the formulas are calibrated
+// for it)
+function analyzeReadability(pageUrl, blocks, language, options, findings) {
+  if (language && language !== 'en') {
+    return { readability: null, blocks: [], skipped_reason: 'unsupported_language' };
+  }
+
+  const longBlocks = blocks.filter(block => wordCount(block.text) >= options.minBlockWords);
+  const pageText = blocks.map(block => block.text).join('\n');
+  const readability = wordCount(pageText) >= options.minBlockWords ? readabilityScores(pageText) : null;
+
+  const blockScores = longBlocks.map(block => ({ selector: block.selector, tag: block.tag, ...readabilityScores(block.text) }));
+  if (readability && readability.grade_level > options.readingGradeTarget) {
+    findings.push(finding('reading-level', pageUrl, {
+      grade_level: readability.grade_level,
+      target: options.readingGradeTarget,
+      message: `Page text reads at grade ${readability.grade_level}, above the target of grade ${options.readingGradeTarget}`,
+      // The hardest blocks are the best place to start simplifying
+      blocks: blockScores
+        .filter(block => block.grade_level > options.readingGradeTarget)
+        .sort((a, b) => b.grade_level - a.grade_level)
+        .slice(0, 5)
+        .map(block => ({ selector: block.selector, grade_level: block.grade_level }))
+    }));
+  }
+  return { readability, blocks: blockScores.slice(0, 50), skipped_reason: readability ? null : 'not_enough_text' };
+}
+
+function analyzeLanguage(pageUrl, data, findings) {
+  // Passages marked with their own lang don't count towards the page's language
+  const pageText = data.blocks.filter(block => !block.own_lang).map(block => block.text).join('\n');
+  const detected = detectLanguage(pageText);
+  const pageMismatch = data.lang && !languageMatches(data.lang, detected);
+  if (pageMismatch) {
+    findings.push(finding('language-of-page', pageUrl, {
+      declared: data.lang,
+      detected: detected.language || detected.candidates.join('/'),
+      message: `The page declares lang="${data.lang}" but its text appears to be ${detected.language || `one of ${detected.candidates.join(', ')}`}`
+    }));
+  }
+
+  // Passages in another language than the one that applies to them
+  for (const block of data.blocks) {
+    if (wordCount(block.text) < MIN_DETECTION_WORDS) continue;
+    const blockLanguage = detectLanguage(block.text);
+    if (languageMatches(block.lang, blockLanguage)) continue;
+    // Text in the page's own (wrongly declared) language is covered by the page finding
+    if (!block.own_lang && pageMismatch && blockLanguage.candidates.some(candidate => detected.candidates.includes(candidate))) continue;
+
+    const detectedName = blockLanguage.language || blockLanguage.candidates.join('/');
+    findings.push(finding('language-of-parts', pageUrl, {
+      selector: block.selector,
+      declared: block.own_lang ? block.lang : null,
+      detected: detectedName,
+      message: block.own_lang
+        ? `Passage is marked lang="${block.lang}" but appears to be ${detectedName}`
+        : `Passage appears to be ${detectedName} but has no lang attribute of its own`
+    }));
+  }
+  return detected;
+}
+
+function analyzeLinks(pageUrl, links, findings) {
+  let generic = 0;
+  for (const link of links) {
+    const text = normalizeLinkText(link.name);
+    if (text && GENERIC_LINK_TEXT.has(text) && !link.described) {
+      generic++;
+      // With surrounding context the link passes 2.4.4 and only fails the AAA criterion
+      findings.push(finding('link-text-generic', pageUrl, {
+        ...(link.has_context && { wcag_criteria: ['2.4.9'], impact: 'minor' }),
+        selector: link.selector,
+        text: link.name,
+        href: link.href,
+        message: `Link text "${link.name}" doesn't say where the link goes${link.has_context ? ' without reading the surrounding text' : ''}`
+      }));
+    } else if (/^(https?:\/\/|www\.)\S+$/i.test(link.name || '')) {
+      findings.push(finding('link-text-url', pageUrl, { selector: link.selector, text: link.name, href: link.href, message: 'Link text is a URL' }));
+    }
+  }
+
+  // The same (non-generic) text for different destinations
+  const byText = new Map();
+  for (const link of links) {
+    const text = normalizeLinkText(link.name);
+    if (!text || GENERIC_LINK_TEXT.has(text)) continue;
+    if (!byText.has(text)) byText.set(text, []);
+    byText.get(text).push(link);
+  }
+  let ambiguous = 0;
+  for (const group of byText.values()) {
+    const destinations = Array.from(new Set(group.map(link => normalizeHref(link.href))));
+    if (destinations.length < 2 || group.every(link => link.described)) continue;
+    ambiguous++;
+    const inContext = group.every(link => link.has_context || link.described);
+    findings.push(finding('link-text-ambiguous', pageUrl, {
+      ...(inContext && { wcag_criteria: ['2.4.9'], impact: 'minor' }),
+      text: group[0].name,
+      hrefs: destinations.slice(0, 10),
+      selectors: group.slice(0, 10).map(link => link.selector),
+      message: `"${group[0].name}" links to ${destinations.length} different pages`
+    }));
+  }
+
+  return { total: links.length, generic, ambiguous };
+}
+
+function analyzeHeadings(pageUrl, headings, findings) {
+  const h1Count = headings.filter(heading => heading.level === 1).length;
+  if (h1Count === 0) {
+    findings.push(finding('heading-h1-missing', pageUrl, { message: 'The page has no level-one heading' }));
+  } else if (h1Count > 1) {
+    findings.push(finding('heading-h1-multiple', pageUrl, {
+      selectors: headings.filter(heading => heading.level === 1).map(heading => heading.selector).slice(0, 10),
+      message: `The page has ${h1Count} level-one headings`
+    }));
+  }
+
+  headings.forEach((heading, index) => {
+    const previous = headings[index - 1];
+    if (previous && heading.level > previous.level + 1) {
+      findings.push(finding('heading-level-skipped', pageUrl, {
+        selector: heading.selector,
+        text: heading.text,
+        message: `Heading level ${heading.level} "${heading.text}" follows level ${previous.level} "${previous.text}"`
+      }));
+    }
+  });
+
+  return headings.slice(0, 200);
+}
+
+// Analyze one page's extracted content: `{ page, findings }`
+export function analyzePageContent(pageUrl, data, options = CONTENT_DEFAULTS) {
+  const findings = [];
+  const detected = analyzeLanguage(pageUrl, data, findings);
+  const readability = analyzeReadability(pageUrl, data.blocks, detected.language || primaryLanguage(data.lang), options, findings);
+  const links = analyzeLinks(pageUrl, data.links, findings);
+  const outline = analyzeHeadings(pageUrl, data.headings, findings);
+
+  return {
+    page: {
+      page_url: pageUrl,
+      title: data.title,
+      declared_lang: data.lang || null,
+      detected_language: { language: detected.language, candidates: detected.candidates, confidence: detected.confidence },
+      readability: readability.readability,
+      readability_skipped: readability.skipped_reason,
+      blocks: readability.blocks,
+      links,
+      headings: outline
+    },
+    findings
+  };
+}
+
+// Analyze every crawled page (`{ url, content }` with content from extractContentData) and
+// compare titles across them. Returns the `content_analysis` result section.
+export function analyzeSiteContent(pages, options = CONTENT_DEFAULTS) {
+  const analyzed = pages.map(({ url, content }) => analyzePageContent(url, content, options));
+  const findings = analyzed.flatMap(entry => entry.findings);
+
+  const byTitle = new Map();
+  for (const { page } of analyzed) {
+    const title = page.title.toLowerCase();
+    if (!title) continue;
+    if (!byTitle.has(title)) byTitle.set(title, []);
+    byTitle.get(title).push(page);
+  }
+  const duplicateTitles = Array.from(byTitle.values())
+    .filter(group => group.length > 1)
+    .map(group => ({ title: group[0].title, pages: group.map(page => page.page_url) }));
+  duplicateTitles.forEach(({ title, pages: titlePages }) => {
+    findings.push(finding('page-title-duplicate', null, {
+      title,
+      pages: titlePages,
+      message: `${titlePages.length} pages are titled "${title}"`
+    }));
+  });
+
+  const byRule = {};
+  findings.forEach(entry => {
+    byRule[entry.rule_id] = (byRule[entry.rule_id] || 0) + 1;
+  });
+  const grades = analyzed.map(({ page }) => page.readability?.grade_level).filter(grade => grade !== undefined);
+
+  return {
+    summary: {
+      pages_analyzed: analyzed.length,
+      total_findings: findings.length,
+      by_rule: byRule,
+      reading_grade_target: options.readingGradeTarget,
+      average_grade_level: grades.length > 0 ? Math.round(grades.reduce((sum, grade) => sum + grade, 0) / grades.length * 10) / 10 : null,
+      pages_above_reading_target: grades.filter(grade => grade > options.readingGradeTarget).length
+    },
+    findings,
+    duplicate_titles: duplicateTitles,
+    pages: analyzed.map(entry => entry.page)
+  };
+}
@@ -0,0 +1,219 @@
+// Parallel crawler: scans up to `concurrency` pages at once in a single browser,
+// spacing requests per host and retrying transient navigation failures.
+
+export const CRAWL_DEFAULTS = {
+  concurrency: parseInt(process.env.CRAWL_CONCURRENCY || '3', 10),
+  hostDelayMs: parseInt(process.env.CRAWL_HOST_DELAY_MS || '250', 10),
+  pageTimeoutMs: parseInt(process.env.CRAWL_PAGE_TIMEOUT_MS || '30000', 10),
+  retries: parseInt(process.env.CRAWL_RETRIES || '2', 10),
+  retryBaseDelayMs: 1000
+};
+
+const MAX_CONCURRENCY = 8;
+
+// Chromium network errors worth another attempt (anything else is treated as permanent)
+const TRANSIENT_NET_ERRORS = [
+  'ERR_CONNECTION_RESET',
+  'ERR_CONNECTION_CLOSED',
+  'ERR_CONNECTION_REFUSED',
+  'ERR_CONNECTION_TIMED_OUT',
+  'ERR_TIMED_OUT',
+  'ERR_EMPTY_RESPONSE',
+  'ERR_NETWORK_CHANGED',
+  'ERR_NETWORK_IO_SUSPENDED',
+  'ERR_HTTP2_PROTOCOL_ERROR',
+  'ERR_SOCKET_NOT_CONNECTED'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Build crawl options from the per-scan `crawl` request field, falling back to env defaults
+export function resolveCrawlOptions(requested = {}) {
+  const pick = (value, fallback, min, max) => {
+    const number = Number(value);
+    if (value === undefined || value === null || Number.isNaN(number)) return fallback;
+    return Math.min(Math.max(Math.round(number), min), max);
+  };
+
+  return {
+    concurrency: pick(requested.concurrency, CRAWL_DEFAULTS.concurrency, 1, MAX_CONCURRENCY),
+    hostDelayMs: pick(requested.host_delay_ms, CRAWL_DEFAULTS.hostDelayMs, 0, 30000),
+    pageTimeoutMs: pick(requested.page_timeout_ms, CRAWL_DEFAULTS.pageTimeoutMs, 5000, 120000),
+    retries: pick(requested.retries, CRAWL_DEFAULTS.retries, 0, 5),
+    retryBaseDelayMs: CRAWL_DEFAULTS.retryBaseDelayMs
+  };
+}
+
+export function isTransientNavigationError(error) {
+  if (!error) return false;
+  if (error.name === 'TimeoutError' || error.transient) return true;
+  return TRANSIENT_NET_ERRORS.some(code => error.message?.includes(code));
+}
+
+// Order keys give deterministic page ordering regardless of which tab finishes first:
+// breadth-first by depth, then by the position of the link in its parent page.
+function compareKeys(a, b) {
+  if (a.length !== b.length) return a.length - b.length;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// Crawl starting from `startUrls`.
+// - `normalize(url)` canonicalizes discovered links (duplicates are dropped)
+// - `shouldVisit(url)` returns (or resolves with) null to allow a URL, or a reason string to skip it
+// - `maxDepth` skips links more than this many hops from a start URL (null for no limit)
+// - `setupPage(page)` runs on each new tab before navigation
+// - `visit(page, url, info)` scans a loaded page and resolves with `{ links, data }`
+// - `onPageDone(pageResult, stats)` is called after each successful page
+// Resolves with `{ pages, failures, skipped, pending }`, in deterministic crawl order.
+export async function crawl({
+  browser,
+  startUrls,
+  pageLimit,
+  options = CRAWL_DEFAULTS,
+  normalize = (url) => url,
+  shouldVisit = () => null,
+  maxDepth = null,
+  setupPage = async () => {},
+  visit,
+  onPageDone = () => {},
+  signal
+}) {
+  const { concurrency, hostDelayMs, pageTimeoutMs, retries, retryBaseDelayMs } = options;
+
+  const orderKeys = new Map(); // url -> smallest order key seen
+  const pending = []; // urls waiting to be scanned, kept sorted by order key
+  const started = new Set();
+  const pages = [];
+  const failures = [];
+  const skipped = new Map(); // url -> reason
+  const hostNextSlot = new Map();
+  let inFlight = 0;
+
+  // Policy skips are final; depth skips are re-checked in case the URL turns up closer to the start
+  async function skipReason(url, depth) {
+    const previous = skipped.get(url);
+    if (previous && previous !== 'max_depth_exceeded') return previous;
+    if (maxDepth !== null && depth > maxDepth) return 'max_depth_exceeded';
+    return shouldVisit(url);
+  }
+
+  async function discover(url, key, depth) {
+    if (!orderKeys.has(url)) {
+      const reason = await skipReason(url, depth);
+      if (reason) {
+        skipped.set(url, reason);
+        return;
+      }
+      skipped.delete(url);
+    }
+
+    const known = orderKeys.get(url);
+    if (known && compareKeys(known.key, key) <= 0) return;
+    orderKeys.set(url, { key, depth });
+
+    if (started.has(url)) return;
+    const existingIndex = pending.indexOf(url);
+    if (existingIndex !== -1) pending.splice(existingIndex, 1);
+
+    let insertAt = pending.findIndex(other => compareKeys(key, orderKeys.get(other).key) < 0);
+    if (insertAt === -1) insertAt = pending.length;
+    pending.splice(insertAt, 0, url);
+  }
+
+  for (const [index, url] of startUrls.entries()) {
+    await discover(normalize(url), [index], 0);
+  }
+
+  // Reserve the next request slot for this host so parallel tabs stay `hostDelayMs` apart
+  async function waitForHostSlot(url) {
+    if (hostDelayMs <= 0) return;
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, hostNextSlot.get(host) || 0);
+    hostNextSlot.set(host, slot + hostDelayMs);
+    if (slot > now) await sleep(slot - now);
+  }
+
+  async function navigate(page, url) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForHostSlot(url);
+      try {
+        const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: pageTimeoutMs });
+        const status = response?.status();
+        // Retry overloaded servers, but scan whatever they serve on the last attempt
+        if (attempt < retries && (status === 429 || status >= 500)) {
+          const error = new Error(`HTTP ${status}`);
+          error.transient = true;
+          throw error;
+        }
+        return attempt + 1;
+      } catch (error) {
+        if (attempt >= retries || !isTransientNavigationError(error) || signal?.aborted) {
+          error.attempts = attempt + 1;
+          throw error;
+        }
+        const delay = retryBaseDelayMs * 2 ** attempt + Math.floor(Math.random() * retryBaseDelayMs);
+        console.log(`[CRAWL] Retrying ${url} in ${delay}ms (attempt ${attempt + 2}/${retries + 1}): ${error.message}`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function scanOne(url) {
+    const { key, depth } = orderKeys.get(url);
+    const page = await browser.newPage();
+    try {
+      await setupPage(page);
+      const attempts = await navigate(page, url);
+      const { links = [], data } = await visit(page, url, { depth, isStartPage: depth === 0 && key[0] === 0 });
+
+      for (const [index, link] of links.entries()) {
+        const normalizedLink = normalize(link);
+        if (normalizedLink) await discover(normalizedLink, [...orderKeys.get(url).key, index], depth + 1);
+      }
+
+      const pageResult = { url, depth, attempts, data };
+      pages.push(pageResult);
+      onPageDone(pageResult, { pages_scanned: pages.length, queue_size: pending.length, in_flight: inFlight - 1 });
+    } catch (error) {
+      console.error(`Error scanning ${url}:`, error.message);
+      failures.push({ url, depth, error: error.message, attempts: error.attempts || 1 });
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  // Only start a page while successes + in-flight stay under the limit, so
+  // `pageLimit` is never exceeded and failed pages free their slot for the next URL.
+  async function worker() {
+    while (!signal?.aborted) {
+      if (pages.length + inFlight >= pageLimit) return;
+      const url = pending.shift();
+      if (!url) {
+        if (inFlight === 0) return;
+        await sleep(50); // another tab may still discover links
+        continue;
+      }
+      started.add(url);
+      inFlight++;
+      try {
+        await scanOne(url);
+      } finally {
+        inFlight--;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const byOrder = (a, b) => compareKeys(orderKeys.get(a.url).key, orderKeys.get(b.url).key);
+  return {
+    pages: pages.sort(byOrder),
+    failures: failures.sort(byOrder),
+    skipped: Array.from(skipped, ([url, reason]) => ({ url, reason })),
+    pending: [...pending]
+  };
+}
@@ -0,0 +1,219 @@
+import { throwIfCancelled } from './jobs.js';
+
+// Verification of AI-suggested fixes: the explanation's `code_after` replaces the failing
+// element in a fresh load of its page, and axe re-runs the rule on just that markup. Each
+// explained rule is checked on the element its explanation was written for, and the
+// outcome is attached to every violation of the rule as `ai_fix_verification`:
+//
+//   verified   - the rule passes on the new markup
+//   partial    - fewer failing elements or checks than before, or only "needs review" results
+//   not_fixing - the rule fails as badly as before
+//   unverified - the fix couldn't be tested (`reason` says why)
+//
+// A partial or failing fix is sent back to the model once with what still fails, and the
+// better of the two suggestions is kept.
+//
+// Each check loads a page again, so at most `maxChecks` rules are checked per scan (the most
+// severe and widespread first); the rest are `unverified` with reason `check_limit`.
+
+export const FIX_STATUSES = ['verified', 'partial', 'not_fixing', 'unverified'];
+
+const STATUS_RANK = { verified: 3, partial: 2, not_fixing: 1, unverified: 0 };
+const MARKER_ATTRIBUTE = 'data-ada-fix-check';
+const MAX_REPORTED_FAILURES = 5;
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+const FALLBACK_MAX_CHECKS = 20;
+export const DEFAULT_MAX_CHECKS = maxChecksFromEnv(process.env.AI_FIX_VERIFICATION_MAX_CHECKS);
+
+// A non-negative whole number; anything else falls back to the default rather than
+// silently turning verification off
+function maxChecksFromEnv(raw) {
+  if (raw === undefined || raw === '') return FALLBACK_MAX_CHECKS;
+  if (!/^\d+$/.test(raw.trim())) {
+    console.error(`[AI FIX] AI_FIX_VERIFICATION_MAX_CHECKS must be a whole number (got "${raw}"); using ${FALLBACK_MAX_CHECKS}`);
+    return FALLBACK_MAX_CHECKS;
+  }
+  return Number(raw);
+}
+
+// Why a violation's suggested fix can't be tested, or null if it can
+function untestableReason(violation, explanation) {
+  if (violation.source !== 'axe') return 'scanner_rule';
+  if (violation.flow_name) return 'flow_state';
+  if (!explanation?.code_after?.trim()) return 'no_code';
+  const target = violation.nodes?.[0]?.target;
+  if (!Array.isArray(target) || target.length !== 1 || typeof target[0] !== 'string') return 'frame_or_shadow_dom';
+  return null;
+}
+
+// Replace the element at `selector` with `codeAfter` and run axe's `ruleId` on the element
+// before and on the replacement after. Runs in the page; axe must already be injected.
+function checkInPage(selector, ruleId, codeAfter, marker) {
+  const summarize = (results) => {
+    const failing = results.violations.flatMap(rule => rule.nodes);
+    return {
+      passes: results.passes.reduce((count, rule) => count + rule.nodes.length, 0),
+      violations: failing.length,
+      // A node fails one check for its "any" group, plus each failing "all" and "none" check
+      failing_checks: failing.reduce((count, node) => count + (node.any.length > 0 ? 1 : 0) + node.all.length + node.none.length, 0),
+      incomplete: results.incomplete.reduce((count, rule) => count + rule.nodes.length, 0),
+      failures: failing.map(node => node.failureSummary).filter(Boolean)
+    };
+  };
+  const options = { runOnly: { type: 'rule', values: [ruleId] } };
+
+  let element;
+  try {
+    element = document.querySelector(selector);
+  } catch (error) {
+    return { reason: 'invalid_selector' };
+  }
+  if (!element) return { reason: 'element_not_found' };
+
+  return (async () => {
+    element.setAttribute(marker, 'before');
+    const before = summarize(await axe.run({ include: [[`[${marker}="before"]`]] }, options));
+
+    // Parsed inert: scripts are dropped and event handler attributes removed before insertion
+    const template = document.createElement('template');
+    template.innerHTML = codeAfter;
+    template.content.querySelectorAll('script').forEach(script => script.remove());
+    template.content.querySelectorAll('*').forEach(node => {
+      Array.from(node.attributes)
+        .filter(attribute => /^on/i.test(attribute.name))
+        .forEach(attribute => node.removeAttribute(attribute.name));
+    });
+    const replacements = Array.from(template.content.children);
+    if (replacements.length === 0) return { reason: 'no_markup', before };
+
+    replacements.forEach(node => node.setAttribute(marker, 'after'));
+    element.replaceWith(template.content);
+    const after = summarize(await axe.run({ include: [[`[${marker}="after"]`]] }, options));
+    return { before, after };
+  })();
+}
+
+function classify({ before, after }) {
+  if (after.violations === 0 && after.incomplete === 0) {
+    // Markup the rule no longer applies to (e.g. the element was removed) proves nothing
+    return after.passes > 0 ? 'verified' : 'unverified';
+  }
+  if (after.violations === 0) return 'partial';
+  if (after.violations < before.violations || after.failing_checks < before.failing_checks) return 'partial';
+  return 'not_fixing';
+}
+
+// `openPage(url)` resolves with a loaded page ready for axe (see injectAxe in lib/scanner.js);
+// the page is closed after each check. `ai` is the analyzer that wrote the explanations (for
+// revisions). Resolves with `violations`, each explained one carrying `ai_fix_verification`.
+export async function verifyFixes(violations, { openPage, ai, meter = null, signal, reportProgress = () => {}, maxChecks = DEFAULT_MAX_CHECKS }) {
+  // One check per rule, on the violation its explanation was written for
+  const firstByRule = new Map();
+  const countByRule = new Map();
+  violations.forEach(v => {
+    if (!firstByRule.has(v.rule_id)) firstByRule.set(v.rule_id, v);
+    countByRule.set(v.rule_id, (countByRule.get(v.rule_id) || 0) + 1);
+  });
+  const explained = Array.from(firstByRule.values())
+    .filter(v => v.ai_explanation)
+    .sort((a, b) => ((IMPACT_ORDER[a.impact] ?? 4) - (IMPACT_ORDER[b.impact] ?? 4))
+      || countByRule.get(b.rule_id) - countByRule.get(a.rule_id));
+  const toCheck = explained.slice(0, Math.max(0, maxChecks));
+  if (explained.length > toCheck.length) {
+    console.log(`[AI FIX] Checking ${toCheck.length} of ${explained.length} explained rules (limit ${maxChecks})`);
+  }
+
+  async function check(violation, explanation) {
+    const reason = untestableReason(violation, explanation);
+    if (reason) return { status: 'unverified', reason };
+
+    const page = await openPage(violation.page_url);
+    try {
+      const outcome = await page.evaluate(checkInPage, violation.nodes[0].target[0], violation.rule_id, explanation.code_after, MARKER_ATTRIBUTE);
+      if (outcome.reason) return { status: 'unverified', reason: outcome.reason };
+      if (outcome.before.violations === 0) return { status: 'unverified', reason: 'not_reproduced' };
+
+      const status = classify(outcome);
+      return {
+        status,
+        ...(status === 'unverified' && { reason: 'rule_not_applicable' }),
+        ...(status !== 'verified' && status !== 'unverified' && {
+          remaining_failures: outcome.after.failures.slice(0, MAX_REPORTED_FAILURES)
+        })
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  const results = new Map();
+  for (let i = 0; i < toCheck.length; i++) {
+    throwIfCancelled(signal);
+    reportProgress({ phase: 'ai_fix_verification', ai_fixes_checked: i, ai_fixes_total: toCheck.length });
+
+    const violation = toCheck[i];
+    let explanation = violation.ai_explanation;
+    let explanationStatus = violation.ai_explanation_status;
+    let verification;
+    try {
+      verification = await check(violation, explanation);
+    } catch (error) {
+      console.error(`[AI FIX] Could not check ${violation.rule_id} on ${violation.page_url}:`, error.message);
+      verification = { status: 'unverified', reason: 'check_failed' };
+    }
+    let attempts = 1;
+    let revised = false;
+
+    if (verification.status === 'partial' || verification.status === 'not_fixing') {
+      // A failed revision keeps the first verification; it must not stop the other rules
+      let revision = null;
+      try {
+        revision = await ai.reviseFix(violation, explanation, verification, meter);
+      } catch (error) {
+        console.error(`[AI FIX] Could not revise ${violation.rule_id}:`, error.message);
+      }
+      attempts = 2;
+      if (revision?.explanation) {
+        let retried;
+        try {
+          retried = await check(violation, revision.explanation);
+        } catch (error) {
+          console.error(`[AI FIX] Could not check revised ${violation.rule_id}:`, error.message);
+          retried = { status: 'unverified', reason: 'check_failed' };
+        }
+        if (STATUS_RANK[retried.status] > STATUS_RANK[verification.status]) {
+          explanation = revision.explanation;
+          explanationStatus = revision.status;
+          verification = retried;
+          revised = true;
+          await ai.rememberExplanation(violation, { explanation, status: explanationStatus });
+        }
+      }
+    }
+
+    console.log(`[AI FIX] ${violation.rule_id}: ${verification.status}${verification.reason ? ` (${verification.reason})` : ''}${revised ? ' after revision' : ''}`);
+    results.set(violation.rule_id, {
+      explanation,
+      explanationStatus,
+      verification: {
+        ...verification,
+        attempts,
+        revised,
+        checked_on: { page_url: violation.page_url, selector: violation.nodes?.[0]?.selector || violation.element_selector }
+      }
+    });
+  }
+
+  const skipped = { status: 'unverified', reason: 'check_limit', attempts: 0, revised: false };
+  return violations.map(v => {
+    if (!v.ai_explanation) return v;
+    const result = results.get(v.rule_id);
+    if (!result) return { ...v, ai_fix_verification: skipped };
+    return {
+      ...v,
+      ai_explanation: result.explanation,
+      ai_explanation_status: result.explanationStatus,
+      ai_fix_verification: result.verification
+    };
+  });
+}
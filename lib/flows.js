@@ -0,0 +1,161 @@
+// Scripted user flows: drive a page through clicks, typing and form submissions
+// so states the crawler never sees (open modals, menus, validation errors) get audited.
+
+const STEP_ACTIONS = ['click', 'type', 'press', 'select', 'hover', 'wait_for', 'submit', 'wait'];
+const SELECTOR_ACTIONS = ['click', 'type', 'select', 'hover', 'wait_for', 'submit'];
+
+export const MAX_FLOWS = 10;
+export const MAX_STEPS_PER_FLOW = 50;
+const MAX_WAIT_MS = 10000;
+
+// Validate the `flows` field of a scan request. `isSiteUrl(url)` keeps flows on the scanned site.
+// Throws with a client-facing message.
+export function validateFlows(flows, isSiteUrl) {
+  if (flows === undefined || flows === null) return;
+  if (!Array.isArray(flows)) {
+    throw new Error('flows must be an array');
+  }
+  if (flows.length > MAX_FLOWS) {
+    throw new Error(`at most ${MAX_FLOWS} flows are allowed per scan`);
+  }
+
+  const flowNames = new Set();
+  flows.forEach((flow, flowIndex) => {
+    const label = `flows[${flowIndex}]`;
+    if (!flow?.name || typeof flow.name !== 'string') {
+      throw new Error(`${label}.name is required`);
+    }
+    if (flowNames.has(flow.name)) {
+      throw new Error(`duplicate flow name "${flow.name}"`);
+    }
+    flowNames.add(flow.name);
+
+    if (flow.url !== undefined && !isSiteUrl(flow.url)) {
+      throw new Error(`${label}.url must be a page on the scanned site`);
+    }
+    if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+      throw new Error(`${label}.steps must be a non-empty array`);
+    }
+    if (flow.steps.length > MAX_STEPS_PER_FLOW) {
+      throw new Error(`${label} has more than ${MAX_STEPS_PER_FLOW} steps`);
+    }
+
+    const stepNames = new Set();
+    flow.steps.forEach((step, stepIndex) => {
+      const stepLabel = `${label}.steps[${stepIndex}]`;
+      if (!STEP_ACTIONS.includes(step?.action)) {
+        throw new Error(`${stepLabel}.action must be one of: ${STEP_ACTIONS.join(', ')}`);
+      }
+      if (SELECTOR_ACTIONS.includes(step.action) && !step.selector) {
+        throw new Error(`${stepLabel}.selector is required for "${step.action}"`);
+      }
+      if (step.action === 'type' && typeof step.text !== 'string') {
+        throw new Error(`${stepLabel}.text is required for "type"`);
+      }
+      if (step.action === 'press' && !step.key) {
+        throw new Error(`${stepLabel}.key is required for "press"`);
+      }
+      if (step.action === 'select' && step.value === undefined) {
+        throw new Error(`${stepLabel}.value is required for "select"`);
+      }
+      if (step.name !== undefined) {
+        if (stepNames.has(step.name)) {
+          throw new Error(`duplicate step name "${step.name}" in flow "${flow.name}"`);
+        }
+        stepNames.add(step.name);
+      }
+    });
+  });
+}
+
+// Let the page react to an interaction (XHR validation, animations) before auditing it
+async function settle(page, timeoutMs) {
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: Math.min(timeoutMs, MAX_WAIT_MS) }).catch(() => {});
+}
+
+// Perform one step. Navigation caused by the step is awaited.
+export async function runStep(page, step, timeoutMs) {
+  const timeout = step.timeout_ms ? Math.min(step.timeout_ms, timeoutMs) : timeoutMs;
+  const visible = { visible: true, timeout };
+
+  switch (step.action) {
+    case 'click': {
+      await page.waitForSelector(step.selector, visible);
+      // Awaited together so a failed click can't leave the navigation promise unhandled
+      await Promise.all([
+        step.wait_for_navigation ? page.waitForNavigation({ waitUntil: 'networkidle2', timeout }) : null,
+        page.click(step.selector)
+      ]);
+      break;
+    }
+    case 'type':
+      await page.waitForSelector(step.selector, visible);
+      if (step.clear !== false) {
+        await page.$eval(step.selector, el => { el.value = ''; });
+      }
+      await page.type(step.selector, step.text);
+      break;
+    case 'press':
+      if (step.selector) {
+        await page.focus(step.selector);
+      }
+      await page.keyboard.press(step.key);
+      break;
+    case 'select':
+      await page.waitForSelector(step.selector, visible);
+      await page.select(step.selector, ...[].concat(step.value));
+      break;
+    case 'hover':
+      await page.waitForSelector(step.selector, visible);
+      await page.hover(step.selector);
+      break;
+    case 'wait_for':
+      await page.waitForSelector(step.selector, step.state === 'hidden'
+        ? { hidden: true, timeout }
+        : visible);
+      break;
+    case 'submit': {
+      await page.waitForSelector(step.selector, { timeout });
+      const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout }).catch(() => null);
+      // requestSubmit runs the browser's constraint validation, like a real submit click
+      await page.$eval(step.selector, el => {
+        const form = el.tagName === 'FORM' ? el : el.form || el.closest('form');
+        if (!form) throw new Error('No form found for submit step');
+        form.requestSubmit();
+      });
+      await navigation;
+      break;
+    }
+    case 'wait':
+      await new Promise(resolve => setTimeout(resolve, Math.min(step.ms || 1000, MAX_WAIT_MS)));
+      break;
+  }
+
+  await settle(page, timeout);
+}
+
+// Run one flow on an open page. After each named step, `audit(page, stepName)` runs.
+// Stops at the first failing step; resolves with a per-step report.
+export async function runFlow(page, flow, { timeoutMs, audit }) {
+  const steps = [];
+
+  for (let index = 0; index < flow.steps.length; index++) {
+    const step = flow.steps[index];
+    const report = { index, name: step.name || null, action: step.action, status: 'ok', error: null };
+    steps.push(report);
+
+    try {
+      await runStep(page, step, timeoutMs);
+      if (step.name) {
+        Object.assign(report, await audit(page, step.name));
+      }
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      console.error(`[FLOW] "${flow.name}" failed at step ${index} (${step.action}):`, error.message);
+      return { status: 'failed', steps };
+    }
+  }
+
+  return { status: 'completed', steps };
+}
@@ -0,0 +1,153 @@
+// Issue groups: the same failing element repeated across pages (a header, nav or footer
+// from a shared template) is one fix, so violations are clustered by rule plus a
+// normalized selector/markup signature, and each group says how many pages it resolves.
+
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+const LAYOUT_REGIONS = ['header', 'nav', 'footer', 'aside'];
+
+// Runs in the page: the landmark each element sits in
+function landmarkRegions(selectors) {
+  const regions = {
+    header: 'header, [role="banner"]',
+    nav: 'nav, [role="navigation"]',
+    footer: 'footer, [role="contentinfo"]',
+    aside: 'aside, [role="complementary"]',
+    main: 'main, [role="main"]'
+  };
+  return selectors.map(selector => {
+    let element = null;
+    try {
+      element = document.querySelector(selector);
+    } catch {}
+    if (!element) return null;
+    // Innermost landmark wins, e.g. a nav inside the header is "nav"
+    let best = null;
+    let bestDepth = -1;
+    for (const [name, query] of Object.entries(regions)) {
+      const landmark = element.closest(query);
+      if (!landmark) continue;
+      let depth = 0;
+      for (let node = landmark; node; node = node.parentElement) depth++;
+      if (depth > bestDepth) {
+        best = name;
+        bestDepth = depth;
+      }
+    }
+    return best || 'body';
+  });
+}
+
+// Tag each node of axe-shaped violations with the landmark region it's in.
+// Only top-document selectors can be resolved; nodes in iframes or shadow roots are skipped.
+export async function annotateRegions(page, violations) {
+  const nodes = violations.flatMap(violation => violation.nodes)
+    .filter(node => node.target.length === 1 && typeof node.target[0] === 'string');
+  if (nodes.length === 0) return;
+
+  const regions = await page.evaluate(landmarkRegions, nodes.map(node => node.target[0]));
+  nodes.forEach((node, index) => {
+    if (regions[index]) node.region = regions[index];
+  });
+}
+
+// CMS-generated ids and positions ("#menu-item-123") differ between otherwise identical pages
+function normalizeSelector(selector) {
+  return String(selector || '')
+    .replace(/\s+/g, ' ')
+    .replace(/([#.][\w-]*?)-?\d+\b/g, '$1-#')
+    .trim();
+}
+
+const STATE_CLASS = /^(is-|has-)|active|current|selected|open|expanded|focus|hover|visited/i;
+
+// Opening tag reduced to its structure: tag name, attribute names and stable classes.
+// Text, links and sources vary per page and are ignored.
+function htmlSignature(html) {
+  const openingTag = /^<([a-z][\w-]*)([^>]*)>/i.exec(String(html || '').trim());
+  if (!openingTag) return '';
+  const [, tag, attributeText] = openingTag;
+  const attributes = [];
+  let classes = [];
+  for (const match of attributeText.matchAll(/([^\s=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g)) {
+    const name = match[1].toLowerCase();
+    if (name === 'class') {
+      classes = (match[2] || '').replace(/^["']|["']$/g, '').split(/\s+/)
+        .filter(cls => cls && !STATE_CLASS.test(cls))
+        .map(cls => cls.replace(/\d+/g, '#'));
+    } else if (!name.startsWith('aria-current') && !name.startsWith('data-')) {
+      attributes.push(name);
+    }
+  }
+  return `${tag.toLowerCase()}[${attributes.sort().join(',')}].${classes.sort().join('.')}`;
+}
+
+export function nodeSignature(ruleId, node) {
+  return `${ruleId}|${normalizeSelector(node.selector)}|${htmlSignature(node.html)}`;
+}
+
+// Cluster violation records into issue groups, biggest cross-page groups first
+export function groupViolations(violations) {
+  const groups = new Map();
+
+  for (const violation of violations) {
+    for (const node of violation.nodes) {
+      const key = nodeSignature(violation.rule_id, node);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          rule_id: violation.rule_id,
+          impact: violation.impact,
+          description: violation.description,
+          help_url: violation.help_url,
+          wcag_criteria: violation.wcag_criteria || [],
+          example: {
+            page_url: violation.page_url,
+            selector: node.selector,
+            html: node.html,
+            failure_summary: node.failure_summary
+          },
+          pages: new Set(),
+          violationIds: new Set(),
+          regions: {},
+          occurrences: 0
+        });
+      }
+      const group = groups.get(key);
+      group.pages.add(violation.page_url);
+      group.violationIds.add(violation.violation_id);
+      group.occurrences++;
+      if (node.region) group.regions[node.region] = (group.regions[node.region] || 0) + 1;
+    }
+  }
+
+  return Array.from(groups.values())
+    .map(({ pages, violationIds, regions, ...group }) => {
+      const region = Object.entries(regions).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+      return {
+        ...group,
+        region,
+        shared_layout: pages.size > 1 && LAYOUT_REGIONS.includes(region),
+        pages_affected: pages.size,
+        page_urls: Array.from(pages),
+        violation_ids: Array.from(violationIds)
+      };
+    })
+    .sort((a, b) =>
+      b.pages_affected - a.pages_affected ||
+      (IMPACT_ORDER[a.impact] ?? 4) - (IMPACT_ORDER[b.impact] ?? 4) ||
+      b.occurrences - a.occurrences)
+    .map((group, index) => ({ group_id: `GRP_${index + 1}`, ...group }));
+}
+
+// Headline numbers for the report: how many pages the cross-page fixes touch
+export function summarizeGroups(groups, pagesScanned) {
+  const repeated = groups.filter(group => group.pages_affected > 1);
+  return {
+    groups: groups.length,
+    repeated_groups: repeated.length,
+    shared_layout_groups: groups.filter(group => group.shared_layout).length,
+    pages_scanned: pagesScanned,
+    top_fix: repeated[0]
+      ? { group_id: repeated[0].group_id, rule_id: repeated[0].rule_id, pages_affected: repeated[0].pages_affected }
+      : null
+  };
+}
@@ -0,0 +1,234 @@
+import { createHash } from 'crypto';
+import path from 'path';
+import { KEYBOARD_RULES } from './keyboard.js';
+import { scannedPages } from './scoring.js';
+import { safeSegment, readJson, writeJson, createKeyedLock } from './storage.js';
+
+// Scan history: completed scans are stored per customer on disk, and each new scan is
+// diffed against the previous state of the same site so violations carry real
+// new / still open / fixed status instead of always being "open".
+//
+// Layout under `dir`:
+//   <customer>/index.json          newest-first scan summaries
+//   <customer>/scans/<scan_id>.json full scan results
+//   <customer>/sites/<site>.json   open and recently fixed issues for one website
+
+const MAX_FIXED_REMEMBERED = 5000; // per site, for spotting regressions
+const MAX_FIXED_IN_DIFF = 500;
+
+function sha1(value) {
+  return createHash('sha1').update(value).digest('hex');
+}
+
+// One site per host (ignoring www) and path, so http/https and trailing slashes don't split history
+export function siteKey(websiteUrl) {
+  let key;
+  try {
+    const parsed = new URL(websiteUrl);
+    key = parsed.hostname.toLowerCase().replace(/^www\./, '') + parsed.pathname.replace(/\/+$/, '');
+  } catch {
+    key = String(websiteUrl).trim().toLowerCase();
+  }
+  return sha1(key).slice(0, 16);
+}
+
+function normalizeTarget(selector) {
+  return String(selector || '').replace(/\s+/g, ' ').trim();
+}
+
+// Markup minus whitespace differences and per-request tokens
+export function normalizeHtml(html) {
+  return String(html || '')
+    .replace(/\s(nonce|data-csrf|data-reactid)="[^"]*"/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Stable identity of one failing element: rule + page + target + markup hash
+export function fingerprintNode(ruleId, pageUrl, node) {
+  const htmlHash = sha1(normalizeHtml(node.html)).slice(0, 16);
+  return sha1([ruleId, pageUrl, normalizeTarget(node.selector), htmlHash].join('|')).slice(0, 20);
+}
+
+// What this scan actually looked at. An issue is only "fixed" if its page was scanned
+// again with the check that found it; otherwise it stays open.
+function scanCoverage(result, checkedRules) {
+  const pages = new Set(scannedPages(result));
+  (result.flows || []).forEach(flow => {
+    flow.steps.forEach(step => { if (step.page_url) pages.add(step.page_url); });
+  });
+  const keyboardPages = new Set((result.keyboard_audits || [])
+    .filter(audit => !audit.error)
+    .map(audit => audit.page_url));
+  const viewports = new Set(result.viewports || []);
+
+  return (issue) => {
+    if (!pages.has(issue.page_url)) return false;
+    if (checkedRules && !checkedRules.has(issue.rule_id)) return false;
+    if (KEYBOARD_RULES.includes(issue.rule_id) && !keyboardPages.has(issue.page_url)) return false;
+    if (issue.viewports && !issue.viewports.some(name => viewports.has(name))) return false;
+    return true;
+  };
+}
+
+function summarize(result) {
+  return {
+    scan_id: result.scan_id,
+    website_url: result.website_url,
+    scan_date: result.scan_date,
+    pages_scanned: result.pages_scanned,
+    total_violations: result.total_violations,
+    complianceScore: result.complianceScore,
+    // Scans from before versioned scoring used the version 1 formula
+    score_version: result.score?.version ?? 1,
+    diff: result.history ? {
+      new: result.history.new_count,
+      regressed: result.history.regressed_count,
+      still_open: result.history.still_open_count,
+      fixed: result.history.fixed_count
+    } : null
+  };
+}
+
+export function createScanHistory({ dir }) {
+  // Writes for one customer are serialized so concurrent scans don't lose index entries
+  const withLock = createKeyedLock();
+
+  function customerDir(customerId) {
+    return path.join(dir, safeSegment(customerId));
+  }
+
+  // Annotate `result` in place with fingerprints and diff status against the site's
+  // previous state, then store it. Resolves with the diff summary.
+  // `checkedRules` (a Set of rule ids) limits which missing issues can count as fixed.
+  async function record(result, { checkedRules } = {}) {
+    const { customer_id, website_url, scan_id, scan_date } = result;
+    const base = customerDir(customer_id);
+
+    return withLock(customer_id, async () => {
+      const siteFile = path.join(base, 'sites', `${siteKey(website_url)}.json`);
+      const site = await readJson(siteFile, { website_url, open: {}, fixed: {}, last_scan_id: null, last_scan_date: null });
+      const wasRechecked = scanCoverage(result, checkedRules);
+
+      const open = {};
+      const counts = { new: 0, regressed: 0, still_open: 0 };
+
+      for (const violation of [...result.violations, ...(result.best_practice_findings || [])]) {
+        for (const node of violation.nodes) {
+          const fingerprint = fingerprintNode(violation.rule_id, violation.page_url, node);
+          const previous = site.open[fingerprint];
+          const fixedBefore = site.fixed[fingerprint];
+          let status;
+          if (previous) {
+            status = 'open';
+            counts.still_open++;
+          } else if (fixedBefore) {
+            status = 'regressed';
+            counts.regressed++;
+          } else {
+            status = 'new';
+            counts.new++;
+          }
+
+          node.fingerprint = fingerprint;
+          node.diff_status = status;
+          node.first_detected = previous?.first_detected || scan_date;
+
+          // Several records can share an element (e.g. crawl and flow); keep the first
+          if (!open[fingerprint]) {
+            open[fingerprint] = {
+              rule_id: violation.rule_id,
+              page_url: violation.page_url,
+              selector: node.selector,
+              html_snippet: node.html,
+              impact: node.impact || violation.impact,
+              description: violation.description,
+              help_url: violation.help_url,
+              ...(node.viewports && { viewports: node.viewports }),
+              first_detected: node.first_detected,
+              last_seen_scan_id: scan_id,
+              last_seen_date: scan_date
+            };
+          }
+        }
+
+        // A record is new if any of its elements is, and dates from its oldest element
+        const statuses = violation.nodes.map(node => node.diff_status);
+        violation.diff_status = statuses.includes('regressed') ? 'regressed'
+          : statuses.includes('new') ? 'new'
+          : 'open';
+        violation.detected_date = violation.nodes
+          .map(node => node.first_detected)
+          .reduce((earliest, date) => (date < earliest ? date : earliest), scan_date);
+      }
+
+      // Previously open issues that weren't seen again
+      const fixed = [];
+      let notRechecked = 0;
+      for (const [fingerprint, issue] of Object.entries(site.open)) {
+        if (open[fingerprint]) continue;
+        if (!wasRechecked(issue)) {
+          open[fingerprint] = issue;
+          notRechecked++;
+          continue;
+        }
+        const fixedIssue = { fingerprint, ...issue, fixed_status: 'fixed', fixed_date: scan_date, fixed_in_scan_id: scan_id };
+        fixed.push(fixedIssue);
+        site.fixed[fingerprint] = fixedIssue;
+      }
+      for (const fingerprint of Object.keys(open)) {
+        delete site.fixed[fingerprint];
+      }
+      const fixedEntries = Object.entries(site.fixed);
+      if (fixedEntries.length > MAX_FIXED_REMEMBERED) {
+        fixedEntries.sort((a, b) => (a[1].fixed_date < b[1].fixed_date ? 1 : -1));
+        site.fixed = Object.fromEntries(fixedEntries.slice(0, MAX_FIXED_REMEMBERED));
+      }
+
+      const diff = {
+        previous_scan_id: site.last_scan_id,
+        previous_scan_date: site.last_scan_date,
+        new_count: counts.new,
+        regressed_count: counts.regressed,
+        still_open_count: counts.still_open,
+        fixed_count: fixed.length,
+        not_rechecked_count: notRechecked,
+        fixed: fixed.slice(0, MAX_FIXED_IN_DIFF)
+      };
+      result.history = diff;
+
+      await writeJson(path.join(base, 'scans', `${safeSegment(scan_id)}.json`), result);
+      await writeJson(siteFile, {
+        website_url,
+        open,
+        fixed: site.fixed,
+        last_scan_id: scan_id,
+        last_scan_date: scan_date
+      });
+
+      const indexFile = path.join(base, 'index.json');
+      const index = await readJson(indexFile, []);
+      const entries = index.filter(entry => entry.scan_id !== scan_id);
+      entries.unshift(summarize(result));
+      await writeJson(indexFile, entries);
+
+      console.log(`[HISTORY] ${customer_id} ${website_url}: ${counts.new} new, ${counts.regressed} regressed, ${counts.still_open} still open, ${fixed.length} fixed`);
+      return diff;
+    });
+  }
+
+  // Newest-first scan summaries for a customer, optionally for one website
+  async function list(customerId, { websiteUrl, limit = 50 } = {}) {
+    const index = await readJson(path.join(customerDir(customerId), 'index.json'), []);
+    const key = websiteUrl ? siteKey(websiteUrl) : null;
+    const entries = key ? index.filter(entry => siteKey(entry.website_url) === key) : index;
+    return { total: entries.length, scans: entries.slice(0, limit) };
+  }
+
+  // Full stored result, or null
+  async function get(customerId, scanId) {
+    return readJson(path.join(customerDir(customerId), 'scans', `${safeSegment(scanId)}.json`), null);
+  }
+
+  return { record, list, get };
+}
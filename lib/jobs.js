@@ -0,0 +1,187 @@
+import { EventEmitter } from 'events';
+
+// In-memory scan job queue. Jobs live only in this instance's memory, so
+// status polling and event streams must reach the instance that accepted the scan;
+// the service is deployed as a single instance for this reason (see README, Deployment).
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+// Thrown inside a running scan when its job has been cancelled
+export class ScanCancelledError extends Error {
+  constructor(message = 'Scan cancelled') {
+    super(message);
+    this.name = 'ScanCancelledError';
+  }
+}
+
+// Throw if the job's abort signal has fired (call between long-running steps)
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new ScanCancelledError();
+  }
+}
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+// Public view of a job - strips the controller and emitter
+export function serializeJob(job) {
+  return {
+    scan_id: job.scan_id,
+    status: job.status,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    progress: job.progress,
+    error: job.error,
+    result: job.result
+  };
+}
+
+// Create a job queue that runs at most `concurrency` jobs at once.
+// `worker(params, { signal, reportProgress })` performs the scan and resolves with the result.
+// `onEvent(job, event, data)` sees every job's events, including ones emitted before anyone could subscribe.
+export function createJobQueue({ concurrency = 2, retentionMs = 60 * 60 * 1000, worker, onEvent = () => {} }) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function emit(job, event, data) {
+    job.events.emit('event', { event, data });
+    try {
+      onEvent(job, event, data);
+    } catch (error) {
+      console.error(`[JOBS] Event handler failed for ${job.scan_id}:`, error.message);
+    }
+  }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finished_at: new Date().toISOString() });
+    emit(job, status, serializeJob(job));
+    job.events.removeAllListeners();
+
+    // Forget finished jobs after the retention window
+    setTimeout(() => {
+      if (jobs.get(job.scan_id) === job) jobs.delete(job.scan_id);
+    }, retentionMs).unref();
+  }
+
+  async function start(job) {
+    running++;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    job.progress = { phase: 'starting' };
+    emit(job, 'started', { scan_id: job.scan_id, started_at: job.started_at });
+    console.log(`[JOBS] Started ${job.scan_id} (${running}/${concurrency} running, ${pending.length} queued)`);
+
+    const reportProgress = (update) => {
+      job.progress = { ...job.progress, ...update, updated_at: new Date().toISOString() };
+      emit(job, 'progress', job.progress);
+    };
+
+    try {
+      const result = await worker(job.params, { signal: job.controller.signal, reportProgress });
+      if (job.controller.signal.aborted) {
+        finish(job, 'cancelled');
+      } else if (result?.success === false) {
+        finish(job, 'failed', { result, error: result.error });
+      } else {
+        finish(job, 'completed', { result });
+      }
+    } catch (error) {
+      if (error instanceof ScanCancelledError || job.controller.signal.aborted) {
+        finish(job, 'cancelled');
+      } else {
+        console.error(`[JOBS] ${job.scan_id} failed:`, error);
+        finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      running--;
+      console.log(`[JOBS] Finished ${job.scan_id} with status ${job.status}`);
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      start(pending.shift());
+    }
+  }
+
+  // Add a job to the queue. Returns null if a job with this id is still active.
+  function enqueue(scanId, params) {
+    const existing = jobs.get(scanId);
+    if (existing && !isTerminalStatus(existing.status)) {
+      return null;
+    }
+
+    const job = {
+      scan_id: scanId,
+      status: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      progress: { phase: 'queued' },
+      error: null,
+      result: null,
+      params,
+      controller: new AbortController(),
+      events: new EventEmitter()
+    };
+    jobs.set(scanId, job);
+    pending.push(job);
+    drain();
+    return job;
+  }
+
+  function get(scanId) {
+    return jobs.get(scanId) || null;
+  }
+
+  // Cancel a queued or running job. Returns false if it has already finished.
+  function cancel(scanId) {
+    const job = jobs.get(scanId);
+    if (!job || isTerminalStatus(job.status)) return false;
+
+    const queuedIndex = pending.indexOf(job);
+    if (queuedIndex !== -1) {
+      pending.splice(queuedIndex, 1);
+      job.controller.abort();
+      finish(job, 'cancelled');
+    } else {
+      job.controller.abort();
+      job.progress = { ...job.progress, phase: 'cancelling' };
+      emit(job, 'progress', job.progress);
+    }
+    console.log(`[JOBS] Cancel requested for ${scanId}`);
+    return true;
+  }
+
+  // Listen for job events; returns an unsubscribe function
+  function subscribe(scanId, listener) {
+    const job = jobs.get(scanId);
+    if (!job) return () => {};
+    job.events.on('event', listener);
+    return () => job.events.off('event', listener);
+  }
+
+  // Queued and running jobs whose params match `predicate`
+  function countActive(predicate) {
+    let count = 0;
+    for (const job of jobs.values()) {
+      if (!isTerminalStatus(job.status) && predicate(job.params)) count++;
+    }
+    return count;
+  }
+
+  function queuePosition(scanId) {
+    return pending.findIndex(job => job.scan_id === scanId) + 1;
+  }
+
+  function stats() {
+    return { running, queued: pending.length, concurrency };
+  }
+
+  return { enqueue, get, cancel, subscribe, countActive, queuePosition, stats };
+}
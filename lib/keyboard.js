@@ -0,0 +1,428 @@
+import { createViolation } from './violations.js';
+import { installPageHelpers } from './page-helpers.js';
+
+// Keyboard navigation audit: tabs through a loaded page with real key presses and
+// reports traps, unreachable controls, backwards focus order, missing focus
+// indicators and broken skip links as scanner violations.
+
+export const KEYBOARD_DEFAULTS = {
+  maxTabStops: 150,
+  maxIndicatorChecks: 40
+};
+
+// Resolve the `keyboard_audit` request field: false/absent disables, true uses defaults,
+// or `{ max_tab_stops, max_indicator_checks }`
+export function resolveKeyboardOptions(requested) {
+  if (!requested) return null;
+  const options = requested === true ? {} : requested;
+  const clamp = (value, fallback, max) => Number.isInteger(value) && value > 0 ? Math.min(value, max) : fallback;
+  return {
+    maxTabStops: clamp(options.max_tab_stops, KEYBOARD_DEFAULTS.maxTabStops, 500),
+    maxIndicatorChecks: clamp(options.max_indicator_checks, KEYBOARD_DEFAULTS.maxIndicatorChecks, 200)
+  };
+}
+
+// Rule ids this audit can report
+export const KEYBOARD_RULES = [
+  'keyboard-trap',
+  'keyboard-unreachable',
+  'focus-order-backwards',
+  'focus-indicator-missing',
+  'skip-link-broken',
+  'skip-link-missing'
+];
+
+const INDICATOR_PADDING = 4; // outlines and focus rings are drawn outside the element box
+const BACKWARDS_TOLERANCE = 10;
+
+// Runs in the page: describe the focused element (looking through shadow roots) and
+// give it a stable id so repeated visits can be recognized.
+function describeActiveElement() {
+  const { cssPath, outerHtmlSnippet } = window.__adaScanner;
+  const state = window.__adaFocus || (window.__adaFocus = { ids: new WeakMap(), elements: new Map(), next: 1 });
+
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  if (!element || element === document.body || element === document.documentElement) {
+    return null;
+  }
+
+  if (!state.ids.has(element)) {
+    state.ids.set(element, state.next);
+    state.elements.set(state.next, element);
+    state.next++;
+  }
+
+  const rect = element.getBoundingClientRect();
+  const style = getComputedStyle(element);
+  let positioned = false;
+  for (let node = element; node && node !== document.body; node = node.parentElement) {
+    const position = getComputedStyle(node).position;
+    if (position === 'fixed' || position === 'sticky') {
+      positioned = true;
+      break;
+    }
+  }
+
+  return {
+    id: state.ids.get(element),
+    selector: cssPath(element),
+    html: outerHtmlSnippet(element),
+    tag: element.tagName.toLowerCase(),
+    tabindex: element.getAttribute('tabindex'),
+    in_main: !!element.closest('main, [role="main"]'),
+    positioned,
+    rect: {
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+      width: rect.width,
+      height: rect.height
+    },
+    style: [
+      style.outlineStyle, style.outlineWidth, style.outlineColor, style.outlineOffset,
+      style.boxShadow, style.borderColor, style.borderWidth, style.backgroundColor,
+      style.color, style.textDecorationLine
+    ].join('|')
+  };
+}
+
+// Runs in the page: style fingerprint of an element by focus id
+function styleOfFocusId(id) {
+  const element = window.__adaFocus?.elements.get(id);
+  if (!element) return null;
+  const style = getComputedStyle(element);
+  return [
+    style.outlineStyle, style.outlineWidth, style.outlineColor, style.outlineOffset,
+    style.boxShadow, style.borderColor, style.borderWidth, style.backgroundColor,
+    style.color, style.textDecorationLine
+  ].join('|');
+}
+
+// Runs in the page: elements that look clickable but were never reached with Tab
+function findUnreachableInteractive(reachedIds) {
+  const { cssPath, outerHtmlSnippet, isVisible } = window.__adaScanner;
+  const reached = new Set(reachedIds.map(id => window.__adaFocus?.elements.get(id)).filter(Boolean));
+  const focusable = 'a[href], button, input, select, textarea, summary, iframe, [tabindex], [contenteditable="true"], audio[controls], video[controls]';
+  const interactiveRoles = ['button', 'link', 'menuitem', 'tab', 'checkbox', 'radio', 'switch', 'option', 'slider', 'combobox'];
+  const results = [];
+
+  for (const element of document.querySelectorAll('body *')) {
+    if (results.length >= 20) break;
+    if (reached.has(element) || !isVisible(element)) continue;
+    if (element.closest('[disabled], [aria-disabled="true"], [inert], [aria-hidden="true"]')) continue;
+
+    const role = element.getAttribute('role');
+    const looksInteractive = element.hasAttribute('onclick') ||
+      interactiveRoles.includes(role) ||
+      (getComputedStyle(element).cursor === 'pointer' &&
+        getComputedStyle(element.parentElement || document.body).cursor !== 'pointer');
+    if (!looksInteractive) continue;
+
+    // Natively focusable controls only count if they were removed from the tab order
+    if (element.matches(focusable)) {
+      if (element.tabIndex >= 0) continue;
+    } else if (element.parentElement?.closest(focusable)) {
+      continue; // clickable content inside a focusable control (e.g. icon in a button)
+    }
+
+    // Something inside it was reached, so the control is keyboard-operable
+    if (Array.from(reached).some(node => element.contains(node))) continue;
+
+    results.push({
+      selector: cssPath(element),
+      html: outerHtmlSnippet(element),
+      data: { role, tabindex: element.getAttribute('tabindex'), onclick: element.hasAttribute('onclick') }
+    });
+  }
+  return results;
+}
+
+// Runs in the page: is this focus id a same-page skip link, and where does it point?
+function inspectSkipLink(id) {
+  const element = window.__adaFocus?.elements.get(id);
+  if (!element || element.tagName !== 'A') return null;
+  const href = element.getAttribute('href') || '';
+  const hash = href.startsWith('#') ? href : (element.hash && element.pathname === location.pathname ? element.hash : '');
+  const text = `${element.textContent} ${element.getAttribute('aria-label') || ''}`;
+  if (!hash || hash === '#' || !/skip|jump|content|main/i.test(text)) return null;
+
+  let target = null;
+  try {
+    target = document.getElementById(decodeURIComponent(hash.slice(1))) || document.querySelector(`a[name="${hash.slice(1)}"]`);
+  } catch {
+    target = null;
+  }
+  return { href: hash, text: text.trim(), target_exists: !!target };
+}
+
+// Runs in the page: focus an element by focus id
+function focusById(id) {
+  window.__adaFocus?.elements.get(id)?.focus();
+}
+
+// Runs in the page: did the skip link move focus (or the next Tab stop) into its target?
+function focusIsInside(hash) {
+  let target = null;
+  try {
+    target = document.getElementById(decodeURIComponent(hash.slice(1)));
+  } catch {
+    return false;
+  }
+  let active = document.activeElement;
+  while (active?.shadowRoot?.activeElement) active = active.shadowRoot.activeElement;
+  return !!target && !!active && (target === active || target.contains(active) ||
+    !!(target.compareDocumentPosition(active) & Node.DOCUMENT_POSITION_FOLLOWING));
+}
+
+async function screenshotRegion(page, rect) {
+  if (rect.width < 1 || rect.height < 1) return null;
+  try {
+    return await page.screenshot({
+      type: 'png',
+      clip: {
+        x: Math.max(0, rect.x - INDICATOR_PADDING),
+        y: Math.max(0, rect.y - INDICATOR_PADDING),
+        width: rect.width + INDICATOR_PADDING * 2,
+        height: rect.height + INDICATOR_PADDING * 2
+      }
+    });
+  } catch {
+    return null;
+  }
+}
+
+function isBackwards(from, to) {
+  if (from.positioned || to.positioned) return false; // sticky headers and overlays move with the page
+  const fromTop = from.rect.y;
+  const toBottom = to.rect.y + to.rect.height;
+  // Strictly above and not to the right: a reading-order jump backwards (LTR)
+  return toBottom < fromTop - BACKWARDS_TOLERANCE && to.rect.x <= from.rect.x + BACKWARDS_TOLERANCE;
+}
+
+// Tab through the page recording the focus order. Returns the stops plus how the walk ended.
+async function walkTabOrder(page, options) {
+  const stops = [];
+  const indicatorChecks = [];
+  const seen = new Map(); // focus id -> index in stops
+  let ending = 'limit';
+  let trap = null;
+  let pending = null; // focused screenshot waiting for its unfocused counterpart
+
+  await page.evaluate(() => {
+    document.activeElement?.blur?.();
+    window.scrollTo(0, 0);
+  });
+
+  for (let i = 0; i < options.maxTabStops; i++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(describeActiveElement);
+
+    // Compare the previous element now that focus has left it
+    if (pending) {
+      const [unfocusedShot, unfocusedStyle] = await Promise.all([
+        screenshotRegion(page, pending.stop.rect),
+        page.evaluate(styleOfFocusId, pending.stop.id)
+      ]);
+      indicatorChecks.push({ stop: pending.stop, focusedShot: pending.shot, unfocusedShot, unfocusedStyle });
+      pending = null;
+    }
+
+    if (!stop) {
+      ending = stops.length > 0 ? 'completed' : 'no_focusable_elements';
+      break;
+    }
+    // Back at a stop we've seen: the start means we wrapped around, anything else is a trap
+    if (seen.has(stop.id)) {
+      const start = seen.get(stop.id);
+      if (start === 0) {
+        ending = 'completed'; // wrapped around to the first stop
+      } else {
+        ending = 'trap';
+        trap = stops.slice(start);
+      }
+      break;
+    }
+
+    seen.set(stop.id, stops.length);
+    stops.push(stop);
+
+    if (indicatorChecks.length < options.maxIndicatorChecks) {
+      pending = { stop, shot: await screenshotRegion(page, stop.rect) };
+    }
+  }
+
+  return { stops, ending, trap, indicatorChecks };
+}
+
+// Was there any visible change between the focused and unfocused states?
+function hasVisibleIndicator(check) {
+  if (check.focusedShot && check.unfocusedShot) {
+    return !check.focusedShot.equals(check.unfocusedShot);
+  }
+  if (check.unfocusedStyle === null) return true; // element went away, can't tell
+  return check.stop.style !== check.unfocusedStyle;
+}
+
+async function checkSkipLink(page, stops) {
+  const first = stops[0];
+  const skipLink = first ? await page.evaluate(inspectSkipLink, first.id) : null;
+  const mainIndex = stops.findIndex(stop => stop.in_main);
+
+  if (!skipLink) {
+    return {
+      present: false,
+      // Without a main landmark we can't tell how many stops precede the content
+      stops_before_main: mainIndex === -1 ? null : mainIndex
+    };
+  }
+
+  let works = false;
+  if (skipLink.target_exists) {
+    await page.evaluate(focusById, first.id);
+    await page.keyboard.press('Enter');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    works = await page.evaluate(focusIsInside, skipLink.href);
+    if (!works) {
+      await page.keyboard.press('Tab');
+      works = await page.evaluate(focusIsInside, skipLink.href);
+    }
+  }
+
+  return { present: true, ...skipLink, works, selector: first.selector, html: first.html };
+}
+
+// Audit keyboard access on a loaded page. Resolves with `{ violations, summary }` where
+// violations are axe-shaped (see createViolation) and summary describes the tab order.
+export async function auditKeyboard(page, options = KEYBOARD_DEFAULTS) {
+  await installPageHelpers(page);
+  const { stops, ending, trap, indicatorChecks } = await walkTabOrder(page, options);
+  const violations = [];
+
+  if (trap) {
+    violations.push(createViolation({
+      id: 'keyboard-trap',
+      impact: 'critical',
+      description: 'Keyboard focus gets stuck: pressing Tab cycles through the same elements and never leaves them',
+      help: 'Keyboard focus must be able to move away from every component using the keyboard',
+      helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/no-keyboard-trap.html',
+      tags: ['wcag2a', 'wcag212'],
+      nodes: trap.map(stop => ({
+        selector: stop.selector,
+        html: stop.html,
+        failureSummary: `Focus returns to this element after ${trap.length} Tab press${trap.length === 1 ? '' : 'es'} instead of moving on`,
+        data: { cycle_length: trap.length }
+      }))
+    }));
+  }
+
+  // Only meaningful once we've seen the whole tab order
+  if (ending === 'completed') {
+    const reachedIds = stops.map(stop => stop.id);
+    const unreachable = await page.evaluate(findUnreachableInteractive, reachedIds);
+    if (unreachable.length > 0) {
+      violations.push(createViolation({
+        id: 'keyboard-unreachable',
+        impact: 'serious',
+        description: 'Interactive elements can be clicked with a mouse but cannot be reached with the Tab key',
+        help: 'All functionality must be operable through a keyboard',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/keyboard.html',
+        tags: ['wcag2a', 'wcag211'],
+        nodes: unreachable.map(node => ({
+          ...node,
+          failureSummary: 'Element looks clickable (click handler, interactive role or pointer cursor) but is never focused when tabbing through the page'
+        }))
+      }));
+    }
+  }
+
+  const backwards = [];
+  for (let i = 1; i < stops.length; i++) {
+    if (isBackwards(stops[i - 1], stops[i])) {
+      backwards.push({ from: stops[i - 1], to: stops[i] });
+    }
+  }
+  if (backwards.length > 0) {
+    violations.push(createViolation({
+      id: 'focus-order-backwards',
+      impact: 'moderate',
+      description: 'Tab order jumps back up the page, out of the visual reading order',
+      help: 'Focus order must preserve meaning and operability',
+      helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-order.html',
+      tags: ['wcag2a', 'wcag243'],
+      nodes: backwards.slice(0, 20).map(({ from, to }) => ({
+        selector: to.selector,
+        html: to.html,
+        failureSummary: `Focus moves here from ${from.selector}, which is further down the page` +
+          (to.tabindex && parseInt(to.tabindex, 10) > 0 ? ` (element has tabindex="${to.tabindex}")` : ''),
+        data: { previous_selector: from.selector, tabindex: to.tabindex }
+      }))
+    }));
+  }
+
+  const missingIndicator = indicatorChecks.filter(check => !hasVisibleIndicator(check));
+  if (missingIndicator.length > 0) {
+    violations.push(createViolation({
+      id: 'focus-indicator-missing',
+      impact: 'serious',
+      description: 'Elements show no visible change when they receive keyboard focus',
+      help: 'Any keyboard operable interface must have a visible focus indicator',
+      helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html',
+      tags: ['wcag2aa', 'wcag247'],
+      nodes: missingIndicator.map(({ stop }) => ({
+        selector: stop.selector,
+        html: stop.html,
+        failureSummary: 'The element looks identical focused and unfocused (no outline, border, shadow or colour change)'
+      }))
+    }));
+  }
+
+  const skipLink = await checkSkipLink(page, stops);
+  if (skipLink.present && !skipLink.works) {
+    violations.push(createViolation({
+      id: 'skip-link-broken',
+      impact: 'serious',
+      description: 'The skip link does not move keyboard focus to the main content',
+      help: 'Skip links must move focus past repeated blocks of content',
+      helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html',
+      tags: ['wcag2a', 'wcag241'],
+      nodes: [{
+        selector: skipLink.selector,
+        html: skipLink.html,
+        failureSummary: skipLink.target_exists
+          ? `Activating the link does not move focus into ${skipLink.href}`
+          : `The link target ${skipLink.href} does not exist on the page`,
+        data: { href: skipLink.href, target_exists: skipLink.target_exists }
+      }]
+    }));
+  } else if (!skipLink.present && skipLink.stops_before_main >= 5) {
+    violations.push(createViolation({
+      id: 'skip-link-missing',
+      impact: 'moderate',
+      description: `Keyboard users must tab through ${skipLink.stops_before_main} elements before reaching the main content, and there is no skip link`,
+      help: 'Provide a "Skip to main content" link as the first focusable element',
+      helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html',
+      tags: ['best-practice'],
+      nodes: [{
+        selector: stops[0].selector,
+        html: stops[0].html,
+        failureSummary: 'The first focusable element is not a skip link',
+        data: { stops_before_main: skipLink.stops_before_main }
+      }]
+    }));
+  }
+
+  return {
+    violations,
+    summary: {
+      tab_stops: stops.length,
+      ending,
+      focus_order: stops.slice(0, 50).map(stop => stop.selector),
+      indicator_checks: indicatorChecks.length,
+      skip_link: skipLink.present
+        ? { present: true, href: skipLink.href, target_exists: skipLink.target_exists, works: skipLink.works }
+        : { present: false, stops_before_main: skipLink.stops_before_main }
+    }
+  };
+}
@@ -0,0 +1,98 @@
+// Local language detection for checking `lang` attributes (WCAG 3.1.1 and 3.1.2).
+// Latin-script languages are told apart by their most common function words; other
+// scripts identify a family of languages (Cyrillic, Arabic, Han, ...). Short or mixed
+// text is left undetermined rather than guessed.
+
+const STOPWORDS = {
+  en: 'the and of to is in that it for you with are this on be as your have not or by we from at can will an our all more was which',
+  es: 'el la de que y en los las del se por un una con para es al lo como más su sus pero este esta son también nuestro puede sobre',
+  fr: 'le la les de des et est un une du en que qui dans pour pas sur au aux avec ce cette sont vous nous par plus mais ou votre',
+  de: 'der die und das ist nicht zu den mit von sie ein eine auf für es im dem sich auch wir ihr ihre oder wie werden bei nach aus können',
+  it: 'il di che e la per un una non sono del della con le gli lo nel alla si come anche più questo ma su dei delle è al vostro',
+  pt: 'o a de que e do da em um uma para com não os as no na se por mais dos das ao é seu sua como mas você também',
+  nl: 'de het een en van is dat op te in voor met zijn niet die aan er ook als bij maar om wij ons uw je naar worden kunnen deze',
+  sv: 'och att det som en på är av för med till den inte om ett har de vi du kan jag från eller men ska vara sig våra er här',
+  da: 'og at det som en på er af for med til den ikke om et har de vi du kan jeg fra eller men skal være sig vores jer her',
+  nb: 'og å det som en på er av for med til den ikke om et har de vi du kan jeg fra eller men skal være seg våre dere her',
+  pl: 'i w nie na się z do że to jest jak o po co ale dla od są przez tak czy jego ich może lub już tylko oraz być przy'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))]));
+
+// Scripts that identify a language, or a family of languages
+const SCRIPTS = [
+  { script: 'hangul', pattern: /\p{Script=Hangul}/gu, languages: ['ko'] },
+  { script: 'kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, languages: ['ja'] },
+  { script: 'han', pattern: /\p{Script=Han}/gu, languages: ['zh', 'ja'] },
+  { script: 'cyrillic', pattern: /\p{Script=Cyrillic}/gu, languages: ['ru', 'uk', 'bg', 'sr', 'mk', 'be', 'kk'] },
+  { script: 'greek', pattern: /\p{Script=Greek}/gu, languages: ['el'] },
+  { script: 'arabic', pattern: /\p{Script=Arabic}/gu, languages: ['ar', 'fa', 'ur', 'ps'] },
+  { script: 'hebrew', pattern: /\p{Script=Hebrew}/gu, languages: ['he', 'yi'] },
+  { script: 'thai', pattern: /\p{Script=Thai}/gu, languages: ['th'] },
+  { script: 'devanagari', pattern: /\p{Script=Devanagari}/gu, languages: ['hi', 'mr', 'ne', 'sa'] }
+];
+
+// Languages close enough that the detector can't reliably tell them apart
+const RELATED = [['sv', 'da', 'nb', 'nn', 'no']];
+
+export const MIN_DETECTION_WORDS = 12;
+const MIN_STOPWORD_SHARE = 0.12;
+const MIN_MARGIN = 1.5;
+
+// Primary subtag of a `lang` value: "en-GB" -> "en", "" -> null
+export function primaryLanguage(lang) {
+  const primary = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+  return primary || null;
+}
+
+// `{ language, candidates, script, confidence }` for `text`, with `language` null when it
+// can't be determined. `candidates` lists every language the evidence allows.
+export function detectLanguage(text) {
+  const sample = String(text || '').slice(0, 20000);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return { language: null, candidates: [], script: null, confidence: 0 };
+
+  // Han text with any kana is Japanese, so the more specific scripts are checked first
+  for (const { script, pattern, languages } of SCRIPTS) {
+    const count = (sample.match(pattern) || []).length;
+    if (count / letters >= 0.3 || (script === 'kana' && count / letters >= 0.05)) {
+      return {
+        language: languages.length === 1 ? languages[0] : null,
+        candidates: languages,
+        script,
+        confidence: Math.round(Math.min(1, count / letters) * 100) / 100
+      };
+    }
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+(?:['’]\p{L}+)*/gu) || [];
+  if (words.length < MIN_DETECTION_WORDS) return { language: null, candidates: [], script: 'latin', confidence: 0 };
+
+  const shares = Object.entries(STOPWORD_SETS)
+    .map(([language, stopwords]) => [language, words.filter(word => stopwords.has(word)).length / words.length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, bestShare], [second, secondShare]] = shares;
+
+  const related = RELATED.find(group => group.includes(best));
+  const closeCall = secondShare > 0 && bestShare / secondShare < MIN_MARGIN;
+  if (bestShare < MIN_STOPWORD_SHARE || (closeCall && !related?.includes(second))) {
+    return { language: null, candidates: [], script: 'latin', confidence: 0 };
+  }
+  return {
+    language: best,
+    candidates: related || [best],
+    script: 'latin',
+    confidence: Math.round(Math.min(1, bestShare / 0.4) * 100) / 100
+  };
+}
+
+// Whether a `lang` value is consistent with a detection result. Undetermined text, and
+// languages the detector doesn't know, are never reported as mismatches.
+export function languageMatches(lang, detection) {
+  const declared = primaryLanguage(lang);
+  if (!declared || detection.candidates.length === 0) return true;
+  if (detection.candidates.includes(declared)) return true;
+  const relatedToDeclared = RELATED.find(group => group.includes(declared));
+  if (relatedToDeclared && detection.candidates.some(candidate => relatedToDeclared.includes(candidate))) return true;
+  // A Latin-script language outside the detector's profiles can't be judged
+  return detection.script === 'latin' && !STOPWORD_SETS[declared] && !SCRIPTS.some(entry => entry.languages.includes(declared));
+}
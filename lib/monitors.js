@@ -0,0 +1,450 @@
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { safeSegment, readJson, writeJson, createKeyedLock } from './storage.js';
+
+// Scheduled monitoring: saved scan configurations that re-scan a site on a cadence and
+// raise an alert when a run gets worse than the one before it.
+//
+// Layout under `dir`:
+//   monitors/<monitor_id>.json       configuration, schedule state and recent runs
+//   claims/<monitor_id>/<slot>.json  the latest scheduled slots that were started
+//
+// Claims are created exclusively, so a slot runs at most once even if the process
+// restarts between starting a scan and saving the monitor, or several instances share
+// the directory.
+
+export const MONITOR_CADENCES = ['daily', 'weekly', 'monthly'];
+export const ALERT_IMPACTS = ['critical', 'serious'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const RUNS_KEPT = 50;
+const DEFAULT_SCORE_DROP = 5;
+const DEFAULT_MAX_PAGES = 25;
+
+// The `n`th monthly slot after `anchor`, on the anchor's day of month (or the month's last day)
+function addMonths(anchor, n) {
+  const date = new Date(anchor);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + n;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds());
+}
+
+// First slot of the schedule anchored at `anchorMs` that is later than `afterMs`.
+// Slots are counted from the anchor so monthly schedules don't drift after short months.
+export function nextSlotAfter(cadence, anchorMs, afterMs) {
+  if (afterMs < anchorMs) return anchorMs;
+  if (cadence === 'monthly') {
+    let n = Math.max(1, Math.floor((afterMs - anchorMs) / (31 * DAY_MS)));
+    while (addMonths(anchorMs, n) <= afterMs) n++;
+    return addMonths(anchorMs, n);
+  }
+  const period = PERIOD_MS[cadence];
+  return anchorMs + (Math.floor((afterMs - anchorMs) / period) + 1) * period;
+}
+
+// Validate monitor fields from a request body. With `partial`, only the fields present
+// are checked (for updates), and an `alert` is merged over `currentAlert` so it can change
+// one setting without clearing the others. Throws on bad input. Target safety and the
+// callback secret are checked by the caller, as for scans.
+export function validateMonitorFields(body, { partial = false, currentAlert = {} } = {}) {
+  const fields = {};
+  const has = (name) => body[name] !== undefined;
+
+  if (!partial || has('website_url')) {
+    let url;
+    try {
+      url = new URL(body.website_url);
+    } catch {
+      throw new Error('website_url must be a valid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('website_url must be an http(s) URL');
+    }
+    fields.website_url = body.website_url;
+  }
+  if (!partial || has('cadence')) {
+    const cadence = body.cadence ?? 'weekly';
+    if (!MONITOR_CADENCES.includes(cadence)) {
+      throw new Error(`cadence must be one of: ${MONITOR_CADENCES.join(', ')}`);
+    }
+    fields.cadence = cadence;
+  }
+  if (!partial || has('max_pages')) {
+    const maxPages = body.max_pages ?? DEFAULT_MAX_PAGES;
+    if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > 50) {
+      throw new Error('max_pages must be an integer from 1 to 50');
+    }
+    fields.max_pages = maxPages;
+  }
+  if (!partial || has('standard')) {
+    fields.standard = body.standard ?? null;
+  }
+  if (!partial || has('enabled')) {
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+    fields.enabled = body.enabled ?? true;
+  }
+  if (!partial || has('alert')) {
+    if (body.alert != null && (typeof body.alert !== 'object' || Array.isArray(body.alert))) {
+      throw new Error('alert must be an object');
+    }
+    const alert = partial ? { ...currentAlert, ...body.alert } : (body.alert ?? {});
+    if (alert.email != null && (typeof alert.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(alert.email))) {
+      throw new Error('alert.email must be an email address');
+    }
+    const scoreDrop = alert.score_drop ?? DEFAULT_SCORE_DROP;
+    if (typeof scoreDrop !== 'number' || scoreDrop <= 0 || scoreDrop > 100) {
+      throw new Error('alert.score_drop must be a number of points above 0 and at most 100');
+    }
+    fields.alert = {
+      callback_url: alert.callback_url ?? null,
+      ...(alert.callback_secret !== undefined && { callback_secret: alert.callback_secret }),
+      email: alert.email ?? null,
+      score_drop: scoreDrop
+    };
+  }
+  return fields;
+}
+
+// Public view of a monitor: the callback secret is never returned
+export function serializeMonitor(monitor) {
+  const { callback_secret, ...alert } = monitor.alert;
+  return { ...monitor, alert: { ...alert, has_callback_secret: Boolean(callback_secret) } };
+}
+
+// Why a run should alert compared to the previous completed run, or null.
+// The first run only sets the baseline.
+export function evaluateAlert(run, previousRun, alertOptions) {
+  if (run.status !== 'completed' || !previousRun) return null;
+
+  const reasons = [];
+  if (run.new_high_impact_count > 0) {
+    reasons.push(`${run.new_high_impact_count} new critical or serious violation${run.new_high_impact_count === 1 ? '' : 's'}`);
+  }
+  const scoreChange = run.score - previousRun.score;
+  if (-scoreChange >= alertOptions.score_drop) {
+    reasons.push(`score dropped ${-scoreChange} points (${previousRun.score} to ${run.score})`);
+  }
+  return reasons.length > 0 ? { reasons, score_change: scoreChange } : null;
+}
+
+// Summary of a finished monitor scan: counts, score and its new high-impact violations
+export function summarizeRun(scanId, slot, event, { result, error }) {
+  const violations = result?.violations || [];
+  // diff_status comes from scan history; regressions count as new
+  const newHighImpact = violations.filter(v => ALERT_IMPACTS.includes(v.impact) && (v.diff_status === 'new' || v.diff_status === 'regressed'));
+  return {
+    scan_id: scanId,
+    slot,
+    status: event,
+    finished_at: new Date().toISOString(),
+    ...(event === 'completed' && {
+      score: result.complianceScore,
+      pages_scanned: result.pages_scanned,
+      total_violations: result.total_violations,
+      critical_count: result.critical_count,
+      serious_count: result.serious_count,
+      new_high_impact_count: newHighImpact.length
+    }),
+    ...(event !== 'completed' && { error: error || null }),
+    new_high_impact: newHighImpact.slice(0, 20).map(v => ({
+      violation_id: v.violation_id,
+      rule_id: v.rule_id,
+      impact: v.impact,
+      page_url: v.page_url,
+      description: v.description,
+      nodes_count: v.nodes_count
+    }))
+  };
+}
+
+// Move a monitor to its next slot after both `afterMs` and its current slot, with a random
+// delay of up to `jitterMs` so monitors created together don't all scan at once.
+// Missed slots (e.g. while the service was down) are skipped rather than run back to back.
+export function scheduleNext(monitor, { afterMs = Date.now(), jitterMs = 0 } = {}) {
+  const next = nextSlotAfter(monitor.cadence, Date.parse(monitor.anchor_at), Math.max(afterMs, Date.parse(monitor.next_slot_at)));
+  monitor.next_slot_at = new Date(next).toISOString();
+  monitor.next_run_at = new Date(next + Math.floor(Math.random() * jitterMs)).toISOString();
+}
+
+export function createMonitorStore({ dir }) {
+  const withLock = createKeyedLock();
+
+  function monitorFile(monitorId) {
+    return path.join(dir, 'monitors', `${safeSegment(monitorId)}.json`);
+  }
+
+  async function create(customerId, apiKeyId, fields, { jitterMs = 0 } = {}) {
+    const now = Date.now();
+    const monitor = {
+      monitor_id: `MON_${randomBytes(8).toString('hex')}`,
+      customer_id: customerId,
+      api_key_id: apiKeyId,
+      ...fields,
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+      anchor_at: new Date(now).toISOString(),
+      next_slot_at: new Date(now).toISOString(),
+      next_run_at: new Date(now + Math.floor(Math.random() * jitterMs)).toISOString(),
+      current_run: null,
+      last_run: null,
+      runs: []
+    };
+    await writeJson(monitorFile(monitor.monitor_id), monitor);
+    return monitor;
+  }
+
+  async function get(monitorId) {
+    return readJson(monitorFile(monitorId), null);
+  }
+
+  // Apply `change(monitor)` under the monitor's lock and save. Resolves with the saved
+  // monitor, or null if it doesn't exist (or was deleted meanwhile).
+  function update(monitorId, change) {
+    return withLock(monitorId, async () => {
+      const monitor = await get(monitorId);
+      if (!monitor) return null;
+      change(monitor);
+      await writeJson(monitorFile(monitorId), monitor);
+      return monitor;
+    });
+  }
+
+  function remove(monitorId) {
+    return withLock(monitorId, async () => {
+      try {
+        await fs.unlink(monitorFile(monitorId));
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+      await fs.rm(claimDirectory(monitorId), { recursive: true, force: true });
+      return true;
+    });
+  }
+
+  async function all() {
+    let names;
+    try {
+      names = await fs.readdir(path.join(dir, 'monitors'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const monitors = await Promise.all(names
+      .filter(name => name.endsWith('.json'))
+      .map(name => readJson(path.join(dir, 'monitors', name), null).catch(() => null)));
+    return monitors.filter(Boolean);
+  }
+
+  async function list(customerId) {
+    return (await all())
+      .filter(monitor => monitor.customer_id === customerId)
+      .sort((a, b) => (a.created_at < b.created_at ? -1 : 1));
+  }
+
+  function claimDirectory(monitorId) {
+    return path.join(dir, 'claims', safeSegment(monitorId));
+  }
+
+  // Claim one scheduled slot. Resolves false if it was already claimed.
+  async function claimSlot(monitorId, slot) {
+    const claimDir = claimDirectory(monitorId);
+    await fs.mkdir(claimDir, { recursive: true });
+    try {
+      await fs.writeFile(path.join(claimDir, `${Date.parse(slot)}.json`),
+        JSON.stringify({ monitor_id: monitorId, slot, claimed_at: new Date().toISOString(), pid: process.pid }),
+        { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+    await pruneClaims(monitorId, Date.parse(slot)).catch(error => {
+      console.error(`[MONITOR] ${monitorId}: could not prune slot claims:`, error.message);
+    });
+    return true;
+  }
+
+  // Slots only move forward, so claims before the previous slot can't be contended any
+  // more. The previous one is kept for an instance that is one slot behind.
+  async function pruneClaims(monitorId, slotMs) {
+    const claimDir = claimDirectory(monitorId);
+    const older = (await fs.readdir(claimDir))
+      .map(name => Number(name.replace(/\.json$/, '')))
+      .filter(ms => Number.isFinite(ms) && ms < slotMs)
+      .sort((a, b) => b - a);
+    for (const ms of older.slice(1)) {
+      await fs.unlink(path.join(claimDir, `${ms}.json`)).catch(() => {});
+    }
+  }
+
+  // Give a slot back when its scan couldn't be started yet (it will be retried)
+  async function releaseSlot(monitorId, slot) {
+    await fs.unlink(path.join(claimDirectory(monitorId), `${Date.parse(slot)}.json`)).catch(() => {});
+  }
+
+  return { create, get, update, remove, all, list, claimSlot, releaseSlot };
+}
+
+// Runs due monitors on each `tick()`: from a timer every `intervalMs` after `start()`, or
+// from an external trigger (POST /api/monitors/tick). `startScan(monitor, scanId)` enqueues the scan and
+// resolves with { status: 'queued' }, { status: 'deferred' } to try again on a later tick
+// (e.g. the plan's concurrency limit is reached), or { status: 'skipped', reason }.
+// `isScanActive(scanId)` says whether a scan is still queued or running in this process;
+// `onAlert(monitor, alert, run)` is called when a finished run should alert.
+export function createMonitorScheduler({
+  store,
+  startScan,
+  isScanActive,
+  onAlert,
+  intervalMs = 60000,
+  jitterMs = 15 * 60 * 1000,
+  maxConcurrent = 1
+}) {
+  let timer = null;
+  let ticking = false;
+
+  function appendRun(monitor, run) {
+    monitor.runs = [run, ...(monitor.runs || [])].slice(0, RUNS_KEPT);
+    monitor.last_run = run;
+    monitor.current_run = null;
+  }
+
+  // Runs whose scan is no longer queued or running in this process (left behind by a restart)
+  // can't finish any more; record them as interrupted. Their slots stay claimed, so they
+  // aren't run twice; the schedule carries on. Checked on every tick.
+  async function recover() {
+    let recovered = 0;
+    for (const monitor of await store.all()) {
+      const current = monitor.current_run;
+      if (!current || isScanActive(current.scan_id)) continue;
+      let interrupted = false;
+      await store.update(monitor.monitor_id, m => {
+        // A run that just finished has been recorded by handleJobEvent already
+        if (m.current_run?.scan_id !== current.scan_id) return;
+        appendRun(m, { scan_id: current.scan_id, slot: current.slot, status: 'interrupted', finished_at: new Date().toISOString() });
+        interrupted = true;
+      });
+      if (interrupted) {
+        recovered++;
+        console.log(`[MONITOR] ${monitor.monitor_id}: run ${current.scan_id} was interrupted by a restart`);
+      }
+    }
+    return recovered;
+  }
+
+  async function runDue() {
+    const now = Date.now();
+    const monitors = await store.all();
+    let active = monitors.filter(m => m.current_run).length;
+    const counts = { queued: 0, skipped: 0, deferred: 0 };
+
+    const due = monitors
+      .filter(m => m.enabled && !m.current_run && Date.parse(m.next_run_at) <= now)
+      .sort((a, b) => (a.next_run_at < b.next_run_at ? -1 : 1));
+
+    for (const monitor of due) {
+      if (active >= maxConcurrent) break;
+      const slot = monitor.next_slot_at;
+      const scanId = `SCAN_MON_${monitor.monitor_id.replace('MON_', '')}_${Date.parse(slot)}`;
+
+      if (!(await store.claimSlot(monitor.monitor_id, slot))) {
+        // Already started (before a restart, or by another instance)
+        await store.update(monitor.monitor_id, m => {
+          if (m.next_slot_at === slot) scheduleNext(m, { jitterMs });
+        });
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await startScan(monitor, scanId);
+      } catch (error) {
+        console.error(`[MONITOR] ${monitor.monitor_id}: could not start ${scanId}:`, error.message);
+        outcome = { status: 'deferred' };
+      }
+
+      counts[outcome.status]++;
+      if (outcome.status === 'deferred') {
+        await store.releaseSlot(monitor.monitor_id, slot);
+        continue;
+      }
+
+      await store.update(monitor.monitor_id, m => {
+        scheduleNext(m, { jitterMs });
+        if (outcome.status === 'queued') {
+          m.current_run = { scan_id: scanId, slot, queued_at: new Date().toISOString() };
+        } else {
+          appendRun(m, { scan_id: scanId, slot, status: 'skipped', reason: outcome.reason, finished_at: new Date().toISOString() });
+        }
+      });
+      if (outcome.status === 'queued') {
+        active++;
+        console.log(`[MONITOR] ${monitor.monitor_id}: queued ${scanId} for ${monitor.website_url}`);
+      } else {
+        console.log(`[MONITOR] ${monitor.monitor_id}: skipped ${slot} (${outcome.reason})`);
+      }
+    }
+    return counts;
+  }
+
+  // Recover lost runs, then start due ones. Resolves with what happened, e.g.
+  // { status: 'ok', recovered: 0, queued: 1, skipped: 0, deferred: 0 }
+  async function tick() {
+    if (ticking) return { status: 'busy' };
+    ticking = true;
+    try {
+      const recovered = await recover();
+      return { status: 'ok', recovered, ...(await runDue()) };
+    } catch (error) {
+      console.error('[MONITOR] Scheduler tick failed:', error.message);
+      return { status: 'failed', error: error.message };
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // Record a finished monitor scan, compare it with the previous completed run and alert.
+  // Called with the job queue's terminal events.
+  async function handleJobEvent(job, event, data) {
+    const monitorId = job.params.monitor_id;
+    if (!monitorId) return;
+
+    let run;
+    let alert = null;
+    const monitor = await store.update(monitorId, m => {
+      const previous = (m.runs || []).find(r => r.status === 'completed');
+      const slot = m.current_run?.scan_id === job.scan_id ? m.current_run.slot : null;
+      run = summarizeRun(job.scan_id, slot, event, data);
+      alert = evaluateAlert(run, previous, m.alert);
+      if (alert) {
+        run.alert = { reasons: alert.reasons, previous_scan_id: previous.scan_id, previous_score: previous.score };
+      }
+      appendRun(m, run);
+    });
+    if (!monitor) return;
+
+    console.log(`[MONITOR] ${monitorId}: ${job.scan_id} ${event}${alert ? ` - alert: ${alert.reasons.join('; ')}` : ''}`);
+    if (alert) {
+      await onAlert(monitor, { ...run.alert, score_change: alert.score_change }, run);
+    }
+  }
+
+  async function start() {
+    await tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick, handleJobEvent };
+}
@@ -0,0 +1,36 @@
+import path from 'path';
+import { safeSegment, readJson, writeJson } from './storage.js';
+
+// Email outbox: alert emails are written here as pending records for a separate mailer
+// to send, so the scanner needs no SMTP credentials. One file per message under `dir`:
+//
+//   { "message_id": "...", "status": "pending", "to": "...", "subject": "...", "text": "...", ... }
+//
+// The mailer sets `status` to "sent" (or deletes the file) once it's delivered.
+
+export function createEmailOutbox({ dir }) {
+  function messageFile(messageId) {
+    return path.join(dir, `${safeSegment(messageId)}.json`);
+  }
+
+  // Queue a message. `messageId` should be stable for the event it reports (e.g. one per
+  // scan alert), so adding it twice keeps a single record.
+  async function add(messageId, { to, subject, text, ...meta }) {
+    const existing = await readJson(messageFile(messageId), null);
+    if (existing) return existing;
+
+    const message = {
+      message_id: messageId,
+      status: 'pending',
+      created_at: new Date().toISOString(),
+      to,
+      subject,
+      text,
+      ...meta
+    };
+    await writeJson(messageFile(messageId), message);
+    return message;
+  }
+
+  return { add };
+}
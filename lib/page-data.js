@@ -0,0 +1,72 @@
+// Structured page data (text, forms, links, error messages) for AI page analysis and
+// for flow steps' validation messages.
+
+// Extract structured accessibility data from page for AI analysis
+export async function extractAccessibilityData(page) {
+  const data = await page.evaluate(() => {
+    // 1. Extract text content for context (limited to first 50k chars)
+    const allText = (document.body.innerText || document.body.textContent).substring(0, 50000);
+
+    // 2. Extract form elements (inputs, textareas, selects)
+    const formElements = Array.from(document.querySelectorAll('input, textarea, select')).map(el => ({
+      type: el.type || el.tagName.toLowerCase(),
+      placeholder: el.placeholder || null,
+      label: el.labels?.[0]?.textContent || null,
+      ariaLabel: el.getAttribute('aria-label') || null,
+      ariaLabelledby: el.getAttribute('aria-labelledby') || null,
+      name: el.name || null,
+      required: el.required || false,
+      hasPlaceholderOnly: !!(el.placeholder && !el.labels?.length && !el.getAttribute('aria-label'))
+    }));
+
+    // 3. Extract buttons and links (for context; link text is checked in lib/content.js)
+    const interactiveElements = Array.from(document.querySelectorAll('button, a[href]')).map(el => ({
+      tag: el.tagName.toLowerCase(),
+      text: el.textContent?.trim() || null,
+      ariaLabel: el.getAttribute('aria-label') || null,
+      href: el.href || null
+    }));
+
+    // 4. Extract error/validation messages
+    const errorElements = Array.from(document.querySelectorAll(
+      '[role="alert"], [aria-invalid="true"], .error, .error-message, [aria-live="polite"], [aria-live="assertive"]'
+    )).map(el => ({
+      role: el.getAttribute('role'),
+      text: el.textContent?.trim(),
+      ariaLive: el.getAttribute('aria-live')
+    }));
+
+    // 5. Check for sensory-dependent instructions in visible text
+    const textNodes = [];
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT,
+      null,
+      false
+    );
+    let node;
+    while (node = walker.nextNode()) {
+      const text = node.textContent.trim();
+      if (text && /\b(red|green|blue|left|right|above|below|top|bottom)\s+(button|link|icon|item)/i.test(text)) {
+        textNodes.push(text);
+      }
+    }
+
+    return {
+      textContent: allText,
+      formElements: formElements,
+      interactiveElements: interactiveElements,
+      errorElements: errorElements,
+      sensoryInstructions: textNodes,
+      stats: {
+        totalForms: formElements.length,
+        totalButtons: interactiveElements.filter(el => el.tag === 'button').length,
+        totalLinks: interactiveElements.filter(el => el.tag === 'a').length,
+        hasPlaceholderOnlyInputs: formElements.filter(el => el.hasPlaceholderOnly).length,
+        hasForms: formElements.length > 0
+      }
+    };
+  });
+
+  return data;
+}
@@ -0,0 +1,52 @@
+// Helpers installed into scanned pages for the scanner's own (non-axe) checks.
+// The function below runs in the browser, so it cannot reference anything in this module.
+
+function pageHelpers() {
+  if (window.__adaScanner) return;
+
+  const escape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+
+  // Short, unique CSS selector for an element (id if unique, else nth-of-type path)
+  function cssPath(element) {
+    if (!(element instanceof Element)) return null;
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      if (current.id && document.querySelectorAll('#' + escape(current.id)).length === 1) {
+        parts.unshift('#' + escape(current.id));
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+    return parts.join(' > ') || 'html';
+  }
+
+  // Opening tag plus a little text, in the same spirit as axe-core's node.html
+  function outerHtmlSnippet(element, max = 300) {
+    const html = element.outerHTML || '';
+    return html.length > max ? html.slice(0, max) + '...' : html;
+  }
+
+  function isVisible(element) {
+    const style = getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) return false;
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  window.__adaScanner = { cssPath, outerHtmlSnippet, isVisible };
+}
+
+// Install helpers (safe to call repeatedly; a navigation or reload clears them)
+export async function installPageHelpers(page) {
+  await page.evaluate(pageHelpers);
+}
@@ -0,0 +1,76 @@
+// Plans and the limits enforced for them. A scan's plan comes from its API key, never
+// from the request body, so these are the only source of page caps and AI levels.
+
+export const PLANS = {
+  free: {
+    max_pages: 3,
+    scans_per_day: 3,
+    concurrent_scans: 1,
+    requests_per_minute: 30,
+    monitors: 0,
+    ai_level: 'none'
+  },
+  guest: {
+    max_pages: 25,
+    scans_per_day: 5,
+    concurrent_scans: 1,
+    requests_per_minute: 60,
+    monitors: 0,
+    ai_level: 'basic'
+  },
+  essentials: {
+    max_pages: 50,
+    scans_per_day: 50,
+    concurrent_scans: 2,
+    requests_per_minute: 120,
+    monitors: 5,
+    ai_level: 'advanced'
+  },
+  professional: {
+    max_pages: 50,
+    scans_per_day: 200,
+    concurrent_scans: 3,
+    requests_per_minute: 300,
+    monitors: 20,
+    ai_level: 'advanced'
+  }
+};
+
+const AI_LEVELS = ['none', 'basic', 'advanced'];
+const MAX_PAGES_CEILING = 50; // the crawler never scans more than this
+
+// Limits for a plan, with per-key `overrides` (e.g. a larger daily quota for one customer).
+// Throws for unknown plans or invalid overrides.
+export function resolvePlanLimits(plan, overrides = {}) {
+  const base = PLANS[plan];
+  if (!base) {
+    throw new Error(`unknown plan "${plan}" (available: ${Object.keys(PLANS).join(', ')})`);
+  }
+
+  const limits = { ...base };
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (!(name in base)) {
+      throw new Error(`unknown limit "${name}"`);
+    }
+    if (name === 'ai_level') {
+      if (!AI_LEVELS.includes(value)) throw new Error(`ai_level must be one of: ${AI_LEVELS.join(', ')}`);
+    } else if (!Number.isInteger(value) || value < (name === 'monitors' ? 0 : 1)) {
+      throw new Error(`${name} must be a ${name === 'monitors' ? 'non-negative' : 'positive'} integer`);
+    }
+    limits[name] = value;
+  }
+  limits.max_pages = Math.min(limits.max_pages, MAX_PAGES_CEILING);
+  return limits;
+}
+
+// Pages to scan: the requested max_pages, capped by the plan
+export function pageLimitFor(limits, requested) {
+  return Number.isInteger(requested) && requested > 0 ? Math.min(requested, limits.max_pages) : limits.max_pages;
+}
+
+// AI level for a scan: the plan's, or a lower one if the request asks for less
+export function aiLevelFor(limits, requested) {
+  const allowed = AI_LEVELS.indexOf(limits.ai_level);
+  const asked = AI_LEVELS.indexOf(requested);
+  return asked !== -1 && asked < allowed ? requested : limits.ai_level;
+}
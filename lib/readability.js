@@ -0,0 +1,66 @@
+// Readability formulas for English text: Flesch Reading Ease, Flesch-Kincaid grade,
+// Gunning Fog, SMOG, Coleman-Liau and the Automated Readability Index. Syllables are
+// counted with a vowel-group heuristic, which is close enough for grade estimates.
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+export function countSyllables(word) {
+  let letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+  // Silent endings: "-es", "-ed" (but not "-ted" / "-ded") and a final "e" (but not "-le")
+  letters = letters.replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = letters.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+// Sentence, word, syllable and letter counts. Line breaks end sentences too, so list items
+// and headings without punctuation aren't run together.
+export function textStatistics(text) {
+  const sentences = String(text || '')
+    .split(/[.!?]+(?=\s|$)|\n+/)
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+  const words = String(text || '').match(WORD_PATTERN) || [];
+
+  let syllables = 0;
+  let polysyllables = 0;
+  let letters = 0;
+  for (const word of words) {
+    const count = countSyllables(word);
+    syllables += count;
+    if (count >= 3) polysyllables++;
+    letters += word.replace(/[^\p{L}\p{N}]/gu, '').length;
+  }
+
+  return { sentences: sentences.length, words: words.length, syllables, polysyllables, letters };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Scores for `text`, or null when it has no words. `grade_level` averages the grade-based
+// formulas (every one but reading ease).
+export function readabilityScores(text) {
+  const stats = textStatistics(text);
+  if (stats.words === 0) return null;
+
+  const sentences = Math.max(1, stats.sentences);
+  const wordsPerSentence = stats.words / sentences;
+  const syllablesPerWord = stats.syllables / stats.words;
+
+  const grades = {
+    flesch_kincaid_grade: 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59,
+    gunning_fog: 0.4 * (wordsPerSentence + 100 * (stats.polysyllables / stats.words)),
+    smog: 1.043 * Math.sqrt(stats.polysyllables * (30 / sentences)) + 3.1291,
+    coleman_liau: 0.0588 * (100 * stats.letters / stats.words) - 0.296 * (100 * sentences / stats.words) - 15.8,
+    automated_readability_index: 4.71 * (stats.letters / stats.words) + 0.5 * wordsPerSentence - 21.43
+  };
+  const gradeValues = Object.values(grades);
+
+  return {
+    words: stats.words,
+    sentences: stats.sentences,
+    flesch_reading_ease: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    ...Object.fromEntries(Object.entries(grades).map(([name, value]) => [name, round(value)])),
+    grade_level: round(gradeValues.reduce((sum, value) => sum + value, 0) / gradeValues.length)
+  };
+}
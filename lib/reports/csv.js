@@ -0,0 +1,52 @@
+// One CSV row per failing element, for spreadsheets
+
+const COLUMNS = [
+  'violation_id', 'category', 'page_url', 'flow_name', 'step_name', 'rule_id', 'wcag_criteria', 'wcag_level', 'impact', 'description',
+  'selector', 'html', 'failure_summary', 'viewports', 'diff_status', 'detected_date', 'screenshot',
+  'help_url', 'ai_explanation', 'ai_fix_steps', 'ai_estimated_time'
+];
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function renderCsvReport(result) {
+  const rows = [COLUMNS];
+  const findings = [
+    ...result.violations.map(violation => ({ violation, category: 'violation' })),
+    ...(result.best_practice_findings || []).map(violation => ({ violation, category: 'best_practice' }))
+  ];
+  for (const { violation, category } of findings) {
+    const explanation = violation.ai_explanation || {};
+    for (const node of violation.nodes) {
+      rows.push([
+        violation.violation_id,
+        category,
+        violation.page_url,
+        violation.flow_name,
+        violation.step_name,
+        violation.rule_id,
+        (violation.wcag_criteria || []).join(' '),
+        violation.wcag_level,
+        node.impact || violation.impact,
+        violation.description,
+        node.selector,
+        node.html,
+        node.failure_summary,
+        (node.viewports || violation.viewports || []).join(' '),
+        node.diff_status,
+        node.first_detected || violation.detected_date,
+        node.screenshot,
+        violation.help_url,
+        explanation.explanation,
+        explanation.fix_steps,
+        explanation.estimated_time
+      ]);
+    }
+  }
+  // BOM so Excel opens the file as UTF-8
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
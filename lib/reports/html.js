@@ -0,0 +1,413 @@
+import { scannedPages } from '../scoring.js';
+
+// Self-contained HTML report: inline styles, no scripts or external assets, so it can be
+// emailed, archived or printed to PDF as-is.
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return isNaN(date) ? escapeHtml(iso) : date.toISOString().slice(0, 10);
+}
+
+function impactBadge(impact) {
+  const value = IMPACTS.includes(impact) ? impact : 'unknown';
+  return `<span class="badge badge-${value}">${escapeHtml(value)}</span>`;
+}
+
+function countByImpact(violations) {
+  const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  violations.forEach(v => {
+    if (counts[v.impact] !== undefined) counts[v.impact]++;
+  });
+  return counts;
+}
+
+// Rules grouped across pages, worst first, so each fix is described once
+function groupByRule(violations) {
+  const groups = new Map();
+  for (const violation of violations) {
+    if (!groups.has(violation.rule_id)) {
+      groups.set(violation.rule_id, { rule: violation, records: [] });
+    }
+    groups.get(violation.rule_id).records.push(violation);
+  }
+  return Array.from(groups.values()).sort((a, b) => {
+    const impactDiff = IMPACTS.indexOf(a.rule.impact) - IMPACTS.indexOf(b.rule.impact);
+    if (impactDiff !== 0) return impactDiff;
+    return b.records.length - a.records.length;
+  });
+}
+
+function pageLabel(violation) {
+  return violation.flow_name
+    ? `${violation.page_url} (flow "${violation.flow_name}", step "${violation.step_name}")`
+    : violation.page_url;
+}
+
+function renderSummary(result) {
+  const counts = countByImpact(result.violations);
+  const elements = result.violations.reduce((sum, v) => sum + (v.nodes_count || 0), 0);
+  return `
+  <section aria-labelledby="summary-heading">
+    <h2 id="summary-heading">Summary</h2>
+    <div class="cards">
+      <div class="card"><span class="card-value">${escapeHtml(result.complianceScore)}</span><span class="card-label">Compliance score${result.score ? ` (model v${escapeHtml(result.score.version)})` : ''}</span></div>
+      <div class="card"><span class="card-value">${escapeHtml(result.pages_scanned)}</span><span class="card-label">Pages scanned</span></div>
+      <div class="card"><span class="card-value">${result.violations.length}</span><span class="card-label">Violations</span></div>
+      <div class="card"><span class="card-value">${elements}</span><span class="card-label">Failing elements</span></div>
+    </div>
+    <table>
+      <caption>Violations by impact</caption>
+      <thead><tr>${IMPACTS.map(impact => `<th scope="col">${impactBadge(impact)}</th>`).join('')}</tr></thead>
+      <tbody><tr>${IMPACTS.map(impact => `<td>${counts[impact]}</td>`).join('')}</tr></tbody>
+    </table>
+    ${renderPrincipleScores(result.score)}
+    ${renderHistory(result.history)}
+  </section>`;
+}
+
+function renderPrincipleScores(score) {
+  if (!score?.principles) return '';
+  const principles = Object.entries(score.principles);
+  return `
+    <table>
+      <caption>Score by WCAG principle</caption>
+      <thead><tr>${principles.map(([name]) => `<th scope="col">${escapeHtml(name[0].toUpperCase() + name.slice(1))}</th>`).join('')}</tr></thead>
+      <tbody><tr>${principles.map(([, value]) => `<td>${escapeHtml(value)}</td>`).join('')}</tr></tbody>
+    </table>`;
+}
+
+function renderHistory(history) {
+  if (!history || !history.previous_scan_id) return '';
+  return `
+    <h3>Since the previous scan (${formatDate(history.previous_scan_date)})</h3>
+    <ul class="inline-list">
+      <li><strong>${history.new_count}</strong> new</li>
+      <li><strong>${history.regressed_count}</strong> regressed</li>
+      <li><strong>${history.still_open_count}</strong> still open</li>
+      <li><strong>${history.fixed_count}</strong> fixed</li>
+    </ul>
+    ${history.fixed.length > 0 ? `
+    <details>
+      <summary>Fixed issues (${history.fixed_count})</summary>
+      <table>
+        <thead><tr><th scope="col">Rule</th><th scope="col">Page</th><th scope="col">Element</th><th scope="col">First detected</th></tr></thead>
+        <tbody>
+          ${history.fixed.map(issue => `<tr><td>${escapeHtml(issue.rule_id)}</td><td class="url">${escapeHtml(issue.page_url)}</td><td><code>${escapeHtml(issue.selector)}</code></td><td>${formatDate(issue.first_detected)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </details>` : ''}`;
+}
+
+const REGION_LABELS = { header: 'site header', nav: 'navigation', footer: 'site footer', aside: 'sidebar', main: 'main content', body: 'page body' };
+const MAX_GROUPS_IN_REPORT = 20;
+
+// Repeated issues first: each is one template fix that clears many pages
+function renderIssueGroups(groups) {
+  const repeated = (groups || []).filter(group => group.pages_affected > 1);
+  if (repeated.length === 0) return '';
+  return `
+  <section aria-labelledby="groups-heading">
+    <h2 id="groups-heading">Fix once, resolve everywhere</h2>
+    <p>These issues repeat across pages, usually because they come from a shared template. Each needs fixing only once.</p>
+    <ol class="fixes">
+      ${repeated.slice(0, MAX_GROUPS_IN_REPORT).map(group => `
+      <li>
+        <p>${impactBadge(group.impact)} <strong>Fix once, resolve on ${group.pages_affected} pages:</strong> ${escapeHtml(group.description)}</p>
+        <p class="muted">Rule <code>${escapeHtml(group.rule_id)}</code>${group.region ? ` &middot; in the ${escapeHtml(REGION_LABELS[group.region] || group.region)}` : ''} &middot; ${group.occurrences} element${group.occurrences === 1 ? '' : 's'}</p>
+        <p>Example on <span class="url">${escapeHtml(group.example.page_url)}</span>: <code>${escapeHtml(group.example.selector)}</code></p>
+        <pre><code>${escapeHtml(group.example.html)}</code></pre>
+      </li>`).join('')}
+    </ol>
+    ${repeated.length > MAX_GROUPS_IN_REPORT ? `<p class="muted">${repeated.length - MAX_GROUPS_IN_REPORT} more repeated issues are listed under Violations.</p>` : ''}
+  </section>`;
+}
+
+function renderPriorityFixes(ai) {
+  const fixes = ai?.aggregated_priority_fixes || [];
+  if (fixes.length === 0) return '';
+  return `
+  <section aria-labelledby="priority-heading">
+    <h2 id="priority-heading">Priority fixes</h2>
+    ${ai.overall_summary ? `<p>${escapeHtml(ai.overall_summary)}</p>` : ''}
+    <ol class="fixes">
+      ${fixes.map(fix => `
+      <li>
+        <p>${impactBadge(fix.impact)} <strong>${escapeHtml(fix.issue)}</strong>${fix.time ? ` <span class="muted">(${escapeHtml(fix.time)})</span>` : ''}</p>
+        ${fix.fix ? `<p>${escapeHtml(fix.fix)}</p>` : ''}
+        <p class="muted">Pages: ${(fix.pages_affected || [fix.page_url]).map(url => `<span class="url">${escapeHtml(url)}</span>`).join(', ')}</p>
+      </li>`).join('')}
+    </ol>
+  </section>`;
+}
+
+const FIX_VERIFICATION_LABELS = {
+  verified: 'Suggested fix verified: the rule passes when it is applied to the page',
+  partial: 'Suggested fix only partly resolves the issue when applied to the page',
+  not_fixing: 'Suggested fix did not resolve the issue when applied to the page',
+  unverified: 'Suggested fix could not be tested automatically'
+};
+
+function renderExplanation(explanation, verification) {
+  if (!explanation) return '';
+  return `
+      <div class="explanation">
+        ${explanation.explanation ? `<p><strong>What this means:</strong> ${escapeHtml(explanation.explanation)}</p>` : ''}
+        ${explanation.impact_on_users ? `<p><strong>Who it affects:</strong> ${escapeHtml(explanation.impact_on_users)}</p>` : ''}
+        ${explanation.fix_steps ? `<p><strong>How to fix:</strong></p><p class="pre">${escapeHtml(explanation.fix_steps)}</p>` : ''}
+        ${explanation.code_before ? `<p><strong>Before:</strong></p><pre><code>${escapeHtml(explanation.code_before)}</code></pre>` : ''}
+        ${explanation.code_after ? `<p><strong>After:</strong></p><pre><code>${escapeHtml(explanation.code_after)}</code></pre>` : ''}
+        ${explanation.estimated_time ? `<p class="muted">Estimated time: ${escapeHtml(explanation.estimated_time)}</p>` : ''}
+        ${verification ? `<p class="muted">${FIX_VERIFICATION_LABELS[verification.status]}</p>` : ''}
+      </div>`;
+}
+
+const STATUS_LABELS = {
+  failed: 'Fails',
+  needs_review: 'Needs review',
+  passed: 'Passes automated checks',
+  not_applicable: 'Not applicable'
+};
+
+function renderConformance(conformance) {
+  if (!conformance) return '';
+  const { summary } = conformance;
+  return `
+  <section aria-labelledby="conformance-heading">
+    <h2 id="conformance-heading">${escapeHtml(conformance.standard)} level ${escapeHtml(conformance.level)} conformance</h2>
+    <p>${summary.failed} criteria fail, ${summary.needs_review} need review, ${summary.passed} pass automated checks and ${summary.not_applicable} are not applicable.
+      Criteria marked as needing review can only be confirmed by a person.</p>
+    <table>
+      <thead><tr><th scope="col">Criterion</th><th scope="col">Level</th><th scope="col">Status</th><th scope="col">Evidence</th></tr></thead>
+      <tbody>
+        ${conformance.criteria.map(entry => `<tr>
+          <th scope="row">${escapeHtml(entry.criterion)} ${escapeHtml(entry.name)}</th>
+          <td>${escapeHtml(entry.level)}</td>
+          <td class="status-${entry.status}">${STATUS_LABELS[entry.status]}</td>
+          <td>${criterionEvidence(entry)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+function criterionEvidence(entry) {
+  const parts = [];
+  if (entry.status === 'failed') {
+    parts.push(`${entry.violation_ids.length} violation${entry.violation_ids.length === 1 ? '' : 's'} on ${entry.pages.failed.length} page${entry.pages.failed.length === 1 ? '' : 's'} (${entry.rules.failed.map(escapeHtml).join(', ')})`);
+  }
+  if (entry.incomplete_count > 0) {
+    parts.push(`${entry.incomplete_count} automated check${entry.incomplete_count === 1 ? '' : 's'} could not decide (${entry.rules.needs_review.map(escapeHtml).join(', ')})`);
+  }
+  if (entry.ai_findings.length > 0) {
+    parts.push(`${entry.ai_findings.length} AI finding${entry.ai_findings.length === 1 ? '' : 's'}`);
+  }
+  if (entry.status === 'passed') {
+    parts.push(`Passed on ${entry.pages.passed.length} page${entry.pages.passed.length === 1 ? '' : 's'} (${entry.rules.passed.map(escapeHtml).join(', ')})`);
+  }
+  if (entry.manual_only) {
+    parts.push('No automated checks; manual review required');
+  }
+  return parts.join('<br>');
+}
+
+function renderViolations(violations, { id = 'violations', title = 'Violations', intro = '' } = {}) {
+  if (violations.length === 0) {
+    return `<section aria-labelledby="${id}-heading"><h2 id="${id}-heading">${title}</h2><p>No automated violations were found.</p></section>`;
+  }
+  return `
+  <section aria-labelledby="${id}-heading">
+    <h2 id="${id}-heading">${title}</h2>
+    ${intro}
+    ${groupByRule(violations).map(({ rule, records }) => {
+      const elements = records.reduce((sum, v) => sum + (v.nodes_count || 0), 0);
+      return `
+    <article class="rule">
+      <h3>${impactBadge(rule.impact)} ${escapeHtml(rule.description)}</h3>
+      <p class="muted">Rule <code>${escapeHtml(rule.rule_id)}</code>${rule.wcag_criteria?.length ? ` &middot; WCAG ${rule.wcag_criteria.map(escapeHtml).join(', ')}${rule.wcag_level ? ` (level ${escapeHtml(rule.wcag_level)})` : ''}` : ''} &middot; ${elements} element${elements === 1 ? '' : 's'} on ${records.length} page${records.length === 1 ? '' : 's'}${rule.help_url ? ` &middot; <a href="${escapeHtml(rule.help_url)}">Rule documentation</a>` : ''}</p>
+      ${renderExplanation(rule.ai_explanation, rule.ai_fix_verification)}
+      ${records.map(record => `
+      <details>
+        <summary><span class="url">${escapeHtml(pageLabel(record))}</span> (${record.nodes_count})</summary>
+        <ul class="nodes">
+          ${record.nodes.map(node => `
+          <li>
+            <code>${escapeHtml(node.selector)}</code>${node.diff_status ? ` <span class="muted">${escapeHtml(node.diff_status)}</span>` : ''}
+            <pre><code>${escapeHtml(node.html)}</code></pre>
+            ${node.failure_summary ? `<p class="pre muted">${escapeHtml(node.failure_summary)}</p>` : ''}
+          </li>`).join('')}
+        </ul>
+      </details>`).join('')}
+    </article>`;
+    }).join('')}
+  </section>`;
+}
+
+function renderPages(result) {
+  const pageUrls = scannedPages(result);
+  const analyses = new Map((result.ai_analysis?.page_analyses || []).map(entry => [entry.page_url, entry.analysis]));
+  const pageScores = new Map((result.score?.pages || []).map(entry => [entry.page_url, entry.score]));
+  const byPage = new Map(pageUrls.map(url => [url, []]));
+  result.violations.forEach(v => {
+    if (!byPage.has(v.page_url)) byPage.set(v.page_url, []);
+    byPage.get(v.page_url).push(v);
+  });
+
+  return `
+  <section aria-labelledby="pages-heading">
+    <h2 id="pages-heading">Pages</h2>
+    ${Array.from(byPage.entries()).map(([url, violations]) => {
+      const counts = countByImpact(violations);
+      const analysis = analyses.get(url);
+      return `
+    <article class="page">
+      <h3 class="url">${escapeHtml(url)}</h3>
+      ${pageScores.has(url) ? `<p><strong>Score: ${escapeHtml(pageScores.get(url))}</strong></p>` : ''}
+      <p>${violations.length === 0 ? 'No automated violations.' : IMPACTS.filter(impact => counts[impact] > 0).map(impact => `${counts[impact]} ${impact}`).join(', ')}</p>
+      ${violations.length > 0 ? `
+      <ul>
+        ${violations.map(v => `<li>${impactBadge(v.impact)} ${escapeHtml(v.description)} (${v.nodes_count})${v.flow_name ? ` <span class="muted">flow "${escapeHtml(v.flow_name)}"</span>` : ''}</li>`).join('')}
+      </ul>` : ''}
+      ${analysis ? renderPageAnalysis(analysis) : ''}
+    </article>`;
+    }).join('')}
+  </section>`;
+}
+
+const MAX_CONTENT_FINDINGS_PER_RULE = 10;
+
+function renderContentAnalysis(content) {
+  if (!content || content.findings.length === 0) return '';
+  const byRule = new Map();
+  content.findings.forEach(finding => {
+    if (!byRule.has(finding.rule_id)) byRule.set(finding.rule_id, []);
+    byRule.get(finding.rule_id).push(finding);
+  });
+  const { summary } = content;
+  return `
+  <section aria-labelledby="content-heading">
+    <h2 id="content-heading">Content checks</h2>
+    <p>Reading level, language, link text, page titles and headings, checked on ${summary.pages_analyzed} page${summary.pages_analyzed === 1 ? '' : 's'}.
+      ${summary.average_grade_level !== null ? `Text reads at grade ${escapeHtml(summary.average_grade_level)} on average (target: grade ${escapeHtml(summary.reading_grade_target)}).` : ''}
+      These findings are not counted in the score.</p>
+    ${Array.from(byRule.entries()).map(([ruleId, findings]) => `
+    <article class="rule">
+      <h3>${impactBadge(findings[0].impact)} ${escapeHtml(findings[0].description)}</h3>
+      <p class="muted">Rule <code>${escapeHtml(ruleId)}</code>${findings[0].wcag_criteria.length > 0 ? ` &middot; WCAG ${findings[0].wcag_criteria.map(escapeHtml).join(', ')}` : ' &middot; best practice'} &middot; ${findings.length} finding${findings.length === 1 ? '' : 's'}</p>
+      <ul>
+        ${findings.slice(0, MAX_CONTENT_FINDINGS_PER_RULE).map(finding => `<li>${escapeHtml(finding.message)}${finding.page_url ? ` <span class="url">${escapeHtml(finding.page_url)}</span>` : ''}${finding.selector ? ` <code>${escapeHtml(finding.selector)}</code>` : ''}</li>`).join('')}
+      </ul>
+      ${findings.length > MAX_CONTENT_FINDINGS_PER_RULE ? `<p class="muted">${findings.length - MAX_CONTENT_FINDINGS_PER_RULE} more in the scan result.</p>` : ''}
+    </article>`).join('')}
+  </section>`;
+}
+
+function renderPageAnalysis(analysis) {
+  const issues = [
+    ...(analysis.visual_issues || []).map(issue => ({ ...issue, text: issue.description })),
+    ...(analysis.content_issues || []).map(issue => ({ ...issue, text: (issue.examples || []).join('; ') }))
+  ];
+  return `
+      <div class="explanation">
+        <p><strong>AI review:</strong> ${escapeHtml(analysis.summary)}</p>
+        ${issues.length > 0 ? `
+        <ul>
+          ${issues.map(issue => `<li><strong>${escapeHtml(issue.type)}</strong>${issue.wcag ? ` (WCAG ${escapeHtml(issue.wcag)})` : ''}: ${escapeHtml(issue.text)}${issue.fix ? `<br><span class="muted">Fix: ${escapeHtml(issue.fix)}</span>` : ''}</li>`).join('')}
+        </ul>` : ''}
+      </div>`;
+}
+
+function styles(brandColor) {
+  return `
+    :root { --brand: ${brandColor}; }
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; line-height: 1.5; margin: 0; }
+    header { border-top: 8px solid var(--brand); padding: 24px 40px 8px; }
+    main { padding: 0 40px 40px; }
+    h1 { margin: 0 0 4px; font-size: 28px; }
+    h2 { border-bottom: 2px solid var(--brand); padding-bottom: 4px; margin-top: 40px; }
+    h3 { font-size: 18px; margin-bottom: 4px; }
+    a { color: #1d4ed8; }
+    code, pre { font-family: Menlo, Consolas, monospace; font-size: 13px; }
+    pre { background: #f3f4f6; padding: 8px; white-space: pre-wrap; word-break: break-all; }
+    table { border-collapse: collapse; margin: 16px 0; }
+    caption { text-align: left; font-weight: 600; margin-bottom: 4px; }
+    th, td { border: 1px solid #d1d5db; padding: 6px 10px; text-align: left; vertical-align: top; }
+    .muted { color: #4b5563; }
+    .url { word-break: break-all; }
+    .pre { white-space: pre-wrap; }
+    .cards { display: flex; gap: 16px; flex-wrap: wrap; }
+    .card { border: 1px solid #d1d5db; border-radius: 6px; padding: 12px 16px; min-width: 140px; }
+    .card-value { display: block; font-size: 28px; font-weight: 700; }
+    .card-label { color: #4b5563; }
+    .inline-list { list-style: none; padding: 0; display: flex; gap: 24px; }
+    .badge { display: inline-block; border-radius: 4px; padding: 0 6px; font-size: 12px; font-weight: 700; text-transform: uppercase; color: #fff; background: #4b5563; }
+    .badge-critical { background: #b91c1c; }
+    .badge-serious { background: #c2410c; }
+    .badge-moderate { background: #a16207; }
+    .badge-minor { background: #4b5563; }
+    .rule, .page { border-bottom: 1px solid #e5e7eb; padding-bottom: 12px; }
+    .status-failed { color: #b91c1c; font-weight: 700; }
+    .status-needs_review { color: #a16207; font-weight: 700; }
+    .status-passed { color: #15803d; }
+    .explanation { border-left: 4px solid var(--brand); padding-left: 12px; margin: 8px 0; }
+    .nodes { padding-left: 20px; }
+    footer { padding: 16px 40px; color: #4b5563; font-size: 13px; }
+    @media print {
+      h2, h3 { break-after: avoid; }
+      header { padding-top: 0; }
+    }`;
+}
+
+// `branding` is `{ name, color }`
+export function renderHtmlReport(result, branding) {
+  const scanned = formatDate(result.scan_date);
+  const title = `Accessibility report: ${result.website_url}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${styles(branding.color)}</style>
+</head>
+<body>
+<header>
+  <p class="muted"><strong>${escapeHtml(branding.name)}</strong></p>
+  <h1>Accessibility report</h1>
+  <p><span class="url">${escapeHtml(result.website_url)}</span>${result.company_name ? ` &middot; ${escapeHtml(result.company_name)}` : ''} &middot; scanned ${scanned}${result.standard ? ` &middot; tested against ${escapeHtml(result.standard.label)}` : ''}</p>
+</header>
+<main>
+  ${renderSummary(result)}
+  ${renderIssueGroups(result.issue_groups)}
+  ${renderPriorityFixes(result.ai_analysis)}
+  ${renderViolations(result.violations)}
+  ${result.best_practice_findings?.length ? renderViolations(result.best_practice_findings, {
+    id: 'best-practices',
+    title: 'Best practices',
+    intro: '<p>Recommendations beyond the conformance requirements. They are not counted as violations.</p>'
+  }) : ''}
+  ${renderContentAnalysis(result.content_analysis)}
+  ${renderConformance(result.conformance)}
+  ${renderPages(result)}
+</main>
+<footer>
+  Scan ${escapeHtml(result.scan_id)} &middot; ${escapeHtml(result.scanner_version)}.
+  Automated testing finds only part of all accessibility barriers; a manual review is still needed for full conformance.
+</footer>
+</body>
+</html>
+`;
+}
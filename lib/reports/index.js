@@ -0,0 +1,60 @@
+import { renderHtmlReport, escapeHtml } from './html.js';
+import { renderCsvReport } from './csv.js';
+import { renderSarifReport } from './sarif.js';
+import { renderPdfReport } from './pdf.js';
+
+// Report rendering: turns a completed scan result into a downloadable file
+
+export const REPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  sarif: { contentType: 'application/sarif+json', extension: 'sarif' }
+};
+
+const DEFAULT_BRANDING = {
+  name: process.env.REPORT_BRAND_NAME || 'ADA Scanner',
+  color: process.env.REPORT_BRAND_COLOR || '#1d4ed8'
+};
+
+// Per-request branding overrides; anything that isn't a plain hex colour is ignored
+export function resolveBranding({ brand_name, brand_color } = {}) {
+  return {
+    name: typeof brand_name === 'string' && brand_name.trim() ? brand_name.trim().slice(0, 100) : DEFAULT_BRANDING.name,
+    color: /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(brand_color || '') ? brand_color : DEFAULT_BRANDING.color
+  };
+}
+
+function reportFilename(result, extension) {
+  let host = 'site';
+  try {
+    host = new URL(result.website_url).hostname.replace(/^www\./, '');
+  } catch {}
+  const date = (result.scan_date || '').slice(0, 10);
+  return `accessibility-report-${host}-${date}.${extension}`.replace(/[^\w.-]/g, '_');
+}
+
+// Resolves with `{ body, contentType, filename }`
+export async function renderReport(result, format, { branding = DEFAULT_BRANDING } = {}) {
+  const { contentType, extension } = REPORT_FORMATS[format];
+  let body;
+
+  switch (format) {
+    case 'html':
+      body = renderHtmlReport(result, branding);
+      break;
+    case 'pdf':
+      body = await renderPdfReport(renderHtmlReport(result, branding), {
+        title: escapeHtml(`${branding.name} - ${result.website_url}`)
+      });
+      break;
+    case 'csv':
+      body = renderCsvReport(result);
+      break;
+    case 'sarif':
+      body = JSON.stringify(renderSarifReport(result, { toolName: 'ADA Scanner', toolVersion: result.scanner_version }), null, 2);
+      break;
+  }
+
+  return { body, contentType, filename: reportFilename(result, extension) };
+}
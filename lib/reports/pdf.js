@@ -0,0 +1,26 @@
+import { launchBrowser } from '../browser.js';
+
+// Print the HTML report with its own Chromium, so it never shares tabs with a running scan
+export async function renderPdfReport(html, { title }) {
+  const browser = await launchBrowser();
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load', timeout: 60000 });
+    // Element lists are collapsed on screen; print them in full
+    await page.evaluate(() => {
+      document.querySelectorAll('details').forEach(details => { details.open = true; });
+    });
+    return await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '16mm', bottom: '18mm', left: '12mm', right: '12mm' },
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: `<div style="font-size:8px;width:100%;padding:0 12mm;display:flex;justify-content:space-between;color:#4b5563;">
+        <span>${title}</span><span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+      </div>`
+    });
+  } finally {
+    await browser.close();
+  }
+}
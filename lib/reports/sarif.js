@@ -0,0 +1,98 @@
+// SARIF 2.1.0 for code-scanning tools. Findings are located by page URL and CSS selector;
+// there are no source files, so the failing markup goes in the region snippet.
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+function level(impact) {
+  return LEVELS[impact] || 'warning';
+}
+
+function ruleDescriptor(violation) {
+  const explanation = violation.ai_explanation;
+  const markdown = [
+    violation.description,
+    explanation?.explanation,
+    explanation?.fix_steps && `**How to fix:**\n\n${explanation.fix_steps}`,
+    violation.help_url && `[Rule documentation](${violation.help_url})`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    id: violation.rule_id,
+    name: violation.rule_id,
+    shortDescription: { text: violation.description },
+    fullDescription: { text: violation.description },
+    ...(violation.help_url && { helpUri: violation.help_url }),
+    help: { text: explanation?.fix_steps || violation.description, markdown },
+    defaultConfiguration: { level: level(violation.impact) },
+    properties: {
+      impact: violation.impact,
+      source: violation.source,
+      tags: [...(violation.wcag_criteria || []).map(id => `WCAG ${id}`), ...(violation.tags || [])],
+      ...(violation.wcag_level && { wcag_level: violation.wcag_level })
+    }
+  };
+}
+
+export function renderSarifReport(result, { toolName, toolVersion }) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+
+  const bestPractices = result.best_practice_findings || [];
+  for (const violation of [...result.violations, ...bestPractices]) {
+    const advisory = bestPractices.includes(violation);
+    if (!ruleIndex.has(violation.rule_id)) {
+      ruleIndex.set(violation.rule_id, rules.length);
+      rules.push(ruleDescriptor(violation));
+    }
+
+    for (const node of violation.nodes) {
+      const message = node.failure_summary
+        ? `${violation.description}\n${node.failure_summary}`
+        : violation.description;
+      results.push({
+        ruleId: violation.rule_id,
+        ruleIndex: ruleIndex.get(violation.rule_id),
+        // Best-practice advice listed apart from failures is never more than a note
+        level: advisory ? 'note' : level(node.impact || violation.impact),
+        message: { text: message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: violation.page_url },
+            region: { snippet: { text: node.html || '' } }
+          },
+          logicalLocations: [{ fullyQualifiedName: node.selector, kind: 'element' }]
+        }],
+        ...(node.fingerprint && { partialFingerprints: { 'adaScannerElement/v1': node.fingerprint } }),
+        properties: {
+          violation_id: violation.violation_id,
+          ...(violation.flow_name && { flow_name: violation.flow_name, step_name: violation.step_name }),
+          ...((node.viewports || violation.viewports) && { viewports: node.viewports || violation.viewports }),
+          ...(node.diff_status && { diff_status: node.diff_status })
+        }
+      });
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: toolName,
+          version: toolVersion,
+          rules
+        }
+      },
+      automationDetails: { id: `ada-scanner/${result.scan_id}` },
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: result.scan_date
+      }],
+      results
+    }]
+  };
+}
@@ -0,0 +1,146 @@
+// robots.txt fetching and matching (RFC 9309 longest-match semantics)
+
+import { readBodyLimited } from './targets.js';
+
+export const DEFAULT_USER_AGENT = process.env.CRAWLER_USER_AGENT || 'ADAScanner';
+
+const ROBOTS_TIMEOUT_MS = 10000;
+const MAX_ROBOTS_BYTES = 512 * 1024;
+
+// Parse robots.txt into user-agent groups plus the global Sitemap: entries
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+
+    const field = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Pick the group for our user agent: the most specific matching product token, else `*`
+function selectGroup(groups, userAgent) {
+  const agent = userAgent.toLowerCase();
+  let best = null;
+  let bestLength = -1;
+
+  for (const group of groups) {
+    for (const token of group.agents) {
+      if (token !== '*' && agent.includes(token) && token.length > bestLength) {
+        best = group;
+        bestLength = token.length;
+      }
+    }
+  }
+  return best || groups.find(group => group.agents.includes('*')) || null;
+}
+
+function patternToRegex(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// What an unreachable robots.txt means under RFC 9309: the whole site is disallowed
+const DISALLOW_ALL = { groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }], sitemaps: [] };
+
+// Build a policy object answering isAllowed(url) for one user agent
+export function createRobotsPolicy(robots, userAgent = DEFAULT_USER_AGENT) {
+  const group = robots ? selectGroup(robots.groups, userAgent) : null;
+  const rules = (group?.rules || []).map(rule => ({ ...rule, regex: patternToRegex(rule.path) }));
+
+  return {
+    userAgent,
+    crawlDelay: group?.crawlDelay ?? null,
+    sitemaps: robots?.sitemaps || [],
+    isAllowed(urlString) {
+      let target;
+      try {
+        const url = new URL(urlString);
+        target = decodeURIComponent(url.pathname) + url.search;
+      } catch {
+        return true;
+      }
+
+      // Longest matching rule wins; Allow wins a tie
+      let match = null;
+      for (const rule of rules) {
+        if (!rule.regex.test(target)) continue;
+        if (!match || rule.path.length > match.path.length ||
+            (rule.path.length === match.path.length && rule.allow)) {
+          match = rule;
+        }
+      }
+      return !match || match.allow;
+    }
+  };
+}
+
+// Fetch and parse robots.txt for a site. A missing file (4xx) or one that can't be fetched
+// allows everything; a server error (5xx) disallows everything, as RFC 9309 requires.
+// `fetchImpl` lets callers route the request through target checks.
+export async function fetchRobotsPolicy(siteUrl, userAgent = DEFAULT_USER_AGENT, { fetch: fetchImpl = fetch } = {}) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).toString();
+  try {
+    const response = await fetchImpl(robotsUrl, {
+      headers: { 'User-Agent': userAgent },
+      signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS)
+    });
+    if (response.status >= 500) {
+      await response.body?.cancel().catch(() => {});
+      console.log(`[ROBOTS] ${robotsUrl} returned ${response.status}, disallowing all`);
+      return createRobotsPolicy(DISALLOW_ALL, userAgent);
+    }
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {});
+      console.log(`[ROBOTS] ${robotsUrl} returned ${response.status}, allowing all`);
+      return createRobotsPolicy(null, userAgent);
+    }
+    // Only the first MAX_ROBOTS_BYTES are parsed (RFC 9309 asks for at least 500 KiB)
+    const text = (await readBodyLimited(response, MAX_ROBOTS_BYTES)).toString('utf-8');
+    const policy = createRobotsPolicy(parseRobotsTxt(text), userAgent);
+    console.log(`[ROBOTS] Loaded ${robotsUrl} (crawl-delay: ${policy.crawlDelay ?? 'none'}, sitemaps: ${policy.sitemaps.length})`);
+    return policy;
+  } catch (error) {
+    console.log(`[ROBOTS] Could not fetch ${robotsUrl}: ${error.message}, allowing all`);
+    return createRobotsPolicy(null, userAgent);
+  }
+}
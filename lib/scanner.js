@@ -0,0 +1,688 @@
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { throwIfCancelled, ScanCancelledError } from './jobs.js';
+import { serializeNode, withoutReportedNodes, reportedNodeKeys } from './violations.js';
+import { crawl, resolveCrawlOptions } from './crawler.js';
+import { DEFAULT_USER_AGENT, createRobotsPolicy, fetchRobotsPolicy } from './robots.js';
+import { fetchSitemapUrls } from './sitemap.js';
+import { resolveScope, isSameSite, normalizeUrl, scopeSkipReason } from './scope.js';
+import { createAuthSession, isLogoutUrl, stripQuery } from './auth.js';
+import { runFlow } from './flows.js';
+import {
+  resolveViewportProfiles,
+  applyViewportProfile,
+  switchViewportProfile,
+  auditViewport,
+  mergeViewportResults,
+  LAYOUT_RULES
+} from './viewports.js';
+import { resolveRuleConfig, axeRunArgs, isBestPractice, applyRuleConfigToScannerViolations } from './standards.js';
+import { auditKeyboard, resolveKeyboardOptions, KEYBOARD_RULES } from './keyboard.js';
+import { launchBrowser } from './browser.js';
+import { criteriaFromTags, levelOfCriteria, summarizeRuleOutcomes, buildConformanceMatrix } from './wcag.js';
+import { annotateRegions, groupViolations, summarizeGroups } from './grouping.js';
+import { captureEvidence, resolveScreenshotOptions } from './screenshots.js';
+import { computeScore } from './scoring.js';
+import { aggregateAIAnalyses } from './ai.js';
+import { verifyFixes, DEFAULT_MAX_CHECKS as MAX_FIX_CHECKS } from './fix-verification.js';
+import { extractAccessibilityData } from './page-data.js';
+import { resolveContentOptions, extractContentData, analyzeSiteContent } from './content.js';
+
+// The scan pipeline: discovery, crawl, axe and scanner audits, optional AI analysis and
+// scoring. Used by the API's job queue and by the command-line scanner (bin/ada-scanner.js).
+
+// Load axe-core script from node_modules for injection into pages
+const require = createRequire(import.meta.url);
+const axeCorePath = require.resolve('axe-core/axe.min.js');
+const axeCoreScript = readFileSync(axeCorePath, 'utf-8');
+const AXE_VERSION = require('axe-core/package.json').version;
+
+// Rules implemented by the scanner itself rather than axe
+export const SCANNER_RULES = [...KEYBOARD_RULES, ...LAYOUT_RULES];
+
+// Inject axe-core from local node_modules (WCAG 2.2 support)
+export async function injectAxe(page) {
+  await page.addScriptTag({ content: axeCoreScript });
+}
+
+// Inject axe-core into the page and run it with the scan's standard and rule config
+export async function runAxe(page, ruleConfig) {
+  await injectAxe(page);
+
+  const { context, options } = axeRunArgs(ruleConfig);
+  return page.evaluate(async (context, options) => {
+    return await axe.run(context || document, options);
+  }, context, options);
+}
+
+// Every dependency is optional: without `ai` (see lib/ai.js) scans run with AI level
+// "none", without `history` results aren't stored or diffed, without `artifactStore`
+// screenshots aren't captured, and without `targetGuard` any host can be scanned
+// (fine for a developer's own machine, never for the API).
+export function createScanner({ ai = null, history = null, artifactStore = null, targetGuard = null } = {}) {
+  const fetchTarget = targetGuard ? targetGuard.fetch : fetch;
+
+  // Run a full scan (crawl + axe + AI analysis) and resolve with the result body.
+  // `signal` aborts on cancellation, `reportProgress` feeds status/SSE.
+  async function runScan(params, { signal, reportProgress }) {
+    const { website_url, customer_id, scan_id, email, company_name, plan, max_pages } = params;
+
+    // Page limit and AI level come from the API key's plan (see POST /api/scan)
+    const pageLimit = max_pages && max_pages > 0 ? Math.min(max_pages, 50) : 50;
+    const aiLevel = ai ? params.ai_level || 'none' : 'none';
+
+    const crawlOptions = resolveCrawlOptions(params.crawl);
+    const discoveryOptions = params.discovery || {};
+    const flows = params.flows || [];
+    const viewportProfiles = resolveViewportProfiles(params.viewports);
+    const keyboardOptions = resolveKeyboardOptions(params.keyboard_audit);
+    const contentOptions = resolveContentOptions(params.content_analysis);
+    const screenshotOptions = artifactStore ? resolveScreenshotOptions(params.screenshots) : null;
+    const ruleConfig = resolveRuleConfig(params, { scannerRules: SCANNER_RULES });
+    const runConfiguredAxe = (page) => runAxe(page, ruleConfig);
+    const startTime = Date.now();
+
+    const scope = resolveScope(params.scope, website_url);
+    const startUrl = normalizeUrl(website_url, scope);
+    const inSite = (url) => isSameSite(url, scope);
+
+    // Checked again here because DNS may have changed since the request was accepted
+    if (targetGuard) await targetGuard.check(startUrl);
+
+    // Read robots.txt and sitemaps before crawling
+    reportProgress({ phase: 'discovery', pages_scanned: 0, page_limit: pageLimit, violations_found: 0 });
+    const userAgent = discoveryOptions.user_agent || DEFAULT_USER_AGENT;
+    const respectRobots = discoveryOptions.respect_robots_txt !== false;
+    const robots = respectRobots
+      ? await fetchRobotsPolicy(website_url, userAgent, { fetch: fetchTarget })
+      : createRobotsPolicy(null, userAgent);
+
+    if (robots.crawlDelay) {
+      crawlOptions.hostDelayMs = Math.max(crawlOptions.hostDelayMs, Math.min(robots.crawlDelay * 1000, 30000));
+    }
+
+    let sitemap = { urls: [], sitemaps_fetched: 0, errors: [] };
+    if (discoveryOptions.use_sitemap !== false) {
+      const sitemapSources = robots.sitemaps.length > 0
+        ? robots.sitemaps
+        : [new URL('/sitemap.xml', website_url).toString()];
+      sitemap = await fetchSitemapUrls(sitemapSources, { userAgent, isAllowedUrl: inSite, fetch: fetchTarget });
+    }
+    throwIfCancelled(signal);
+
+    reportProgress({ phase: 'launching_browser', queue_size: 1 + sitemap.urls.length });
+
+    // Track important pages for AI analysis (slots reserved as pages qualify, capped at 10)
+    let importantPageSlots = 0;
+    let violationsFound = 0;
+
+    // Launch browser
+    const browser = await launchBrowser();
+
+    const defaultUserAgent = await browser.userAgent();
+
+    // Log in once; the session cookies are shared by every tab in this browser
+    const authSession = params.auth
+      ? createAuthSession({
+        browser,
+        auth: params.auth,
+        websiteUrl: startUrl,
+        isInScope: inSite,
+        timeoutMs: crawlOptions.pageTimeoutMs,
+        guardPage: targetGuard?.protectPage
+      })
+      : null;
+    const loginPageUrl = params.auth?.login ? stripQuery(params.auth.login.url) : null;
+
+    // Violation records for one axe run; `extra` adds attribution such as flow and step names
+    function toViolationRecords(axeViolations, pageUrl, extra = {}) {
+      const scanDate = new Date().toISOString();
+      return axeViolations.map(v => {
+        const nodes = v.nodes.map(serializeNode);
+        const wcagCriteria = criteriaFromTags(v.tags);
+        return {
+          scan_id: scan_id,
+          customer_id,
+          page_url: pageUrl,
+          ...extra,
+          rule_id: v.id,
+          source: v.source || 'axe',
+          impact: v.impact || "unknown",
+          description: v.description,
+          tags: v.tags || [],
+          wcag_criteria: wcagCriteria,
+          wcag_level: levelOfCriteria(wcagCriteria),
+          element_selector: nodes[0]?.selector || "N/A",
+          html_snippet: nodes[0]?.html || null,
+          nodes_count: nodes.length,
+          nodes,
+          ...(v.viewports && { viewports: v.viewports }),
+          ...(v.screenshot_marker && { screenshot_marker: v.screenshot_marker }),
+          ...(v.annotated_screenshot && { annotated_screenshot: v.annotated_screenshot }),
+          help_url: v.helpUrl,
+          fixed_status: "open",
+          detected_date: scanDate,
+          fixed_date: null
+        };
+      });
+    }
+
+    // Every tab blocks requests to private and reserved addresses, including redirects
+    async function setupPage(page) {
+      if (targetGuard) await targetGuard.protectPage(page);
+      await applyViewportProfile(page, viewportProfiles[0], defaultUserAgent);
+      if (authSession) await authSession.setupPage(page);
+    }
+
+    // Run each scripted flow in its own tab, auditing after every named step.
+    // Nodes already reported for the same page are not repeated.
+    async function runScriptedFlows(reported) {
+      const results = [];
+      const flowViolations = [];
+
+      for (const flow of flows) {
+        throwIfCancelled(signal);
+        const flowUrl = normalizeUrl(flow.url || website_url, scope);
+        reportProgress({ phase: 'flows', current_flow: flow.name });
+
+        const page = await browser.newPage();
+        try {
+          await setupPage(page);
+          await page.goto(flowUrl, { waitUntil: 'networkidle2', timeout: crawlOptions.pageTimeoutMs });
+          if (authSession) {
+            await authSession.ensureLoggedIn(page, flowUrl);
+          }
+
+          const outcome = await runFlow(page, flow, {
+            timeoutMs: crawlOptions.pageTimeoutMs,
+            audit: async (flowPage, stepName) => {
+              const stepUrl = normalizeUrl(flowPage.url(), scope);
+              const result = await runConfiguredAxe(flowPage);
+              await annotateRegions(flowPage, result.violations);
+              const records = withoutReportedNodes(
+                toViolationRecords(result.violations, stepUrl, { flow_name: flow.name, step_name: stepName }),
+                reported
+              );
+              flowViolations.push(...records);
+
+              // Validation messages only exist after the step, so capture them here
+              const { errorElements } = await extractAccessibilityData(flowPage);
+              console.log(`[FLOW] "${flow.name}" step "${stepName}": ${records.length} new violations`);
+              return { page_url: stepUrl, violations_found: records.length, error_messages: errorElements };
+            }
+          });
+          results.push({ name: flow.name, url: flowUrl, ...outcome });
+        } catch (error) {
+          console.error(`[FLOW] "${flow.name}" could not start:`, error.message);
+          results.push({ name: flow.name, url: flowUrl, status: 'failed', error: error.message, steps: [] });
+        } finally {
+          await page.close().catch(() => {});
+        }
+      }
+
+      return { results, violations: flowViolations };
+    }
+
+    // Same-site links on the page, per the scan's scope host rules
+    async function getInternalLinks(page) {
+      const anchors = await page.$$eval('a[href]', links => links.map(link => link.href));
+      return anchors.filter(inSite).map(url => url.split('#')[0]); // remove fragments
+    }
+
+    // Scan one loaded page: axe results, AI page data and links to follow
+    async function visitPage(page, currentUrl, { isStartPage }) {
+      if (authSession) {
+        await authSession.ensureLoggedIn(page, currentUrl);
+      }
+
+      // Check if this is an important page for AI analysis
+      let isImportantPage = false;
+      let pageData = null;
+      let important = null;
+
+      // Always mark homepage as important
+      if (isStartPage) {
+        isImportantPage = true;
+      }
+
+      // Check if page has forms (important for accessibility)
+      if (aiLevel === 'advanced' && !isImportantPage) {
+        pageData = await extractAccessibilityData(page);
+        if (pageData.stats.hasForms) {
+          isImportantPage = true;
+        }
+      }
+
+      const result = await auditViewport(page, viewportProfiles[0], runConfiguredAxe);
+      const pageViolationCount = result.violations.length;
+
+      // Mark pages with high violation counts as important
+      if (aiLevel === 'advanced' && !isImportantPage && pageViolationCount >= 5) {
+        isImportantPage = true;
+      }
+
+      // Capture screenshot and data for important pages
+      if (aiLevel === 'advanced' && isImportantPage && importantPageSlots < 10) {
+        importantPageSlots++;
+        if (!pageData) {
+          pageData = await extractAccessibilityData(page);
+        }
+        const pageScreenshot = await page.screenshot({
+          encoding: 'base64',
+          fullPage: false
+        });
+
+        important = {
+          url: currentUrl,
+          screenshot: pageScreenshot,
+          data: pageData
+        };
+
+        console.log(`[AI PAGE] Marked as important: ${currentUrl} (forms: ${pageData.stats.hasForms}, violations: ${pageViolationCount})`);
+      }
+
+      // Get internal links for crawling (before other viewports change the page)
+      const internalLinks = await getInternalLinks(page);
+
+      // Text, links and headings for the local content checks
+      let content = null;
+      if (contentOptions) {
+        try {
+          content = await extractContentData(page, contentOptions);
+        } catch (error) {
+          console.error(`[CONTENT] Extraction failed on ${currentUrl}:`, error.message);
+        }
+      }
+
+      // Tab through the page for keyboard issues axe can't detect
+      let keyboard = null;
+      if (keyboardOptions) {
+        try {
+          keyboard = await auditKeyboard(page, keyboardOptions);
+          console.log(`[KEYBOARD] ${currentUrl}: ${keyboard.summary.tab_stops} tab stops (${keyboard.summary.ending}), ${keyboard.violations.length} issues`);
+        } catch (error) {
+          console.error(`[KEYBOARD] Audit failed on ${currentUrl}:`, error.message);
+          keyboard = { violations: [], summary: { error: error.message } };
+        }
+      }
+      let firstProfileViolations = [...result.violations, ...(keyboard?.violations || [])];
+
+      // Screenshot the failing elements while the page is still in the first viewport
+      let screenshots = null;
+      if (screenshotOptions && firstProfileViolations.length > 0) {
+        firstProfileViolations = await applyRuleConfigToScannerViolations(page, firstProfileViolations, ruleConfig);
+        try {
+          screenshots = await captureEvidence(page, firstProfileViolations, {
+            pageUrl: currentUrl,
+            scanId: scan_id,
+            store: artifactStore,
+            options: screenshotOptions
+          });
+          console.log(`[SCREENSHOT] ${currentUrl}: ${screenshots?.elements_captured || 0} elements captured`);
+        } catch (error) {
+          console.error(`[SCREENSHOT] Capture failed on ${currentUrl}:`, error.message);
+        }
+      }
+
+      // Re-audit in each additional viewport and merge, so violations list where they appear
+      let axeViolations = firstProfileViolations;
+      if (viewportProfiles.length > 1) {
+        const perProfile = [{ profile: viewportProfiles[0].name, violations: firstProfileViolations }];
+        for (let i = 1; i < viewportProfiles.length; i++) {
+          await switchViewportProfile(page, viewportProfiles[i - 1], viewportProfiles[i], {
+            defaultUserAgent,
+            timeoutMs: crawlOptions.pageTimeoutMs
+          });
+          const profileResult = await auditViewport(page, viewportProfiles[i], runConfiguredAxe);
+          perProfile.push({ profile: viewportProfiles[i].name, violations: profileResult.violations });
+        }
+        axeViolations = mergeViewportResults(perProfile);
+      }
+      axeViolations = await applyRuleConfigToScannerViolations(page, axeViolations, ruleConfig);
+      await annotateRegions(page, axeViolations);
+
+      // Extract violations (ids are assigned once the crawl order is final)
+      const pageViolations = toViolationRecords(axeViolations, currentUrl);
+      violationsFound += pageViolations.length;
+
+      console.log(`[SCAN] Visited: ${currentUrl}`);
+      console.log(`[SCAN] Violations: ${pageViolationCount}, Forms: ${pageData?.stats.hasForms || 'not checked'}`);
+
+      return {
+        links: internalLinks,
+        data: {
+          violations: pageViolations,
+          important,
+          keyboard: keyboard?.summary || null,
+          content,
+          annotated_screenshot: screenshots?.annotated || null,
+          rule_outcomes: summarizeRuleOutcomes(result)
+        }
+      };
+    }
+
+    // Fix verification loads pages again in a browser of its own, logged in the same way,
+    // so the crawl's browser can close before the AI phases
+    async function verifyAiFixes(explainedViolations) {
+      const verifyBrowser = await launchBrowser();
+      const verifySession = params.auth
+        ? createAuthSession({
+          browser: verifyBrowser,
+          auth: params.auth,
+          websiteUrl: startUrl,
+          isInScope: inSite,
+          timeoutMs: crawlOptions.pageTimeoutMs,
+          guardPage: targetGuard?.protectPage
+        })
+        : null;
+
+      try {
+        if (verifySession) await verifySession.login();
+        return await verifyFixes(explainedViolations, {
+          ai,
+          meter: aiMeter,
+          signal,
+          reportProgress,
+          openPage: async (url) => {
+            const page = await verifyBrowser.newPage();
+            try {
+              if (targetGuard) await targetGuard.protectPage(page);
+              await applyViewportProfile(page, viewportProfiles[0], defaultUserAgent);
+              if (verifySession) await verifySession.setupPage(page);
+              await page.goto(url, { waitUntil: 'networkidle2', timeout: crawlOptions.pageTimeoutMs });
+              if (verifySession) await verifySession.ensureLoggedIn(page, url);
+              await injectAxe(page);
+              return page;
+            } catch (error) {
+              await page.close().catch(() => {});
+              throw error;
+            }
+          }
+        });
+      } catch (error) {
+        if (error instanceof ScanCancelledError) throw error;
+        console.error('[AI FIX] Fix verification failed:', error.message);
+        return explainedViolations;
+      } finally {
+        await verifyBrowser.close();
+      }
+    }
+
+    let crawlResult;
+    let flowRun = { results: [], violations: [] };
+    try {
+      if (authSession) {
+        reportProgress({ phase: 'authenticating' });
+        await authSession.login();
+      }
+
+      crawlResult = await crawl({
+        browser,
+        // Homepage first, then sitemap pages by priority, then discovered links
+        startUrls: [website_url, ...sitemap.urls.map(entry => entry.loc)],
+        pageLimit,
+        options: crawlOptions,
+        normalize: (url) => normalizeUrl(url, scope),
+        maxDepth: scope.maxDepth,
+        shouldVisit: async (url) => {
+          if (!robots.isAllowed(url)) return 'robots_disallowed';
+          if (authSession && isLogoutUrl(url)) return 'logout_link';
+          if (loginPageUrl && stripQuery(url) === loginPageUrl) return 'login_page';
+          // The start page is always scanned, even outside include/prefix rules
+          const reason = url === startUrl ? null : scopeSkipReason(url, scope);
+          if (reason) return reason;
+          if (targetGuard && !(await targetGuard.isAllowed(url))) return 'unsafe_target';
+          return null;
+        },
+        setupPage,
+        visit: visitPage,
+        signal,
+        onPageDone: ({ url }, stats) => {
+          console.log(`[SCAN] Progress: ${stats.pages_scanned}/${pageLimit} pages, ${stats.queue_size} queued, ${stats.in_flight} in flight`);
+          reportProgress({
+            phase: 'crawling',
+            current_url: url,
+            pages_scanned: stats.pages_scanned,
+            page_limit: pageLimit,
+            queue_size: stats.queue_size,
+            violations_found: violationsFound
+          });
+        }
+      });
+
+      if (flows.length > 0) {
+        const crawlViolations = crawlResult.pages.flatMap(p => p.data.violations);
+        flowRun = await runScriptedFlows(reportedNodeKeys(crawlViolations));
+      }
+    } finally {
+      await browser.close();
+    }
+
+    throwIfCancelled(signal);
+
+    // Assemble results in crawl order so ids and ordering don't depend on tab timing
+    const visited = crawlResult.pages.map(p => p.url);
+    const importantPages = crawlResult.pages.map(p => p.data.important).filter(Boolean);
+    const allViolations = [
+      ...crawlResult.pages.flatMap(p => p.data.violations),
+      ...flowRun.violations
+    ].map((v, index) => ({
+      violation_id: `VIO_${scan_id.replace('SCAN_', '')}_${index}`,
+      ...v
+    }));
+
+    // With best_practices "separate", advisories are listed apart and don't count as failures
+    const separateBestPractices = ruleConfig.bestPractices === 'separate';
+    const violations = separateBestPractices ? allViolations.filter(v => !isBestPractice(v)) : allViolations;
+    const bestPracticeFindings = separateBestPractices ? allViolations.filter(isBestPractice) : [];
+
+    // Pages we know about but did not scan, and why
+    const skippedPages = [
+      ...crawlResult.skipped,
+      ...crawlResult.pending.map(url => ({ url, reason: 'page_limit_reached' }))
+    ];
+    const skippedSummary = {};
+    skippedPages.forEach(({ reason }) => {
+      skippedSummary[reason] = (skippedSummary[reason] || 0) + 1;
+    });
+    const discovery = {
+      robots_txt: { respected: respectRobots, user_agent: userAgent, crawl_delay: robots.crawlDelay, sitemaps: robots.sitemaps },
+      sitemap: { urls_found: sitemap.urls.length, sitemaps_fetched: sitemap.sitemaps_fetched, errors: sitemap.errors }
+    };
+
+    // Run AI analysis based on plan
+    let ai_page_analysis = [];
+    let violationsWithExplanations = violations;
+    const aiMeter = aiLevel !== 'none' ? ai.createMeter() : null;
+
+    console.log(`[AI] Level: ${aiLevel}, Violations: ${violations.length}, Important pages: ${importantPages.length}`);
+
+    if (aiLevel === 'advanced') {
+      // Explain all violations
+      if (violations.length > 0) {
+        console.log('[AI] Generating violation explanations...');
+        reportProgress({ phase: 'ai_explanations' });
+        violationsWithExplanations = await ai.explainViolations(violations, aiMeter);
+        console.log('[AI] Violation explanations complete');
+      }
+
+      // Analyze important pages
+      if (importantPages.length > 0) {
+        console.log(`[AI] Analyzing ${importantPages.length} important pages...`);
+
+        for (let i = 0; i < importantPages.length; i++) {
+          throwIfCancelled(signal);
+          const pageInfo = importantPages[i];
+          reportProgress({ phase: 'ai_page_analysis', ai_pages_analyzed: i, ai_pages_total: importantPages.length });
+
+          // Add delay between API calls to avoid rate limits
+          if (i > 0) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
+
+          const { analysis, status, errors } = await ai.runAdvancedAIAnalysis(pageInfo.screenshot, pageInfo.data, aiMeter);
+
+          ai_page_analysis.push({
+            page_url: pageInfo.url,
+            analysis: analysis,
+            analysis_status: status,
+            ...(status === 'unavailable' && { analysis_errors: errors })
+          });
+        }
+
+        console.log(`[AI] Page analysis complete: ${ai_page_analysis.filter(entry => entry.analysis).length} of ${ai_page_analysis.length} pages analyzed`);
+      }
+    } else if (aiLevel === 'basic' && violations.length > 0) {
+      // For basic tier (guest), just provide simple explanations
+      console.log('[AI] Generating basic violation explanations...');
+      reportProgress({ phase: 'ai_explanations' });
+      violationsWithExplanations = await ai.explainViolations(violations, aiMeter);
+      console.log('[AI] Basic explanations complete');
+    }
+
+    // Apply the suggested fixes to the live pages and re-test them (AI_FIX_VERIFICATION_MAX_CHECKS=0 turns it off)
+    if (MAX_FIX_CHECKS > 0 && violationsWithExplanations.some(v => v.ai_explanation)) {
+      console.log('[AI] Verifying suggested fixes...');
+      violationsWithExplanations = await verifyAiFixes(violationsWithExplanations);
+    }
+
+    throwIfCancelled(signal);
+
+    const scanDuration = Math.round((Date.now() - startTime) / 1000);
+
+    // Check if any pages were actually scanned
+    if (visited.length === 0) {
+      return {
+        success: false,
+        error: 'Unable to access website',
+        error_details: 'The website could not be reached. Please check that the URL is correct and the website is accessible. Common issues: invalid domain, website is down, or website blocks automated scanning.',
+        website_url,
+        pages_scanned: 0,
+        failed_pages: crawlResult.failures,
+        skipped_pages: skippedPages.slice(0, 200),
+        skipped_summary: skippedSummary,
+        discovery,
+        scan_id,
+        customer_id,
+        email,
+        company_name,
+        plan
+      };
+    }
+
+    // The same failing element across pages is one fix
+    const issueGroups = groupViolations(violations);
+
+    // Impact-weighted, per-page score (see lib/scoring.js for the versioned formulas)
+    const score = computeScore({ violations, pageUrls: visited });
+    const complianceScore = score.value;
+
+    // Which of the standard's WCAG criteria passed, failed, need review or didn't apply
+    const aiAnalysis = aggregateAIAnalyses(ai_page_analysis, violationsWithExplanations);
+    const conformance = {
+      standard: `WCAG ${ruleConfig.standard.wcag.version}`,
+      level: ruleConfig.standard.wcag.level,
+      ...buildConformanceMatrix({
+        criteria: ruleConfig.criteria,
+        pages: crawlResult.pages.map(p => ({ url: p.url, outcomes: p.data.rule_outcomes })),
+        violations,
+        aiPageAnalyses: aiAnalysis.page_analyses
+      })
+    };
+
+    // Readability, language, link text, titles and headings, checked locally on every plan
+    const contentAnalysis = contentOptions
+      ? analyzeSiteContent(
+        crawlResult.pages.filter(p => p.data.content).map(p => ({ url: p.url, content: p.data.content })),
+        contentOptions
+      )
+      : null;
+
+    // Convert visited URLs to comma-separated string for Google Sheets storage
+    const scannedPageUrls = visited.join(',');
+
+    const result = {
+      violations: violationsWithExplanations,
+      complianceScore,
+      score,
+      total_violations: violations.length,
+      issue_groups: issueGroups,
+      issue_group_summary: summarizeGroups(issueGroups, visited.length),
+      critical_count: violations.filter(v => v.impact === "critical").length,
+      serious_count: violations.filter(v => v.impact === "serious").length,
+      moderate_count: violations.filter(v => v.impact === "moderate").length,
+      minor_count: violations.filter(v => v.impact === "minor").length,
+      pages_scanned: visited.length,
+      scanned_page_urls: scannedPageUrls,
+      scanned_pages: visited,
+      failed_pages: crawlResult.failures,
+      skipped_pages: skippedPages.slice(0, 200),
+      skipped_summary: skippedSummary,
+      discovery,
+      authentication: authSession ? authSession.summary() : null,
+      flows: flowRun.results,
+      viewports: viewportProfiles.map(profile => profile.name),
+      standard: { id: ruleConfig.standard.id, label: ruleConfig.standard.label },
+      rule_config: {
+        rules: params.rules || {},
+        exclude_selectors: ruleConfig.excludeSelectors,
+        best_practices: ruleConfig.bestPractices
+      },
+      ...(separateBestPractices && {
+        best_practice_findings: bestPracticeFindings,
+        best_practice_count: bestPracticeFindings.length
+      }),
+      conformance,
+      content_analysis: contentAnalysis,
+      keyboard_audits: crawlResult.pages
+        .filter(p => p.data.keyboard)
+        .map(p => ({ page_url: p.url, ...p.data.keyboard })),
+      page_screenshots: crawlResult.pages
+        .filter(p => p.data.annotated_screenshot)
+        .map(p => ({ page_url: p.url, annotated: p.data.annotated_screenshot })),
+      max_pages: pageLimit,
+      scan_id: scan_id,
+      success: true,
+      customer_id,
+      email,
+      company_name,
+      website_url,
+      plan,
+      scan_date: new Date().toISOString(),
+      scan_duration_seconds: scanDuration,
+      status: "completed",
+      // The AI part names the provider and model that actually ran, if any
+      scanner_version: `axe-core ${AXE_VERSION} + puppeteer${aiLevel !== 'none' ? ` + ${ai.provider.name === ai.provider.model ? ai.provider.name : `${ai.provider.name} ${ai.provider.model}`}` : ''}`,
+      scan_method: `Self-hosted Puppeteer + axe-core${aiLevel !== 'none' ? ' + AI analysis' : ''}`,
+      ai_analysis: aiAnalysis,
+      ai_level: aiLevel,
+      ai_usage: aiMeter ? aiMeter.summary() : null,
+      important_pages_analyzed: importantPages.length
+    };
+
+    // Diff against this site's previous scans and keep the result for the history endpoints
+    result.history = null;
+    if (history && customer_id) {
+      reportProgress({ phase: 'saving_history' });
+      try {
+        // Rules this scan actually evaluated, so skipped or disabled ones aren't reported as fixed
+        const checkedRules = new Set([
+          ...crawlResult.pages.flatMap(({ data: { rule_outcomes: outcomes } }) => [
+            ...outcomes.passes,
+            ...outcomes.inapplicable,
+            ...outcomes.incomplete.map(item => item.rule_id)
+          ]),
+          ...allViolations.map(v => v.rule_id),
+          ...SCANNER_RULES.filter(ruleId => !ruleConfig.disabledScannerRules.has(ruleId))
+        ]);
+        await history.record(result, { checkedRules });
+      } catch (error) {
+        console.error(`[HISTORY] Failed to save scan ${scan_id}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  return { runScan };
+}
@@ -0,0 +1,223 @@
+// Crawl scope: which URLs count as part of the site, how they are canonicalized,
+// and which of them a scan is allowed to visit.
+
+// Always stripped, whatever the query policy
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(ref|gclid|gbraid|wbraid|fbclid|msclkid|dclid|yclid|mc_cid|mc_eid|_ga|_gl|igshid)$/i
+];
+
+const QUERY_MODES = ['keep', 'drop', 'allowlist'];
+const SUBDOMAIN_MODES = ['none', 'www', 'all'];
+
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+// Glob tokens: `**` matches anything, `*` anything within one path segment, `?` one
+// character other than "/", everything else itself (case-insensitively)
+function tokenizeGlob(pattern) {
+  const tokens = [];
+  for (let i = 0; i < pattern.length; i++) {
+    let token;
+    if (pattern.startsWith('**', i)) {
+      token = 'globstar';
+      i++;
+    } else if (pattern[i] === '*') {
+      token = 'star';
+    } else if (pattern[i] === '?') {
+      token = 'any';
+    } else {
+      token = pattern[i].toLowerCase();
+    }
+    // Repeated stars add nothing ("***" is "**")
+    const previous = tokens[tokens.length - 1];
+    if ((token === 'star' || token === 'globstar') && (previous === 'star' || previous === 'globstar')) {
+      if (token === 'globstar') tokens[tokens.length - 1] = 'globstar';
+      continue;
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+// Whole-string glob match that tracks every token position at once instead of
+// backtracking, so it takes at most text length x pattern length steps whatever the
+// pattern (patterns come from API callers and run against every discovered URL)
+function matchGlob(tokens, text) {
+  const count = tokens.length;
+  let states = new Uint8Array(count + 1);
+  // Stars may match nothing, so a state on a star also reaches the token after it
+  const close = (set) => {
+    for (let i = 0; i < count; i++) {
+      if (set[i] && (tokens[i] === 'star' || tokens[i] === 'globstar')) set[i + 1] = 1;
+    }
+    return set;
+  };
+  states[0] = 1;
+  close(states);
+
+  for (const char of text.toLowerCase()) {
+    const next = new Uint8Array(count + 1);
+    let alive = false;
+    for (let i = 0; i < count; i++) {
+      if (!states[i]) continue;
+      const token = tokens[i];
+      if (token === 'globstar' || (token === 'star' && char !== '/')) {
+        next[i] = 1;
+      } else if ((token === 'any' && char !== '/') || token === char) {
+        next[i + 1] = 1;
+      } else {
+        continue;
+      }
+      alive = true;
+    }
+    if (!alive) return false;
+    states = close(next);
+  }
+  return states[count] === 1;
+}
+
+// URL pattern: a glob where `**` matches across slashes, `*` within one path segment and `?`
+// one character. Globs containing "://" match the full URL, others match path + query.
+export function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`scope patterns must be strings of 1 to ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (pattern.startsWith('re:')) {
+    throw new Error('scope patterns are globs; "re:" regular expressions are not supported');
+  }
+  const tokens = tokenizeGlob(pattern);
+  const fullUrl = pattern.includes('://');
+  return { pattern, test: (url) => matchGlob(tokens, fullUrl ? url.toString() : url.pathname + url.search) };
+}
+
+function compilePatterns(value, field) {
+  const patterns = toList(value);
+  if (patterns.length > MAX_PATTERNS) {
+    throw new Error(`scope.${field} takes at most ${MAX_PATTERNS} patterns`);
+  }
+  return patterns.map(compilePattern);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Validate and fill defaults for the `scope` field of a scan request.
+// Throws with a client-facing message on invalid input.
+export function resolveScope(requested, websiteUrl) {
+  requested = requested || {};
+  const start = new URL(websiteUrl);
+  const query = requested.query || {};
+
+  const scope = {
+    startHostname: start.hostname.toLowerCase(),
+    forceHttps: requested.force_https !== false,
+    subdomains: requested.subdomains || 'www',
+    allowedHosts: toList(requested.allowed_hosts).map(host => host.toLowerCase()),
+    pathPrefix: requested.path_prefix || null,
+    include: compilePatterns(requested.include, 'include'),
+    exclude: compilePatterns(requested.exclude, 'exclude'),
+    maxDepth: requested.max_depth ?? null,
+    queryMode: query.mode || 'keep',
+    queryAllow: toList(query.allow)
+  };
+
+  if (!SUBDOMAIN_MODES.includes(scope.subdomains)) {
+    throw new Error(`scope.subdomains must be one of: ${SUBDOMAIN_MODES.join(', ')}`);
+  }
+  if (!QUERY_MODES.includes(scope.queryMode)) {
+    throw new Error(`scope.query.mode must be one of: ${QUERY_MODES.join(', ')}`);
+  }
+  if (scope.maxDepth !== null && !(Number.isInteger(scope.maxDepth) && scope.maxDepth >= 0)) {
+    throw new Error('scope.max_depth must be a non-negative integer');
+  }
+  if (scope.pathPrefix && !scope.pathPrefix.startsWith('/')) {
+    throw new Error('scope.path_prefix must start with "/"');
+  }
+
+  return scope;
+}
+
+// The "site" hostname: the start host without a leading www.
+function siteHostname(scope) {
+  return scope.startHostname.replace(/^www\./, '');
+}
+
+// Does this URL belong to the scanned site (host rules only)?
+export function isSameSite(urlString, scope) {
+  let url;
+  try {
+    url = new URL(urlString);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+
+  const hostname = url.hostname.toLowerCase();
+  if (scope.allowedHosts.includes(hostname)) return true;
+
+  const site = siteHostname(scope);
+  switch (scope.subdomains) {
+    case 'none':
+      return hostname === scope.startHostname;
+    case 'all':
+      return hostname === site || hostname.endsWith('.' + site);
+    default:
+      return hostname.replace(/^www\./, '') === site;
+  }
+}
+
+// Canonicalize a URL so the same page is only scanned once
+export function normalizeUrl(urlString, scope) {
+  try {
+    const url = new URL(urlString);
+    if (!scope || scope.forceHttps) {
+      url.protocol = 'https:';
+    }
+    // Remove trailing slash (except for root path)
+    if (url.pathname !== '/' && url.pathname.endsWith('/')) {
+      url.pathname = url.pathname.slice(0, -1);
+    }
+    // Default ports are already dropped by URL; other ports are part of the origin
+    // Lowercase hostname
+    url.hostname = url.hostname.toLowerCase();
+    // Remove fragment
+    url.hash = '';
+
+    const params = [...url.searchParams].filter(([name]) => !TRACKING_PARAMS.some(regex => regex.test(name)));
+    let kept;
+    if (scope?.queryMode === 'drop') {
+      kept = [];
+    } else if (scope?.queryMode === 'allowlist') {
+      kept = params.filter(([name]) => scope.queryAllow.includes(name));
+    } else {
+      kept = params;
+    }
+    // Sort so ?a=1&b=2 and ?b=2&a=1 are the same page
+    kept.sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams(kept).toString();
+
+    return url.toString();
+  } catch {
+    return urlString; // Return original if parsing fails
+  }
+}
+
+// Returns null if a same-site URL may be scanned, otherwise the reason it is skipped
+export function scopeSkipReason(urlString, scope) {
+  const url = new URL(urlString);
+
+  // On a segment boundary: "/shop" covers "/shop" and "/shop/...", not "/shopping"
+  if (scope.pathPrefix && url.pathname !== scope.pathPrefix && !url.pathname.startsWith(scope.pathPrefix.replace(/\/?$/, '/'))) {
+    return 'outside_path_prefix';
+  }
+  if (scope.exclude.some(pattern => pattern.test(url))) {
+    return 'excluded_by_pattern';
+  }
+  if (scope.include.length > 0 && !scope.include.some(pattern => pattern.test(url))) {
+    return 'not_included';
+  }
+  return null;
+}
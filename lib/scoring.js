@@ -0,0 +1,101 @@
+import { getCriterion } from './wcag.js';
+
+// Compliance scoring. Every formula is kept under its version number so a stored scan
+// can be re-scored with the model another scan used, and scores stay comparable
+// after the formula changes. New scans use CURRENT_SCORING_VERSION.
+
+export const CURRENT_SCORING_VERSION = 2;
+
+const IMPACT_WEIGHTS = { critical: 10, serious: 5, moderate: 2, minor: 1 };
+const UNKNOWN_IMPACT_WEIGHT = 2;
+// Penalty at which a page drops to ~37 (100 / e); larger means gentler scores
+const PENALTY_SCALE = 50;
+const PRINCIPLES = ['Perceivable', 'Operable', 'Understandable', 'Robust'];
+
+// Scores are whole numbers, like the version 1 score; penalties keep one decimal
+function roundPenalty(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Version 1: five points per violation record, whatever its severity or the site's size
+function scoreV1({ violations }) {
+  return { version: 1, value: Math.max(0, 100 - violations.length * 5) };
+}
+
+// Version 2: impact-weighted and normalized per page.
+// - A record's penalty is its impact weight times 1 + log2(failing elements), so the
+//   40th identical element adds much less than the first.
+// - A page scores 100 * e^(-penalty / 50); pages without violations score 100.
+// - The overall score is the mean page score, so site size doesn't drag it down.
+// - Principle scores use the same formula with only the violations mapped to that
+//   WCAG principle; best-practice findings have no principle.
+function scoreV2({ violations, pageUrls }) {
+  const pages = new Map(pageUrls.map(url => [url, { penalty: 0, violations: 0, nodes: 0, principles: {} }]));
+
+  for (const violation of violations) {
+    if (!pages.has(violation.page_url)) {
+      pages.set(violation.page_url, { penalty: 0, violations: 0, nodes: 0, principles: {} });
+    }
+    const page = pages.get(violation.page_url);
+    const nodes = Math.max(1, violation.nodes_count || violation.nodes?.length || 1);
+    const penalty = (IMPACT_WEIGHTS[violation.impact] ?? UNKNOWN_IMPACT_WEIGHT) * (1 + Math.log2(nodes));
+
+    page.penalty += penalty;
+    page.violations++;
+    page.nodes += nodes;
+
+    const principles = new Set((violation.wcag_criteria || []).map(id => getCriterion(id)?.principle).filter(Boolean));
+    principles.forEach(principle => {
+      page.principles[principle] = (page.principles[principle] || 0) + penalty;
+    });
+  }
+
+  const pageScore = (penalty) => 100 * Math.exp(-penalty / PENALTY_SCALE);
+  const entries = Array.from(pages.entries());
+  const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 100);
+
+  const principles = {};
+  PRINCIPLES.forEach(principle => {
+    principles[principle.toLowerCase()] = Math.round(mean(entries.map(([, page]) => pageScore(page.principles[principle] || 0))));
+  });
+
+  return {
+    version: 2,
+    value: Math.round(mean(entries.map(([, page]) => pageScore(page.penalty)))),
+    principles,
+    pages: entries.map(([url, page]) => ({
+      page_url: url,
+      score: Math.round(pageScore(page.penalty)),
+      penalty: roundPenalty(page.penalty),
+      violations: page.violations,
+      failing_elements: page.nodes
+    })),
+    weights: IMPACT_WEIGHTS
+  };
+}
+
+const MODELS = { 1: scoreV1, 2: scoreV2 };
+
+export const SCORING_VERSIONS = Object.keys(MODELS).map(Number);
+
+// Score violation records for a set of scanned pages with a given model version
+export function computeScore({ violations, pageUrls = [] }, version = CURRENT_SCORING_VERSION) {
+  const model = MODELS[version];
+  if (!model) {
+    throw new Error(`unknown scoring version ${version} (available: ${SCORING_VERSIONS.join(', ')})`);
+  }
+  return model({ violations, pageUrls });
+}
+
+// URLs of the pages a stored scan visited. Scans saved before `scanned_pages` existed only
+// have the comma-joined `scanned_page_urls`, which breaks up URLs that contain commas.
+export function scannedPages(result) {
+  return result.scanned_pages || (result.scanned_page_urls || '').split(',').filter(Boolean);
+}
+
+// Re-score a stored scan result with another model version
+export function rescoreResult(result, version) {
+  const pageUrls = scannedPages(result);
+  const score = computeScore({ violations: result.violations, pageUrls }, version);
+  return { ...result, complianceScore: score.value, score };
+}
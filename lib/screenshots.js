@@ -0,0 +1,151 @@
+import { createHash } from 'crypto';
+
+// Visual evidence for violations: a cropped, outlined screenshot of each failing element
+// and a full-page screenshot with a numbered marker per violation. Images are stored per
+// scan on disk and referenced from violation records by URL.
+
+export const SCREENSHOT_DEFAULTS = {
+  elements: true,
+  fullPage: true,
+  maxElementsPerPage: 20
+};
+
+const CONTEXT_PADDING = 40; // px of surrounding page around each element
+const MAX_CLIP_HEIGHT = 1200;
+const MAX_FULL_PAGE_HEIGHT = 10000;
+const OVERLAY_ID = '__ada-scanner-overlay';
+
+// Resolve the `screenshots` request field: false/absent disables, true uses defaults,
+// or `{ elements, full_page, max_elements_per_page }`
+export function resolveScreenshotOptions(requested) {
+  if (!requested) return null;
+  const options = requested === true ? {} : requested;
+  const max = options.max_elements_per_page;
+  return {
+    elements: options.elements ?? SCREENSHOT_DEFAULTS.elements,
+    fullPage: options.full_page ?? SCREENSHOT_DEFAULTS.fullPage,
+    maxElementsPerPage: Number.isInteger(max) && max >= 0 ? Math.min(max, 100) : SCREENSHOT_DEFAULTS.maxElementsPerPage
+  };
+}
+
+// Runs in the page: document-relative boxes for selectors (null if missing or invisible)
+function measureElements(selectors) {
+  return selectors.map(selector => {
+    let element = null;
+    try {
+      element = document.querySelector(selector);
+    } catch {}
+    if (!element) return null;
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return null;
+    return {
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+      width: rect.width,
+      height: rect.height
+    };
+  });
+}
+
+// Runs in the page: draw outlines (and optional numbered markers) over document boxes
+function drawOverlay(overlayId, boxes) {
+  document.getElementById(overlayId)?.remove();
+  const overlay = document.createElement('div');
+  overlay.id = overlayId;
+  overlay.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+  for (const box of boxes) {
+    const outline = document.createElement('div');
+    outline.style.cssText = `position:absolute;left:${box.x - 3}px;top:${box.y - 3}px;width:${box.width + 6}px;height:${box.height + 6}px;` +
+      'border:3px solid #d70000;box-shadow:0 0 0 2px #fff;box-sizing:border-box;';
+    overlay.appendChild(outline);
+    if (box.label) {
+      const marker = document.createElement('div');
+      marker.textContent = box.label;
+      marker.style.cssText = `position:absolute;left:${Math.max(0, box.x - 14)}px;top:${Math.max(0, box.y - 14)}px;` +
+        'min-width:24px;height:24px;padding:0 4px;border-radius:12px;background:#d70000;color:#fff;border:2px solid #fff;' +
+        'font:bold 13px/20px Arial,sans-serif;text-align:center;box-sizing:border-box;';
+      overlay.appendChild(marker);
+    }
+  }
+  document.documentElement.appendChild(overlay);
+}
+
+function removeOverlay(overlayId) {
+  document.getElementById(overlayId)?.remove();
+}
+
+function simpleSelector(node) {
+  return node.target.length === 1 && typeof node.target[0] === 'string' ? node.target[0] : null;
+}
+
+function pageKey(url) {
+  return createHash('sha1').update(url).digest('hex').slice(0, 12);
+}
+
+// Capture evidence for axe-shaped violations on a loaded page. Annotates the violations
+// in place: each gets `screenshot_marker` (its number on the annotated page image) and
+// `annotated_screenshot`, and captured nodes get `screenshot`.
+// `store` is an artifact store from lib/artifacts.js.
+export async function captureEvidence(page, violations, { pageUrl, scanId, store, options }) {
+  const key = pageKey(pageUrl);
+  const candidates = [];
+  violations.forEach((violation, violationIndex) => {
+    violation.screenshot_marker = violationIndex + 1;
+    violation.nodes.forEach((node, nodeIndex) => {
+      const selector = simpleSelector(node);
+      if (selector) candidates.push({ violationIndex, nodeIndex, node, selector });
+    });
+  });
+  if (candidates.length === 0) return null;
+
+  const boxes = await page.evaluate(measureElements, candidates.map(candidate => candidate.selector));
+  const documentSize = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight
+  }));
+
+  let captured = 0;
+  try {
+    if (options.elements) {
+      for (let i = 0; i < candidates.length && captured < options.maxElementsPerPage; i++) {
+        const box = boxes[i];
+        if (!box) continue;
+        const { violationIndex, nodeIndex, node } = candidates[i];
+
+        const x = Math.max(0, box.x - CONTEXT_PADDING);
+        const y = Math.max(0, box.y - CONTEXT_PADDING);
+        const clip = {
+          x,
+          y,
+          width: Math.max(1, Math.min(box.width + CONTEXT_PADDING * 2, documentSize.width - x)),
+          height: Math.max(1, Math.min(box.height + CONTEXT_PADDING * 2, MAX_CLIP_HEIGHT, documentSize.height - y))
+        };
+
+        await page.evaluate(drawOverlay, OVERLAY_ID, [box]);
+        const image = await page.screenshot({ type: 'png', clip, captureBeyondViewport: true });
+        node.screenshot = await store.save(scanId, `${key}-${violationIndex + 1}-${nodeIndex + 1}.png`, image);
+        captured++;
+      }
+    }
+
+    let annotated = null;
+    if (options.fullPage) {
+      const marked = candidates
+        .map((candidate, i) => boxes[i] && { ...boxes[i], label: String(candidate.violationIndex + 1) })
+        .filter(Boolean);
+      await page.evaluate(drawOverlay, OVERLAY_ID, marked);
+      const image = await page.screenshot({
+        type: 'jpeg',
+        quality: 70,
+        clip: { x: 0, y: 0, width: documentSize.width, height: Math.min(documentSize.height, MAX_FULL_PAGE_HEIGHT) },
+        captureBeyondViewport: true
+      });
+      annotated = await store.save(scanId, `${key}-annotated.jpg`, image);
+      violations.forEach(violation => { violation.annotated_screenshot = annotated; });
+    }
+
+    return { annotated, elements_captured: captured };
+  } finally {
+    await page.evaluate(removeOverlay, OVERLAY_ID).catch(() => {});
+  }
+}
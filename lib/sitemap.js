@@ -0,0 +1,121 @@
+import { gunzipSync, constants as zlibConstants } from 'zlib';
+import { readBodyLimited } from './targets.js';
+
+// sitemap.xml / sitemap index fetching, including gzipped sitemaps
+
+const SITEMAP_TIMEOUT_MS = 15000;
+const MAX_SITEMAP_FILES = 25;
+const MAX_SITEMAP_URLS = 5000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // sitemaps.org limit for an uncompressed file
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'i'));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
+
+function readBlocks(xml, tag) {
+  return xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}[\\s>][\\s\\S]*?</(?:[\\w-]+:)?${tag}>`, 'gi')) || [];
+}
+
+// Parse a sitemap document. Returns child sitemaps for an index, or page entries for a urlset.
+export function parseSitemap(xml) {
+  if (/<(?:[\w-]+:)?sitemapindex[\s>]/i.test(xml)) {
+    return {
+      type: 'index',
+      sitemaps: readBlocks(xml, 'sitemap').map(block => readTag(block, 'loc')).filter(Boolean),
+      urls: []
+    };
+  }
+
+  const urls = readBlocks(xml, 'url')
+    .map(block => {
+      const priority = parseFloat(readTag(block, 'priority'));
+      return {
+        loc: readTag(block, 'loc'),
+        priority: Number.isNaN(priority) ? 0.5 : Math.min(Math.max(priority, 0), 1),
+        lastmod: readTag(block, 'lastmod')
+      };
+    })
+    .filter(entry => entry.loc);
+
+  return { type: 'urlset', sitemaps: [], urls };
+}
+
+async function fetchSitemapText(sitemapUrl, userAgent, fetchImpl) {
+  const response = await fetchImpl(sitemapUrl, {
+    headers: { 'User-Agent': userAgent },
+    signal: AbortSignal.timeout(SITEMAP_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  // Bodies past the limit are cut off, and only what was read is parsed
+  let buffer = await readBodyLimited(response, MAX_SITEMAP_BYTES);
+  // .xml.gz files are usually served raw (not Content-Encoding), so check the gzip magic bytes.
+  // A sync flush decompresses a cut-off file as far as it goes instead of failing.
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = gunzipSync(buffer, { finishFlush: zlibConstants.Z_SYNC_FLUSH, maxOutputLength: MAX_SITEMAP_BYTES });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`larger than ${MAX_SITEMAP_BYTES / 1024 / 1024} MB uncompressed`);
+      }
+      throw error;
+    }
+  }
+  return buffer.toString('utf-8');
+}
+
+// Fetch sitemaps (following index files) and return page entries ordered by priority,
+// highest first, keeping document order within equal priority.
+// `fetch` lets callers route requests through target checks.
+export async function fetchSitemapUrls(sitemapUrls, { userAgent, isAllowedUrl = () => true, fetch: fetchImpl = fetch } = {}) {
+  const queue = [...sitemapUrls];
+  const seenSitemaps = new Set();
+  const seenUrls = new Set();
+  const entries = [];
+  const errors = [];
+
+  while (queue.length > 0 && seenSitemaps.size < MAX_SITEMAP_FILES && entries.length < MAX_SITEMAP_URLS) {
+    const sitemapUrl = queue.shift();
+    if (seenSitemaps.has(sitemapUrl)) continue;
+    seenSitemaps.add(sitemapUrl);
+
+    try {
+      const parsed = parseSitemap(await fetchSitemapText(sitemapUrl, userAgent, fetchImpl));
+      queue.push(...parsed.sitemaps);
+
+      for (const entry of parsed.urls) {
+        if (entries.length >= MAX_SITEMAP_URLS) break;
+        if (seenUrls.has(entry.loc) || !isAllowedUrl(entry.loc)) continue;
+        seenUrls.add(entry.loc);
+        entries.push({ ...entry, order: entries.length });
+      }
+      console.log(`[SITEMAP] ${sitemapUrl}: ${parsed.type === 'index' ? `${parsed.sitemaps.length} sitemaps` : `${parsed.urls.length} urls`}`);
+    } catch (error) {
+      errors.push({ sitemap: sitemapUrl, error: error.message });
+      console.log(`[SITEMAP] Could not load ${sitemapUrl}: ${error.message}`);
+    }
+  }
+
+  entries.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+  return {
+    urls: entries.map(({ order, ...entry }) => entry),
+    sitemaps_fetched: seenSitemaps.size,
+    errors
+  };
+}
@@ -0,0 +1,166 @@
+import { createRequire } from 'module';
+import { criteriaFor, criteriaFromTags } from './wcag.js';
+
+// Compliance standards and per-scan rule configuration: which axe tags run, which
+// rules are switched on or off, which parts of the page are ignored, and how
+// best-practice findings are reported.
+
+const require = createRequire(import.meta.url);
+const AXE_RULE_IDS = new Set(require('axe-core').getRules().map(rule => rule.ruleId));
+
+const WCAG_TAGS = {
+  '2.0': { A: ['wcag2a'], AA: ['wcag2aa'], AAA: ['wcag2aaa'] },
+  '2.1': { A: ['wcag21a'], AA: ['wcag21aa'], AAA: [] },
+  '2.2': { A: [], AA: ['wcag22aa'], AAA: [] }
+};
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// axe tags for a WCAG version and level: every earlier version and lower level is included
+function wcagTags(version, level) {
+  const tags = [];
+  for (const [tagVersion, byLevel] of Object.entries(WCAG_TAGS)) {
+    if (tagVersion > version) continue;
+    LEVELS.slice(0, LEVELS.indexOf(level) + 1).forEach(l => tags.push(...byLevel[l]));
+  }
+  return tags;
+}
+
+function wcagStandard(version, level) {
+  return {
+    label: `WCAG ${version} Level ${level}`,
+    wcag: { version, level },
+    tags: wcagTags(version, level)
+  };
+}
+
+export const STANDARDS = {
+  wcag20a: wcagStandard('2.0', 'A'),
+  wcag20aa: wcagStandard('2.0', 'AA'),
+  wcag20aaa: wcagStandard('2.0', 'AAA'),
+  wcag21a: wcagStandard('2.1', 'A'),
+  wcag21aa: wcagStandard('2.1', 'AA'),
+  wcag21aaa: wcagStandard('2.1', 'AAA'),
+  wcag22a: wcagStandard('2.2', 'A'),
+  wcag22aa: wcagStandard('2.2', 'AA'),
+  wcag22aaa: wcagStandard('2.2', 'AAA'),
+  // The revised Section 508 (2018) incorporates WCAG 2.0 A and AA
+  section508: { label: 'Section 508', wcag: { version: '2.0', level: 'AA' }, tags: wcagTags('2.0', 'AA') },
+  // EN 301 549 v3.2.1 clause 9 (web) incorporates WCAG 2.1 A and AA
+  en301549: { label: 'EN 301 549', wcag: { version: '2.1', level: 'AA' }, tags: [...wcagTags('2.1', 'AA'), 'EN-301-549'] }
+};
+
+export const DEFAULT_STANDARD = 'wcag22aa';
+const BEST_PRACTICE_MODES = ['include', 'separate', 'off'];
+const MAX_EXCLUDE_SELECTORS = 50;
+
+// Resolve the standard and rule options of a scan request. `scannerRules` are the ids of
+// the scanner's own checks, which can be disabled like axe rules.
+// Throws with a client-facing message.
+export function resolveRuleConfig({ standard, rules, exclude_selectors, best_practices } = {}, { scannerRules = [] } = {}) {
+  const standardId = standard ?? DEFAULT_STANDARD;
+  if (!STANDARDS[standardId]) {
+    throw new Error(`unknown standard "${standardId}" (available: ${Object.keys(STANDARDS).join(', ')})`);
+  }
+
+  const axeRules = {};
+  const disabledScannerRules = new Set();
+  if (rules !== undefined && rules !== null) {
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error('rules must be an object of rule id to true/false');
+    }
+    for (const [ruleId, enabled] of Object.entries(rules)) {
+      if (typeof enabled !== 'boolean') {
+        throw new Error(`rules.${ruleId} must be true or false`);
+      }
+      if (AXE_RULE_IDS.has(ruleId)) {
+        axeRules[ruleId] = { enabled };
+      } else if (scannerRules.includes(ruleId)) {
+        if (!enabled) disabledScannerRules.add(ruleId);
+      } else {
+        throw new Error(`unknown rule "${ruleId}"`);
+      }
+    }
+  }
+
+  const excludeSelectors = exclude_selectors ?? [];
+  if (!Array.isArray(excludeSelectors) || excludeSelectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+    throw new Error('exclude_selectors must be an array of CSS selectors');
+  }
+  if (excludeSelectors.length > MAX_EXCLUDE_SELECTORS) {
+    throw new Error(`at most ${MAX_EXCLUDE_SELECTORS} exclude_selectors are allowed`);
+  }
+
+  const bestPractices = best_practices ?? 'include';
+  if (!BEST_PRACTICE_MODES.includes(bestPractices)) {
+    throw new Error(`best_practices must be one of: ${BEST_PRACTICE_MODES.join(', ')}`);
+  }
+
+  const definition = STANDARDS[standardId];
+  return {
+    standard: { id: standardId, label: definition.label, wcag: definition.wcag },
+    criteria: criteriaFor(definition.wcag.version, definition.wcag.level),
+    tags: bestPractices === 'off' ? definition.tags : [...definition.tags, 'best-practice'],
+    axeRules,
+    disabledScannerRules,
+    excludeSelectors: excludeSelectors.map(selector => selector.trim()),
+    bestPractices
+  };
+}
+
+// Arguments for axe.run(context, options); a null context means the whole document
+export function axeRunArgs(config) {
+  return {
+    context: config.excludeSelectors.length > 0
+      ? { exclude: config.excludeSelectors.map(selector => [selector]) }
+      : null,
+    options: {
+      runOnly: { type: 'tag', values: config.tags },
+      ...(Object.keys(config.axeRules).length > 0 && { rules: config.axeRules })
+    }
+  };
+}
+
+// Best-practice advice rather than a conformance failure
+export function isBestPractice(violation) {
+  return (violation.tags || []).includes('best-practice') && criteriaFromTags(violation.tags).length === 0;
+}
+
+// The scanner's own checks don't go through axe, so apply the rule config to them here:
+// disabled rules, best practices when off, and criteria outside the chosen standard.
+export async function applyRuleConfigToScannerViolations(page, violations, config) {
+  const inStandard = new Set(config.criteria.map(criterion => criterion.id));
+  const kept = violations.filter(violation => {
+    if (violation.source !== 'scanner') return true;
+    if (config.disabledScannerRules.has(violation.id)) return false;
+    if (isBestPractice(violation)) return config.bestPractices !== 'off';
+    return criteriaFromTags(violation.tags).some(id => inStandard.has(id));
+  });
+
+  if (config.excludeSelectors.length === 0) return kept;
+
+  // Drop nodes inside excluded regions (axe already did this for its own results)
+  const scannerSelectors = kept
+    .filter(violation => violation.source === 'scanner')
+    .flatMap(violation => violation.nodes.map(node => node.target[0]));
+  const excluded = new Set(await page.evaluate((selectors, exclusions) => {
+    return selectors.filter(selector => {
+      let element = null;
+      try {
+        element = document.querySelector(selector);
+      } catch {}
+      return !!element && exclusions.some(exclusion => {
+        try {
+          return !!element.closest(exclusion);
+        } catch {
+          return false;
+        }
+      });
+    });
+  }, scannerSelectors, config.excludeSelectors));
+
+  return kept
+    .map(violation => violation.source === 'scanner'
+      ? { ...violation, nodes: violation.nodes.filter(node => !excluded.has(node.target[0])) }
+      : violation)
+    .filter(violation => violation.nodes.length > 0);
+}
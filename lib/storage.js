@@ -0,0 +1,46 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Small helpers shared by the on-disk stores (history, artifacts, webhook log)
+
+// Ids come from request bodies, so only use them as file names when they're plainly safe
+export function safeSegment(id) {
+  const value = String(id);
+  return /^[\w.-]{1,100}$/.test(value) && !/^\.+$/.test(value)
+    ? value
+    : createHash('sha1').update(value).digest('hex').slice(0, 24);
+}
+
+export async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file behind
+export async function writeJson(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(value));
+  await fs.rename(temp, file);
+}
+
+// Run tasks one at a time per key, so concurrent read-modify-write cycles don't lose updates
+export function createKeyedLock() {
+  const locks = new Map();
+
+  return function withLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+    return run;
+  };
+}
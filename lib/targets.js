@@ -0,0 +1,267 @@
+import { BlockList, isIP } from 'net';
+import { promises as dns } from 'dns';
+import { Agent, fetch as undiciFetch } from 'undici';
+
+// Target validation against SSRF: scans, crawled links, browser sub-requests, robots.txt
+// and sitemap fetches and webhook callbacks may only reach public http(s) hosts.
+// Hostnames are resolved and every address must be public, unless the host or address
+// range is on the allowlist (e.g. our own staging environments).
+//
+// A host can resolve to a public address for the check and a private one for the request
+// that follows (DNS rebinding). Server-side fetches close that gap by checking the address
+// they actually connect to; the browser's responses are checked after the fact (see
+// protectPage).
+
+export class UnsafeTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeTargetError';
+  }
+}
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.88.99.0', 24, 'ipv4'], // 6to4 relay
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, which could reach any IPv4 address
+  ['64:ff9b:1::', 48, 'ipv6'], // local-use NAT64
+  ['100::', 64, 'ipv6'], // discard
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+const blockedRanges = new BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, type]) => blockedRanges.addSubnet(network, prefix, type));
+
+// IPv4-mapped IPv6 (::ffff:0:0/96). Kept apart because BlockList also matches plain IPv4
+// addresses against it; dotted forms are checked as IPv4 instead, hex forms are blocked.
+const mappedRange = new BlockList();
+mappedRange.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+// Schemes the browser may load without a network request
+const LOCAL_SCHEMES = new Set(['data:', 'blob:', 'about:']);
+
+// Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+export function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const type = isIP(address);
+  if (type === 0) return true;
+  if (type === 6 && mappedRange.check(address, 'ipv6')) return true;
+  return blockedRanges.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+function parseCidr(cidr) {
+  const [network, prefix] = cidr.split('/');
+  const type = isIP(network);
+  const bits = Number(prefix);
+  if (type === 0 || !Number.isInteger(bits) || bits < 0 || bits > (type === 4 ? 32 : 128)) {
+    throw new Error(`invalid CIDR range "${cidr}"`);
+  }
+  return { network, bits, type: type === 4 ? 'ipv4' : 'ipv6' };
+}
+
+// "staging.example.com" matches that host; "*.example.com" matches its subdomains
+function matchesHostPattern(hostname, pattern) {
+  return pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern;
+}
+
+// Read at most `maxBytes` of a fetch response's body and cancel the rest, so an oversized
+// (or endless) response can't fill memory. Resolves with a Buffer.
+export async function readBodyLimited(response, maxBytes) {
+  if (!response.body) return Buffer.alloc(0);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    while (size < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.byteLength;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// `allowHosts` are host patterns that skip the address check; `allowCidrs` are address
+// ranges that are allowed even though they're private. Verdicts per host are cached
+// for `cacheMs` so sub-requests don't each wait for DNS.
+export function createTargetGuard({ allowHosts = [], allowCidrs = [], lookup = dns.lookup, cacheMs = 60000 } = {}) {
+  const hostPatterns = allowHosts.map(host => host.trim().toLowerCase()).filter(Boolean);
+  const allowedRanges = new BlockList();
+  allowCidrs.map(cidr => cidr.trim()).filter(Boolean).forEach(cidr => {
+    const { network, bits, type } = parseCidr(cidr);
+    allowedRanges.addSubnet(network, bits, type);
+  });
+
+  const verdicts = new Map(); // hostname -> { error, expiresAt }
+
+  function isAllowedAddress(address) {
+    const type = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return allowedRanges.check(address, type) || !isBlockedAddress(address);
+  }
+
+  // Resolves with null for a safe host, or the reason it's blocked
+  async function hostVerdict(hostname) {
+    if (hostPatterns.some(pattern => matchesHostPattern(hostname, pattern))) return null;
+
+    if (isIP(hostname)) {
+      return isAllowedAddress(hostname) ? null : `${hostname} is a private or reserved address`;
+    }
+
+    const cached = verdicts.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) return cached.error;
+
+    let error = null;
+    try {
+      const addresses = await lookup(hostname, { all: true, verbatim: true });
+      const blocked = addresses.find(({ address }) => !isAllowedAddress(address));
+      if (addresses.length === 0) error = `${hostname} did not resolve`;
+      else if (blocked) error = `${hostname} resolves to a private or reserved address (${blocked.address})`;
+    } catch (lookupError) {
+      // Don't cache failures; DNS may just be slow
+      return `${hostname} could not be resolved (${lookupError.code || lookupError.message})`;
+    }
+
+    if (verdicts.size > 5000) verdicts.clear();
+    verdicts.set(hostname, { error, expiresAt: Date.now() + cacheMs });
+    return error;
+  }
+
+  // net.connect lookup that refuses private addresses, so a connection only ever goes to
+  // an address that was checked when it was resolved
+  function pinnedLookup(hostname, options, callback) {
+    const host = hostname.toLowerCase();
+    lookup(hostname, { ...options, all: true }).then(addresses => {
+      const blocked = !hostPatterns.some(pattern => matchesHostPattern(host, pattern))
+        && addresses.find(({ address }) => !isAllowedAddress(address));
+      if (blocked) {
+        callback(new UnsafeTargetError(`${hostname} resolves to a private or reserved address (${blocked.address})`));
+      } else if (addresses.length === 0) {
+        callback(Object.assign(new Error(`${hostname} did not resolve`), { code: 'ENOTFOUND' }));
+      } else if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    }, callback);
+  }
+  const dispatcher = new Agent({ connect: { lookup: pinnedLookup } });
+
+  // Throw UnsafeTargetError unless `url` is an http(s) URL on a public (or allowlisted) host
+  async function check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new UnsafeTargetError(`${url} is not a valid URL`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new UnsafeTargetError(`${parsed.protocol} URLs are not allowed`);
+    }
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const error = await hostVerdict(hostname);
+    if (error) throw new UnsafeTargetError(error);
+    return parsed.toString();
+  }
+
+  async function isAllowed(url) {
+    try {
+      await check(url);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // fetch() that checks the URL and every redirect hop before following it, and connects
+  // only to the checked addresses
+  async function safeFetch(url, init = {}, { maxRedirects = 5 } = {}) {
+    let target = url;
+    for (let hop = 0; ; hop++) {
+      await check(target);
+      let response;
+      try {
+        response = await undiciFetch(target, { ...init, redirect: 'manual', dispatcher });
+      } catch (error) {
+        // fetch wraps connection errors in "fetch failed"; a blocked address is the real reason
+        if (error.cause instanceof UnsafeTargetError) throw error.cause;
+        throw error;
+      }
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location || init.redirect === 'manual') {
+        return response;
+      }
+      if (hop >= maxRedirects) {
+        throw new Error(`more than ${maxRedirects} redirects`);
+      }
+      await response.body?.cancel().catch(() => {});
+      target = new URL(location, target).toString();
+    }
+  }
+
+  // Abort browser requests (navigations, redirects, frames, subresources) to unsafe targets.
+  // Uses cooperative interception so other handlers (e.g. auth headers) keep working.
+  // Chromium resolves hosts again itself, so each response's remote address is checked too
+  // and the page is closed if it came from a private address. That response has already
+  // been received by then, but the scan can't read or report anything more from the page.
+  async function protectPage(page) {
+    page.on('response', response => {
+      const ip = response.remoteAddress()?.ip?.replace(/^\[|\]$/g, '');
+      if (!ip || isAllowedAddress(ip)) return;
+      let hostname = '';
+      try {
+        hostname = new URL(response.url()).hostname.toLowerCase();
+      } catch {}
+      if (hostPatterns.some(pattern => matchesHostPattern(hostname, pattern))) return;
+      console.log(`[TARGETS] Closing page: ${response.url()} was served from a private or reserved address (${ip})`);
+      page.close().catch(() => {});
+    });
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      request.enqueueInterceptAction(async () => {
+        const url = request.url();
+        const scheme = url.slice(0, url.indexOf(':') + 1).toLowerCase();
+        let reason = null;
+        if (!LOCAL_SCHEMES.has(scheme)) {
+          try {
+            await check(url);
+          } catch (error) {
+            reason = error.message;
+          }
+        }
+        if (reason) {
+          console.log(`[TARGETS] Blocked ${request.resourceType()} request to ${url}: ${reason}`);
+          await request.abort('blockedbyclient', 100);
+        } else {
+          await request.continue(request.continueRequestOverrides(), 0);
+        }
+      });
+    });
+  }
+
+  return { check, isAllowed, fetch: safeFetch, protectPage };
+}
@@ -0,0 +1,113 @@
+import path from 'path';
+import { safeSegment, readJson, writeJson, createKeyedLock } from './storage.js';
+
+// Usage accounting and rate limiting per API key. Daily counters are kept on disk so
+// quotas survive restarts; the per-minute request limiter lives in memory. Both are per
+// instance, which is why the service runs as a single instance.
+
+const DAYS_KEPT = 90;
+const USAGE_FIELDS = ['scans_started', 'scans_completed', 'scans_failed', 'scans_cancelled', 'pages_scanned', 'violations_found', 'ai_pages_analyzed'];
+
+// UTC day, e.g. "2026-01-12"
+export function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Seconds until the next UTC midnight, when daily quotas reset
+export function secondsUntilQuotaReset(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function emptyDay() {
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+}
+
+export function createUsageStore({ dir }) {
+  const withLock = createKeyedLock();
+
+  function usageFile(keyId) {
+    return path.join(dir, `${safeSegment(keyId)}.json`);
+  }
+
+  // Apply `change(day)` to today's counters and persist; resolves with change's return value
+  function updateToday(keyId, change) {
+    return withLock(keyId, async () => {
+      const usage = await readJson(usageFile(keyId), { key_id: keyId, days: {} });
+      const today = usageDay();
+      const day = { ...emptyDay(), ...usage.days[today] };
+      const outcome = change(day);
+      usage.days[today] = day;
+
+      const days = Object.keys(usage.days).sort();
+      days.slice(0, Math.max(0, days.length - DAYS_KEPT)).forEach(old => delete usage.days[old]);
+
+      await writeJson(usageFile(keyId), usage);
+      return outcome;
+    });
+  }
+
+  // Count a scan against today's quota if there's room. Resolves with { allowed, used }.
+  function reserveScan(keyId, scansPerDay) {
+    return updateToday(keyId, day => {
+      if (day.scans_started >= scansPerDay) return { allowed: false, used: day.scans_started };
+      day.scans_started++;
+      return { allowed: true, used: day.scans_started };
+    });
+  }
+
+  // Give back a reservation for a scan that was never queued
+  function releaseScan(keyId) {
+    return updateToday(keyId, day => {
+      day.scans_started = Math.max(0, day.scans_started - 1);
+    });
+  }
+
+  // Add to today's counters, e.g. { scans_completed: 1, pages_scanned: 12 }
+  function record(keyId, counts) {
+    return updateToday(keyId, day => {
+      for (const [field, value] of Object.entries(counts)) {
+        if (USAGE_FIELDS.includes(field) && Number.isFinite(value)) day[field] += value;
+      }
+    });
+  }
+
+  // Daily counters for the last `days` days, newest first
+  async function get(keyId, { days = 30 } = {}) {
+    const usage = await readJson(usageFile(keyId), { key_id: keyId, days: {} });
+    const entries = Object.entries(usage.days)
+      .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+      .slice(0, days)
+      .map(([date, counts]) => ({ date, ...emptyDay(), ...counts }));
+    const today = entries.find(entry => entry.date === usageDay()) || { date: usageDay(), ...emptyDay() };
+    return { today, days: entries };
+  }
+
+  return { reserveScan, releaseScan, record, get };
+}
+
+// Fixed one-minute windows per key. `hit` counts a request and says whether it's allowed.
+export function createRateLimiter({ windowMs = 60000 } = {}) {
+  const windows = new Map();
+
+  function hit(key, limit) {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      if (windows.size > 10000) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+      }
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      reset_at: window.resetAt
+    };
+  }
+
+  return { hit };
+}
@@ -0,0 +1,286 @@
+import { KnownDevices } from 'puppeteer';
+import { createViolation } from './violations.js';
+import { installPageHelpers } from './page-helpers.js';
+
+// Viewport profiles: each page is audited once per profile and the results merged,
+// so a violation lists the viewports it appears in instead of being repeated.
+
+const iPhone = KnownDevices['iPhone 13'];
+const iPad = KnownDevices['iPad Mini'];
+
+export const VIEWPORT_PROFILES = {
+  desktop: { name: 'desktop', width: 1280, height: 800 },
+  tablet: {
+    name: 'tablet',
+    ...iPad.viewport,
+    user_agent: iPad.userAgent
+  },
+  mobile: {
+    name: 'mobile',
+    ...iPhone.viewport,
+    user_agent: iPhone.userAgent
+  },
+  // WCAG 1.4.10: content must reflow at 320 CSS px without horizontal scrolling
+  reflow: { name: 'reflow', width: 320, height: 640, check_reflow: true },
+  // WCAG 1.4.4: text resized to 200% must not be clipped
+  text_zoom: { name: 'text_zoom', width: 1280, height: 800, text_zoom: 2, check_clipping: true }
+};
+
+export const DEFAULT_VIEWPORTS = ['desktop'];
+
+// Rule ids of the layout checks below
+export const LAYOUT_RULES = ['reflow-horizontal-scroll', 'reflow-clipped-content', 'text-zoom-clipped-content'];
+const MAX_VIEWPORTS = 5;
+
+// Resolve the `viewports` field of a scan request into profile objects.
+// Entries are built-in names or custom `{ name, width, height, ... }` objects.
+// Throws with a client-facing message.
+export function resolveViewportProfiles(requested) {
+  requested = requested ?? DEFAULT_VIEWPORTS;
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new Error('viewports must be a non-empty array');
+  }
+  if (requested.length > MAX_VIEWPORTS) {
+    throw new Error(`at most ${MAX_VIEWPORTS} viewports are allowed per scan`);
+  }
+
+  const profiles = requested.map((entry, index) => {
+    if (typeof entry === 'string') {
+      const profile = VIEWPORT_PROFILES[entry];
+      if (!profile) {
+        throw new Error(`unknown viewport "${entry}" (built-in: ${Object.keys(VIEWPORT_PROFILES).join(', ')})`);
+      }
+      return profile;
+    }
+
+    const { name, width, height = 800 } = entry || {};
+    if (!name || !Number.isInteger(width) || width < 200 || width > 3840 || !Number.isInteger(height) || height < 200) {
+      throw new Error(`viewports[${index}] needs a name and integer width (200-3840) and height (>= 200)`);
+    }
+    return {
+      name,
+      width,
+      height,
+      deviceScaleFactor: entry.device_scale_factor || 1,
+      isMobile: !!entry.is_mobile,
+      hasTouch: !!entry.has_touch,
+      user_agent: entry.user_agent || null,
+      text_zoom: entry.text_zoom || null,
+      check_reflow: !!entry.check_reflow,
+      check_clipping: !!entry.check_clipping
+    };
+  });
+
+  const names = profiles.map(profile => profile.name);
+  if (new Set(names).size !== names.length) {
+    throw new Error('viewport names must be unique');
+  }
+  return profiles;
+}
+
+function toPuppeteerViewport(profile) {
+  return {
+    width: profile.width,
+    height: profile.height,
+    deviceScaleFactor: profile.deviceScaleFactor || 1,
+    isMobile: !!profile.isMobile,
+    hasTouch: !!profile.hasTouch
+  };
+}
+
+// Set viewport and user agent for a profile (before navigation)
+export async function applyViewportProfile(page, profile, defaultUserAgent) {
+  await page.setViewport(toPuppeteerViewport(profile));
+  await page.setUserAgent(profile.user_agent || defaultUserAgent);
+}
+
+// Switch an already loaded page to another profile. Mobile/touch emulation, user agent
+// and text zoom only fully take effect after a reload.
+export async function switchViewportProfile(page, from, to, { defaultUserAgent, timeoutMs }) {
+  await applyViewportProfile(page, to, defaultUserAgent);
+
+  const needsReload = !!from.isMobile !== !!to.isMobile ||
+    !!from.hasTouch !== !!to.hasTouch ||
+    (from.user_agent || null) !== (to.user_agent || null) ||
+    !!from.text_zoom;
+  if (needsReload) {
+    await page.reload({ waitUntil: 'networkidle2', timeout: timeoutMs });
+  } else {
+    // Give resize listeners and media queries a moment to settle
+    await new Promise(resolve => setTimeout(resolve, 300));
+  }
+}
+
+// Emulate text-only zoom by scaling every element's computed font size
+async function applyTextZoom(page, factor) {
+  await page.evaluate((zoom) => {
+    const elements = Array.from(document.querySelectorAll('body, body *'));
+    const sizes = elements.map(el => parseFloat(getComputedStyle(el).fontSize));
+    elements.forEach((el, i) => {
+      if (sizes[i]) el.style.setProperty('font-size', `${sizes[i] * zoom}px`, 'important');
+    });
+  }, factor);
+  await new Promise(resolve => setTimeout(resolve, 200));
+}
+
+// Find horizontal overflow and clipped text in the current layout
+async function measureLayout(page) {
+  await installPageHelpers(page);
+  return page.evaluate(() => {
+    const { cssPath, outerHtmlSnippet, isVisible } = window.__adaScanner;
+    const viewportWidth = document.documentElement.clientWidth;
+    // Content that WCAG 1.4.10 allows to scroll in two dimensions
+    const exempt = 'table, pre, code, canvas, video, iframe, map, svg, [role="toolbar"], [role="application"], [role="grid"]';
+    const limit = 20;
+
+    const overflowing = [];
+    const clipped = [];
+
+    for (const element of document.querySelectorAll('body *')) {
+      if (element.closest(exempt) || !isVisible(element)) continue;
+      const style = getComputedStyle(element);
+      if (style.position === 'fixed') continue;
+
+      // Skip visually-hidden (screen reader only) elements, which are clipped on purpose
+      const rect = element.getBoundingClientRect();
+      if (rect.width <= 2 || rect.height <= 2) continue;
+
+      const parentRect = element.parentElement?.getBoundingClientRect();
+      const overflows = rect.right > viewportWidth + 1 || rect.left < -1;
+      const parentOverflows = parentRect && (parentRect.right > viewportWidth + 1 || parentRect.left < -1);
+
+      // Report the outermost element that pushes past the viewport, not all its children
+      if (overflows && !parentOverflows && overflowing.length < limit) {
+        overflowing.push({
+          selector: cssPath(element),
+          html: outerHtmlSnippet(element),
+          data: { left: Math.round(rect.left), right: Math.round(rect.right), viewport_width: viewportWidth }
+        });
+      }
+
+      const hidesOverflow = ['hidden', 'clip'].includes(style.overflowX) || ['hidden', 'clip'].includes(style.overflowY);
+      const hasText = element.textContent.trim().length > 0;
+      if (hidesOverflow && hasText && clipped.length < limit &&
+          (element.scrollWidth > element.clientWidth + 1 || element.scrollHeight > element.clientHeight + 1)) {
+        clipped.push({
+          selector: cssPath(element),
+          html: outerHtmlSnippet(element),
+          data: {
+            scroll_width: element.scrollWidth,
+            client_width: element.clientWidth,
+            scroll_height: element.scrollHeight,
+            client_height: element.clientHeight
+          }
+        });
+      }
+    }
+
+    return {
+      horizontalScroll: document.documentElement.scrollWidth > viewportWidth + 1,
+      scrollWidth: document.documentElement.scrollWidth,
+      viewportWidth,
+      overflowing,
+      clipped
+    };
+  });
+}
+
+// Scanner-side layout violations for profiles that check reflow or text clipping.
+// With a `baseline` layout, only clipping that wasn't already there is reported.
+async function layoutViolations(page, profile, baseline) {
+  if (!profile.check_reflow && !profile.check_clipping) return [];
+  const layout = await measureLayout(page);
+  const violations = [];
+
+  if (baseline) {
+    const alreadyClipped = new Set(baseline.clipped.map(node => node.selector));
+    layout.clipped = layout.clipped.filter(node => !alreadyClipped.has(node.selector));
+  }
+
+  if (profile.check_reflow && layout.horizontalScroll) {
+    const nodes = layout.overflowing.length > 0
+      ? layout.overflowing
+      : [{ selector: 'html', html: '<html>', data: null }];
+    violations.push(createViolation({
+      id: 'reflow-horizontal-scroll',
+      impact: 'serious',
+      description: `Page scrolls horizontally at ${layout.viewportWidth} CSS px wide (content is ${layout.scrollWidth}px wide)`,
+      help: 'Content must reflow at 320 CSS pixels without two-dimensional scrolling',
+      helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html',
+      tags: ['wcag21aa', 'wcag1410'],
+      nodes: nodes.map(node => ({
+        ...node,
+        failureSummary: `Element extends beyond the ${layout.viewportWidth}px viewport and forces horizontal scrolling`
+      }))
+    }));
+  }
+
+  if (layout.clipped.length > 0) {
+    const reflow = !!profile.check_reflow;
+    violations.push(createViolation({
+      id: reflow ? 'reflow-clipped-content' : 'text-zoom-clipped-content',
+      impact: 'serious',
+      description: reflow
+        ? `Text is cut off at ${layout.viewportWidth} CSS px wide`
+        : `Text is cut off when text size is increased to ${Math.round((profile.text_zoom || 1) * 100)}%`,
+      help: reflow
+        ? 'Content must reflow at 320 CSS pixels without loss of content'
+        : 'Text must be resizable to 200% without loss of content',
+      helpUrl: reflow
+        ? 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html'
+        : 'https://www.w3.org/WAI/WCAG22/Understanding/resize-text.html',
+      tags: reflow ? ['wcag21aa', 'wcag1410'] : ['wcag2aa', 'wcag144'],
+      nodes: layout.clipped.map(node => ({
+        ...node,
+        failureSummary: 'Element hides overflowing text (overflow: hidden/clip) so part of its content is not visible'
+      }))
+    }));
+  }
+
+  return violations;
+}
+
+// Audit the page in its current profile: text zoom, axe run and layout checks.
+// `runAxe(page)` is the scanner's axe runner.
+export async function auditViewport(page, profile, runAxe) {
+  let baseline = null;
+  if (profile.text_zoom) {
+    if (profile.check_clipping) {
+      baseline = await measureLayout(page);
+    }
+    await applyTextZoom(page, profile.text_zoom);
+  }
+  const result = await runAxe(page);
+  const extra = await layoutViolations(page, profile, baseline);
+  return { ...result, violations: [...result.violations, ...extra] };
+}
+
+// Merge per-profile violation lists into one, recording on each violation and node
+// which viewports it appeared in. Order follows the first profile a rule appeared in.
+export function mergeViewportResults(perProfile) {
+  const merged = new Map();
+
+  for (const { profile, violations } of perProfile) {
+    for (const violation of violations) {
+      if (!merged.has(violation.id)) {
+        merged.set(violation.id, { ...violation, viewports: [], nodes: [], nodeIndex: new Map() });
+      }
+      const entry = merged.get(violation.id);
+      if (!entry.viewports.includes(profile)) entry.viewports.push(profile);
+
+      for (const node of violation.nodes) {
+        const key = JSON.stringify(node.target);
+        const existing = entry.nodeIndex.get(key);
+        if (existing) {
+          if (!existing.viewports.includes(profile)) existing.viewports.push(profile);
+        } else {
+          const mergedNode = { ...node, viewports: [profile] };
+          entry.nodeIndex.set(key, mergedNode);
+          entry.nodes.push(mergedNode);
+        }
+      }
+    }
+  }
+
+  return Array.from(merged.values()).map(({ nodeIndex, ...violation }) => violation);
+}
@@ -0,0 +1,93 @@
+// Helpers for turning raw axe-core results into violation records
+
+// axe targets are arrays: one entry per frame boundary (iframe chain), and an
+// entry that is itself an array crosses shadow roots. Render as a readable path.
+export function formatTarget(target) {
+  if (!Array.isArray(target) || target.length === 0) return 'N/A';
+  return target
+    .map(part => Array.isArray(part) ? part.join(' >>> ') : part)
+    .join(' | ');
+}
+
+function serializeCheck(check) {
+  return {
+    id: check.id,
+    impact: check.impact || null,
+    message: check.message,
+    data: check.data ?? null,
+    related_nodes: (check.relatedNodes || []).map(related => ({
+      target: related.target,
+      html: related.html
+    }))
+  };
+}
+
+// Keep everything a developer needs to find and fix one failing element
+export function serializeNode(node) {
+  return {
+    target: node.target,
+    selector: formatTarget(node.target),
+    html: node.html,
+    impact: node.impact || null,
+    failure_summary: node.failureSummary || null,
+    any: (node.any || []).map(serializeCheck),
+    all: (node.all || []).map(serializeCheck),
+    none: (node.none || []).map(serializeCheck),
+    ...(node.viewports && { viewports: node.viewports }),
+    ...(node.region && { region: node.region }),
+    ...(node.screenshot && { screenshot: node.screenshot })
+  };
+}
+
+function nodeKey(violation, node) {
+  return `${violation.page_url}|${violation.rule_id}|${node.selector}`;
+}
+
+// Drop nodes already reported for the same page and rule (e.g. a flow step re-auditing
+// a page the crawler already scanned). Adds the kept nodes to `reported`.
+export function withoutReportedNodes(violations, reported) {
+  return violations
+    .map(violation => {
+      const nodes = violation.nodes.filter(node => !reported.has(nodeKey(violation, node)));
+      return {
+        ...violation,
+        element_selector: nodes[0]?.selector || 'N/A',
+        html_snippet: nodes[0]?.html || null,
+        nodes_count: nodes.length,
+        nodes
+      };
+    })
+    .filter(violation => {
+      violation.nodes.forEach(node => reported.add(nodeKey(violation, node)));
+      return violation.nodes.length > 0;
+    });
+}
+
+// Keys for every node in a list of violations, for use with withoutReportedNodes
+export function reportedNodeKeys(violations) {
+  return new Set(violations.flatMap(violation => violation.nodes.map(node => nodeKey(violation, node))));
+}
+
+// Build an axe-shaped violation for the scanner's own checks (reflow, keyboard, ...) so it
+// goes through the same record pipeline as axe-core results.
+// `nodes` are `{ selector, html, failureSummary, data }`.
+export function createViolation({ id, impact, description, help, helpUrl, tags = [], nodes }) {
+  return {
+    id,
+    impact,
+    description,
+    help: help || description,
+    helpUrl,
+    tags,
+    source: 'scanner',
+    nodes: nodes.map(node => ({
+      target: [node.selector],
+      html: node.html,
+      impact,
+      failureSummary: node.failureSummary,
+      any: [{ id, impact, message: node.failureSummary, data: node.data ?? null, relatedNodes: [] }],
+      all: [],
+      none: []
+    }))
+  };
+}
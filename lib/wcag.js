@@ -0,0 +1,267 @@
+// WCAG success criteria: mapping axe tags to criteria, and the per-scan conformance
+// matrix (passed / failed / needs review / not applicable) behind VPAT/ACR documents.
+
+// [criterion, name, level, version introduced, version removed]
+const CRITERIA = [
+  ['1.1.1', 'Non-text Content', 'A', '2.0'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A', '2.0'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0'],
+  ['1.2.4', 'Captions (Live)', 'AA', '2.0'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0'],
+  ['1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.9', 'Audio-only (Live)', 'AAA', '2.0'],
+  ['1.3.1', 'Info and Relationships', 'A', '2.0'],
+  ['1.3.2', 'Meaningful Sequence', 'A', '2.0'],
+  ['1.3.3', 'Sensory Characteristics', 'A', '2.0'],
+  ['1.3.4', 'Orientation', 'AA', '2.1'],
+  ['1.3.5', 'Identify Input Purpose', 'AA', '2.1'],
+  ['1.3.6', 'Identify Purpose', 'AAA', '2.1'],
+  ['1.4.1', 'Use of Color', 'A', '2.0'],
+  ['1.4.2', 'Audio Control', 'A', '2.0'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA', '2.0'],
+  ['1.4.4', 'Resize Text', 'AA', '2.0'],
+  ['1.4.5', 'Images of Text', 'AA', '2.0'],
+  ['1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0'],
+  ['1.4.7', 'Low or No Background Audio', 'AAA', '2.0'],
+  ['1.4.8', 'Visual Presentation', 'AAA', '2.0'],
+  ['1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0'],
+  ['1.4.10', 'Reflow', 'AA', '2.1'],
+  ['1.4.11', 'Non-text Contrast', 'AA', '2.1'],
+  ['1.4.12', 'Text Spacing', 'AA', '2.1'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA', '2.1'],
+  ['2.1.1', 'Keyboard', 'A', '2.0'],
+  ['2.1.2', 'No Keyboard Trap', 'A', '2.0'],
+  ['2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0'],
+  ['2.1.4', 'Character Key Shortcuts', 'A', '2.1'],
+  ['2.2.1', 'Timing Adjustable', 'A', '2.0'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A', '2.0'],
+  ['2.2.3', 'No Timing', 'AAA', '2.0'],
+  ['2.2.4', 'Interruptions', 'AAA', '2.0'],
+  ['2.2.5', 'Re-authenticating', 'AAA', '2.0'],
+  ['2.2.6', 'Timeouts', 'AAA', '2.1'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0'],
+  ['2.3.2', 'Three Flashes', 'AAA', '2.0'],
+  ['2.3.3', 'Animation from Interactions', 'AAA', '2.1'],
+  ['2.4.1', 'Bypass Blocks', 'A', '2.0'],
+  ['2.4.2', 'Page Titled', 'A', '2.0'],
+  ['2.4.3', 'Focus Order', 'A', '2.0'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A', '2.0'],
+  ['2.4.5', 'Multiple Ways', 'AA', '2.0'],
+  ['2.4.6', 'Headings and Labels', 'AA', '2.0'],
+  ['2.4.7', 'Focus Visible', 'AA', '2.0'],
+  ['2.4.8', 'Location', 'AAA', '2.0'],
+  ['2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0'],
+  ['2.4.10', 'Section Headings', 'AAA', '2.0'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2'],
+  ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2'],
+  ['2.4.13', 'Focus Appearance', 'AAA', '2.2'],
+  ['2.5.1', 'Pointer Gestures', 'A', '2.1'],
+  ['2.5.2', 'Pointer Cancellation', 'A', '2.1'],
+  ['2.5.3', 'Label in Name', 'A', '2.1'],
+  ['2.5.4', 'Motion Actuation', 'A', '2.1'],
+  ['2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1'],
+  ['2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1'],
+  ['2.5.7', 'Dragging Movements', 'AA', '2.2'],
+  ['2.5.8', 'Target Size (Minimum)', 'AA', '2.2'],
+  ['3.1.1', 'Language of Page', 'A', '2.0'],
+  ['3.1.2', 'Language of Parts', 'AA', '2.0'],
+  ['3.1.3', 'Unusual Words', 'AAA', '2.0'],
+  ['3.1.4', 'Abbreviations', 'AAA', '2.0'],
+  ['3.1.5', 'Reading Level', 'AAA', '2.0'],
+  ['3.1.6', 'Pronunciation', 'AAA', '2.0'],
+  ['3.2.1', 'On Focus', 'A', '2.0'],
+  ['3.2.2', 'On Input', 'A', '2.0'],
+  ['3.2.3', 'Consistent Navigation', 'AA', '2.0'],
+  ['3.2.4', 'Consistent Identification', 'AA', '2.0'],
+  ['3.2.5', 'Change on Request', 'AAA', '2.0'],
+  ['3.2.6', 'Consistent Help', 'A', '2.2'],
+  ['3.3.1', 'Error Identification', 'A', '2.0'],
+  ['3.3.2', 'Labels or Instructions', 'A', '2.0'],
+  ['3.3.3', 'Error Suggestion', 'AA', '2.0'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0'],
+  ['3.3.5', 'Help', 'AAA', '2.0'],
+  ['3.3.6', 'Error Prevention (All)', 'AAA', '2.0'],
+  ['3.3.7', 'Redundant Entry', 'A', '2.2'],
+  ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2'],
+  ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2'],
+  ['4.1.1', 'Parsing', 'A', '2.0', '2.2'],
+  ['4.1.2', 'Name, Role, Value', 'A', '2.0'],
+  ['4.1.3', 'Status Messages', 'AA', '2.1']
+];
+
+const PRINCIPLES = { 1: 'Perceivable', 2: 'Operable', 3: 'Understandable', 4: 'Robust' };
+const LEVEL_ORDER = ['A', 'AA', 'AAA'];
+const MAX_INCOMPLETE_PER_CRITERION = 50;
+
+export const WCAG_CRITERIA = CRITERIA.map(([id, name, level, introduced, removed]) => ({
+  id,
+  name,
+  level,
+  principle: PRINCIPLES[id[0]],
+  introduced,
+  removed: removed || null
+}));
+
+const CRITERIA_BY_ID = new Map(WCAG_CRITERIA.map(criterion => [criterion.id, criterion]));
+
+export function getCriterion(id) {
+  return CRITERIA_BY_ID.get(id) || null;
+}
+
+// Criteria in a WCAG version up to a conformance level, e.g. ('2.2', 'AA') -> all A and AA
+export function criteriaFor(version, level) {
+  const maxLevel = LEVEL_ORDER.indexOf(level);
+  return WCAG_CRITERIA.filter(criterion =>
+    criterion.introduced <= version &&
+    !(criterion.removed && criterion.removed <= version) &&
+    LEVEL_ORDER.indexOf(criterion.level) <= maxLevel
+  );
+}
+
+// axe encodes criteria as tags like "wcag111" (1.1.1) or "wcag1410" (1.4.10).
+// Level tags ("wcag2a", "wcag21aa") are ignored.
+export function criteriaFromTags(tags = []) {
+  const criteria = [];
+  for (const tag of tags) {
+    const match = /^wcag(\d)(\d)(\d{1,2})$/.exec(tag);
+    if (!match) continue;
+    const id = `${match[1]}.${match[2]}.${match[3]}`;
+    if (CRITERIA_BY_ID.has(id) && !criteria.includes(id)) criteria.push(id);
+  }
+  return criteria;
+}
+
+// Lowest (most fundamental) level among a rule's criteria, or null for best practices
+export function levelOfCriteria(criteria) {
+  const levels = criteria.map(id => CRITERIA_BY_ID.get(id).level);
+  return LEVEL_ORDER.find(level => levels.includes(level)) || null;
+}
+
+// Compact per-page record of what axe checked: which rules passed, need review or
+// didn't apply. Rule tags are kept once per rule in `tags`.
+export function summarizeRuleOutcomes(axeResult) {
+  const tags = {};
+  const ids = (results) => (results || []).map(rule => {
+    tags[rule.id] = rule.tags;
+    return rule.id;
+  });
+  return {
+    passes: ids(axeResult.passes),
+    inapplicable: ids(axeResult.inapplicable),
+    incomplete: (axeResult.incomplete || []).map(rule => {
+      tags[rule.id] = rule.tags;
+      return {
+        rule_id: rule.id,
+        impact: rule.impact || null,
+        help: rule.help,
+        nodes_count: rule.nodes.length
+      };
+    }),
+    tags
+  };
+}
+
+// WCAG references in AI findings look like "1.4.3", "2.5.8 Target Size" or "WCAG 1.1.1"
+function criteriaInText(text) {
+  return Array.from(new Set(String(text || '').match(/\b[1-4]\.\d{1,2}\.\d{1,2}\b/g) || []))
+    .filter(id => CRITERIA_BY_ID.has(id));
+}
+
+// Build the conformance matrix for `criteria` (see criteriaFor).
+// `pages` are `{ url, outcomes }` with outcomes from summarizeRuleOutcomes,
+// `violations` are violation records with `wcag_criteria`, and `aiPageAnalyses`
+// are `{ page_url, analysis }` entries from the AI page review.
+export function buildConformanceMatrix({ criteria, pages, violations, aiPageAnalyses = [] }) {
+  const entries = new Map(criteria.map(criterion => [criterion.id, {
+    criterion: criterion.id,
+    name: criterion.name,
+    level: criterion.level,
+    principle: criterion.principle,
+    status: null,
+    manual_only: false,
+    rules: { failed: [], needs_review: [], passed: [], not_applicable: [] },
+    pages: { failed: [], needs_review: [], passed: [] },
+    violation_ids: [],
+    incomplete: [],
+    incomplete_count: 0,
+    ai_findings: []
+  }]));
+
+  const addUnique = (list, value) => {
+    if (!list.includes(value)) list.push(value);
+  };
+
+  for (const violation of violations) {
+    for (const id of violation.wcag_criteria || []) {
+      const entry = entries.get(id);
+      if (!entry) continue;
+      addUnique(entry.rules.failed, violation.rule_id);
+      addUnique(entry.pages.failed, violation.page_url);
+      entry.violation_ids.push(violation.violation_id);
+    }
+  }
+
+  for (const { url, outcomes } of pages) {
+    if (!outcomes) continue;
+    const forRule = (ruleId, callback) => {
+      criteriaFromTags(outcomes.tags[ruleId]).forEach(id => {
+        const entry = entries.get(id);
+        if (entry) callback(entry);
+      });
+    };
+    outcomes.passes.forEach(ruleId => forRule(ruleId, entry => {
+      addUnique(entry.rules.passed, ruleId);
+      addUnique(entry.pages.passed, url);
+    }));
+    outcomes.inapplicable.forEach(ruleId => forRule(ruleId, entry => {
+      addUnique(entry.rules.not_applicable, ruleId);
+    }));
+    outcomes.incomplete.forEach(item => forRule(item.rule_id, entry => {
+      addUnique(entry.rules.needs_review, item.rule_id);
+      addUnique(entry.pages.needs_review, url);
+      entry.incomplete_count++;
+      if (entry.incomplete.length < MAX_INCOMPLETE_PER_CRITERION) {
+        entry.incomplete.push({ page_url: url, ...item });
+      }
+    }));
+  }
+
+  for (const { page_url, analysis } of aiPageAnalyses) {
+    const findings = [
+      ...(analysis?.visual_issues || []).map(issue => ({ type: issue.type, description: issue.description, wcag: issue.wcag })),
+      ...(analysis?.content_issues || []).map(issue => ({ type: issue.type, description: (issue.examples || []).join('; '), wcag: issue.wcag }))
+    ];
+    for (const finding of findings) {
+      criteriaInText(finding.wcag).forEach(id => {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entry.ai_findings.push({ page_url, type: finding.type, description: finding.description });
+        addUnique(entry.pages.needs_review, page_url);
+      });
+    }
+  }
+
+  const summary = { passed: 0, failed: 0, needs_review: 0, not_applicable: 0 };
+  for (const entry of entries.values()) {
+    const { rules } = entry;
+    if (rules.failed.length > 0) {
+      entry.status = 'failed';
+    } else if (rules.needs_review.length > 0 || entry.ai_findings.length > 0) {
+      entry.status = 'needs_review';
+    } else if (rules.passed.length > 0) {
+      entry.status = 'passed';
+    } else if (rules.not_applicable.length > 0) {
+      entry.status = 'not_applicable';
+    } else {
+      // Nothing automated covers this criterion; only a person can judge it
+      entry.status = 'needs_review';
+      entry.manual_only = true;
+    }
+    summary[entry.status]++;
+  }
+
+  return { summary, criteria: Array.from(entries.values()) };
+}
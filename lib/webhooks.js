@@ -0,0 +1,213 @@
+import { createHmac, randomUUID } from 'crypto';
+import path from 'path';
+import { safeSegment, readJson, writeJson, createKeyedLock } from './storage.js';
+
+// Webhook delivery: scan events are POSTed to the scan's `callback_url`, signed with
+// HMAC-SHA256, and retried with exponential backoff. Every attempt is recorded in a
+// per-scan delivery log on disk so it can be inspected after the job has expired.
+
+// Final events are always delivered; progress events only when asked for
+export const FINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+export const PROGRESS_EVENTS = ['started', 'page_scanned'];
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_RESPONSE_SNIPPET = 500;
+
+// Resolve the webhook fields of a scan request: `callback_url`, `callback_events` and
+// `callback_secret` (falls back to `defaultSecret`). Null when no callback is set.
+// Throws with a client-facing message.
+export function resolveWebhookOptions({ callback_url, callback_events, callback_secret } = {}, { defaultSecret } = {}) {
+  if (callback_url === undefined || callback_url === null) return null;
+
+  let url;
+  try {
+    url = new URL(callback_url);
+  } catch {
+    throw new Error('callback_url must be an absolute URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error('callback_url must use http or https');
+  }
+  if (url.username || url.password) {
+    throw new Error('callback_url must not contain credentials');
+  }
+
+  const events = callback_events ?? [];
+  if (!Array.isArray(events) || events.some(event => ![...PROGRESS_EVENTS, ...FINAL_EVENTS].includes(event))) {
+    throw new Error(`callback_events must be an array of: ${[...PROGRESS_EVENTS, ...FINAL_EVENTS].join(', ')}`);
+  }
+
+  const secret = callback_secret ?? defaultSecret;
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(callback_secret === undefined
+      ? 'callback_url requires a callback_secret (no default WEBHOOK_SECRET is configured)'
+      : `callback_secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  return {
+    url: url.toString(),
+    events: new Set([...FINAL_EVENTS, ...events]),
+    secret
+  };
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>". Receivers recompute it to verify
+// `X-ADA-Signature: sha256=<hex>` and reject stale timestamps to stop replays.
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Worth retrying: network errors, timeouts, rate limits and server errors
+function isRetryable(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// `dir` holds the delivery logs; `fetch` can be swapped for one that checks the target.
+export function createWebhookDispatcher({
+  dir,
+  maxAttempts = 6,
+  baseDelayMs = 5000,
+  timeoutMs = 10000,
+  userAgent = 'ADA-Scanner-Webhooks/1.0',
+  fetch: fetchImpl = fetch
+}) {
+  const withLock = createKeyedLock();
+  // Logs of scans with deliveries in progress, written through to disk after each attempt
+  const active = new Map();
+
+  function logFile(scanId) {
+    return path.join(dir, `${safeSegment(scanId)}.json`);
+  }
+
+  async function loadLog(scanId) {
+    if (active.has(scanId)) return active.get(scanId);
+    return readJson(logFile(scanId), null);
+  }
+
+  // Apply `change` to the scan's log and persist it
+  function updateLog(scanId, change) {
+    return withLock(scanId, async () => {
+      const log = (await loadLog(scanId)) || { scan_id: scanId, callback_url: null, deliveries: [] };
+      change(log);
+      active.set(scanId, log);
+      await writeJson(logFile(scanId), log);
+      return log;
+    });
+  }
+
+  async function send(options, delivery, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    try {
+      const response = await fetchImpl(options.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': userAgent,
+          'X-ADA-Event': delivery.event,
+          'X-ADA-Delivery': delivery.delivery_id,
+          'X-ADA-Timestamp': timestamp,
+          'X-ADA-Signature': `sha256=${signPayload(options.secret, timestamp, body)}`,
+          'Idempotency-Key': delivery.idempotency_key
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const text = await response.text().catch(() => '');
+      return {
+        status_code: response.status,
+        ok: response.status >= 200 && response.status < 300,
+        error: null,
+        response_body: text.slice(0, MAX_RESPONSE_SNIPPET),
+        duration_ms: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        status_code: null,
+        ok: false,
+        error: error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message,
+        response_body: null,
+        duration_ms: Date.now() - startedAt
+      };
+    }
+  }
+
+  async function run(scanId, options, delivery, body) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const outcome = await send(options, delivery, body);
+      const giveUp = outcome.ok || !isRetryable(outcome.status_code) || attempt === maxAttempts;
+      // Exponential backoff: the defaults retry after 5s, 10s, 20s, 40s and 80s
+      const delayMs = giveUp ? 0 : baseDelayMs * 2 ** (attempt - 1);
+
+      await updateLog(scanId, log => {
+        const entry = log.deliveries.find(d => d.delivery_id === delivery.delivery_id);
+        const { ok, ...recorded } = outcome;
+        entry.attempts.push({ attempt, attempted_at: new Date().toISOString(), ...recorded });
+        entry.status = outcome.ok ? 'delivered' : giveUp ? 'failed' : 'retrying';
+        entry.next_attempt_at = giveUp ? null : new Date(Date.now() + delayMs).toISOString();
+      });
+
+      if (outcome.ok) {
+        console.log(`[WEBHOOK] ${scanId} ${delivery.event} delivered (attempt ${attempt}, HTTP ${outcome.status_code})`);
+        return;
+      }
+      if (giveUp) {
+        console.error(`[WEBHOOK] ${scanId} ${delivery.event} failed after ${attempt} attempts: ${outcome.error || `HTTP ${outcome.status_code}`}`);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, delayMs).unref());
+    }
+  }
+
+  // Queue a delivery of `event` for a scan. `key` makes the idempotency key unique for
+  // events that happen more than once (e.g. the page number of page_scanned).
+  async function deliver(scanId, options, event, data, { customerId = null, key = null } = {}) {
+    if (!options.events.has(event)) return;
+
+    const delivery = {
+      delivery_id: randomUUID(),
+      event,
+      idempotency_key: [scanId, event, key].filter(part => part !== null).join(':'),
+      status: 'pending',
+      created_at: new Date().toISOString(),
+      next_attempt_at: null,
+      attempts: []
+    };
+    const body = JSON.stringify({
+      event,
+      scan_id: scanId,
+      customer_id: customerId,
+      delivery_id: delivery.delivery_id,
+      occurred_at: delivery.created_at,
+      data
+    });
+
+    try {
+      await updateLog(scanId, log => {
+        log.callback_url = options.url;
+        log.deliveries.push(delivery);
+      });
+      await run(scanId, options, delivery, body);
+    } catch (error) {
+      console.error(`[WEBHOOK] ${scanId} ${event} could not be recorded:`, error.message);
+    } finally {
+      forgetWhenIdle(scanId);
+    }
+  }
+
+  // Keep only logs with unfinished deliveries in memory
+  function forgetWhenIdle(scanId) {
+    const log = active.get(scanId);
+    if (log && log.deliveries.every(d => d.status === 'delivered' || d.status === 'failed')) {
+      active.delete(scanId);
+    }
+  }
+
+  // The delivery log of a scan, or null if it never had a callback
+  async function deliveries(scanId) {
+    return loadLog(scanId);
+  }
+
+  return { deliver, deliveries };
+}
@@ -1,737 +1,828 @@
 import express from 'express';
-import puppeteer from 'puppeteer';
-import Anthropic from '@anthropic-ai/sdk';
-import { readFileSync } from 'fs';
-import { createRequire } from 'module';
-
-// Load axe-core script from node_modules for injection into pages
-const require = createRequire(import.meta.url);
-const axeCorePath = require.resolve('axe-core/axe.min.js');
-const axeCoreScript = readFileSync(axeCorePath, 'utf-8');
+import path from 'path';
+import { createJobQueue, serializeJob, isTerminalStatus } from './lib/jobs.js';
+import { resolveScope, isSameSite } from './lib/scope.js';
+import { validateAuthSpec } from './lib/auth.js';
+import { validateFlows } from './lib/flows.js';
+import { resolveViewportProfiles } from './lib/viewports.js';
+import { resolveRuleConfig } from './lib/standards.js';
+import { createScanner, SCANNER_RULES } from './lib/scanner.js';
+import { createAiAnalyzer } from './lib/ai.js';
+import { createAiProviderFromEnv } from './lib/ai-providers.js';
+import { createAiCache } from './lib/ai-cache.js';
+import { createScanHistory } from './lib/history.js';
+import { createArtifactStore } from './lib/artifacts.js';
+import { createWebhookDispatcher, resolveWebhookOptions } from './lib/webhooks.js';
+import { rescoreResult, SCORING_VERSIONS } from './lib/scoring.js';
+import { loadApiKeys, presentedApiKey, canAccessCustomer, createScanOwners } from './lib/api-keys.js';
+import { pageLimitFor, aiLevelFor } from './lib/plans.js';
+import { createTargetGuard } from './lib/targets.js';
+import { createUsageStore, createRateLimiter, secondsUntilQuotaReset } from './lib/usage.js';
+import { REPORT_FORMATS, renderReport, resolveBranding } from './lib/reports/index.js';
+import {
+  createMonitorStore,
+  createMonitorScheduler,
+  validateMonitorFields,
+  serializeMonitor,
+  scheduleNext
+} from './lib/monitors.js';
+import { createEmailOutbox } from './lib/outbox.js';
 
 const app = express();
 app.use(express.json());
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// AI provider (AI_PROVIDER: anthropic by default, or mock for offline testing). Without
+// ANTHROPIC_API_KEY, or with an invalid AI configuration, scans run without AI, whatever the plan.
+let aiProvider = null;
+try {
+  aiProvider = createAiProviderFromEnv();
+  console.log(aiProvider ? `[AI] Provider ${aiProvider.name} (${aiProvider.model})` : '[AI] No API key configured; AI analysis disabled');
+} catch (error) {
+  console.error(`[AI] Invalid AI configuration: ${error.message}; AI analysis disabled`);
+}
 
-// AI Prompts - Concise but complete versions
-const VIOLATION_EXPLANATION_PROMPT = `Explain this accessibility violation to a non-technical website owner:
+// Violation explanations are reused across scans for the same rule and markup
+const aiCache = process.env.AI_CACHE === 'off' ? null : createAiCache({
+  dir: process.env.AI_CACHE_DIR || path.join(process.cwd(), 'data', 'ai-cache'),
+  ttlMs: parseInt(process.env.AI_CACHE_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000
+});
 
-Rule: {rule_id}
-Impact: {impact}
-Description: {description}
-Affected element: {html_snippet}
-Selector: {target}
+// Only public hosts can be scanned or called back, apart from allowlisted staging hosts
+// (TARGET_ALLOW_HOSTS, e.g. "staging.example.com,*.preview.example.com") and address
+// ranges (TARGET_ALLOW_CIDRS, e.g. "10.20.0.0/16")
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const targetGuard = createTargetGuard({
+  allowHosts: splitList(process.env.TARGET_ALLOW_HOSTS),
+  allowCidrs: splitList(process.env.TARGET_ALLOW_CIDRS)
+});
 
-Return JSON only:
-{
-  "explanation": "What this means in plain English",
-  "impact_on_users": "How this affects people with disabilities",
-  "fix_steps": "Numbered steps to fix this specific element",
-  "code_before": "Current problematic code",
-  "code_after": "Corrected code",
-  "estimated_time": "realistic time estimate"
-}
+// Completed scans, diffed per customer and site. Cloud Run's disk is per instance and
+// lost on redeploy, so point SCAN_HISTORY_DIR at a mounted volume to keep history.
+const scanHistory = createScanHistory({
+  dir: process.env.SCAN_HISTORY_DIR || path.join(process.cwd(), 'data', 'history')
+});
 
-Be specific to THIS element. Include actual values (colors, sizes, text) from the HTML provided.`;
+// Screenshot evidence, served by GET /api/scan/:scan_id/screenshots/:name.
+// Like history, set SCAN_ARTIFACTS_DIR to a mounted volume to keep it across deploys.
+const artifactStore = createArtifactStore({
+  dir: process.env.SCAN_ARTIFACTS_DIR || path.join(process.cwd(), 'data', 'artifacts'),
+  urlFor: (scanId, name) => `/api/scan/${encodeURIComponent(scanId)}/screenshots/${name}`
+});
 
-const PAGE_ANALYSIS_PROMPT = `Analyze this screenshot and structured data for accessibility issues that automated tools cannot detect.
+const scanner = createScanner({
+  ai: aiProvider ? createAiAnalyzer({ provider: aiProvider, cache: aiCache }) : null,
+  history: scanHistory,
+  artifactStore,
+  targetGuard
+});
 
-Automated testing already checked: links, images, contrast, forms, ARIA, headings, landmarks, keyboard access, page structure.
+// Signed POSTs of scan events to a scan's callback_url, with a delivery log per scan
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const webhooks = createWebhookDispatcher({
+  fetch: targetGuard.fetch,
+  dir: process.env.WEBHOOK_LOG_DIR || path.join(process.cwd(), 'data', 'webhooks'),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10)
+});
 
-You must check ONLY:
-1. Visual (screenshot): Touch targets <44px, focus indicators, text-in-images, layout issues
-2. Content (data): Reading level >Grade 8, placeholder-only labels, generic link text, unclear error messages, sensory-dependent instructions
+// Translate job events into webhook events for scans with a callback_url
+function dispatchWebhooks(job, event, data) {
+  const options = resolveWebhookOptions(job.params, { defaultSecret: WEBHOOK_SECRET });
+  if (!options) return;
 
-Use provided data: textContent (reading level), formElements.hasPlaceholderOnly, interactiveElements.isGeneric, errorElements, sensoryInstructions.
+  const send = (webhookEvent, payload, key) => webhooks.deliver(job.scan_id, options, webhookEvent, payload, {
+    customerId: job.params.customer_id || null,
+    key
+  });
 
-Return JSON only:
-{
-  "summary": "1-2 sentence overview",
-  "visual_issues": [{"type": "touch_target|focus_indicator|text_in_image|layout", "description": "specific issue with location", "wcag": "criterion", "fix": "code example"}],
-  "content_issues": [{"type": "reading_level|placeholder|generic_links|error_messages|sensory", "examples": ["exact quotes"], "wcag": "criterion", "fix": "before/after"}],
-  "priority_fixes": [{"rank": 1, "issue": "brief", "impact": "critical|serious|moderate|minor", "fix": "specific solution", "time": "estimate"}]
+  if (event === 'started') {
+    send('started', { started_at: data.started_at });
+  } else if (event === 'progress' && data.phase === 'crawling' && data.current_url) {
+    send('page_scanned', {
+      page_url: data.current_url,
+      pages_scanned: data.pages_scanned,
+      page_limit: data.page_limit,
+      violations_found: data.violations_found
+    }, data.pages_scanned);
+  } else if (event === 'completed') {
+    send('completed', data.result);
+  } else if (event === 'failed') {
+    send('failed', { error: data.error, result: data.result });
+  } else if (event === 'cancelled') {
+    send('cancelled', { finished_at: data.finished_at });
+  }
 }
 
-Be specific. Use exact locations and values from the data.`;
+// API keys map callers to customers and plans; the plan sets every limit
+const apiKeys = loadApiKeys({
+  json: process.env.API_KEYS,
+  file: process.env.API_KEYS_FILE || path.join(process.cwd(), 'config', 'api-keys.json')
+});
+console.log(`[AUTH] ${apiKeys.size} API keys loaded`);
 
-// Function to explain violations using AI
-async function explainViolations(violations) {
-  if (!violations || violations.length === 0) return [];
+const scanOwners = createScanOwners({
+  dir: process.env.SCAN_OWNERS_DIR || path.join(process.cwd(), 'data', 'scan-owners')
+});
+const usage = createUsageStore({
+  dir: process.env.USAGE_DIR || path.join(process.cwd(), 'data', 'usage')
+});
+const rateLimiter = createRateLimiter();
+
+// Count finished scans against the API key that started them
+function recordUsage(job, event, data) {
+  const keyId = job.params.api_key_id;
+  if (!keyId || !isTerminalStatus(event)) return;
+
+  const result = data.result || {};
+  const counts = {
+    [`scans_${event}`]: 1,
+    pages_scanned: result.pages_scanned || 0,
+    violations_found: result.total_violations || 0,
+    ai_pages_analyzed: result.important_pages_analyzed || 0
+  };
+  usage.record(keyId, counts).catch(error => {
+    console.error(`[USAGE] Failed to record ${job.scan_id} for ${keyId}:`, error.message);
+  });
+}
 
-  try {
-    // Group violations by rule_id to reduce API calls
-    const violationsByRule = {};
-    violations.forEach(v => {
-      if (!violationsByRule[v.rule_id]) {
-        violationsByRule[v.rule_id] = [];
-      }
-      violationsByRule[v.rule_id].push(v);
-    });
+// Limit concurrent scans per instance - each one drives its own Chromium
+const MAX_CONCURRENT_SCANS = parseInt(process.env.MAX_CONCURRENT_SCANS || '2', 10);
+const scanQueue = createJobQueue({
+  concurrency: MAX_CONCURRENT_SCANS,
+  worker: scanner.runScan,
+  onEvent: (job, event, data) => {
+    dispatchWebhooks(job, event, data);
+    recordUsage(job, event, data);
+    if (isTerminalStatus(event)) {
+      monitorScheduler.handleJobEvent(job, event, data).catch(error => {
+        console.error(`[MONITOR] Failed to record ${job.scan_id}:`, error.message);
+      });
+    }
+  }
+});
 
-    console.log(`[AI EXPLAIN] Processing ${Object.keys(violationsByRule).length} violation types`);
+// Scheduled monitoring for plans that include it. Like history, MONITORS_DIR should be a
+// mounted volume so schedules and claimed runs survive redeploys.
+const monitors = createMonitorStore({
+  dir: process.env.MONITORS_DIR || path.join(process.cwd(), 'data', 'monitors')
+});
+const emailOutbox = createEmailOutbox({
+  dir: process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'data', 'outbox')
+});
+const MONITOR_SCHEDULER = process.env.MONITOR_SCHEDULER || 'interval';
+if (!['interval', 'external', 'off'].includes(MONITOR_SCHEDULER)) {
+  console.error(`[MONITOR] MONITOR_SCHEDULER must be one of: interval, external, off (got "${MONITOR_SCHEDULER}")`);
+  process.exit(1);
+}
+// Whole-number monitor settings, checked at startup like MONITOR_SCHEDULER
+function monitorSetting(name, fallback, min) {
+  const raw = process.env[name] ?? String(fallback);
+  if (!/^\d+$/.test(raw.trim()) || Number(raw) < min) {
+    console.error(`[MONITOR] ${name} must be a whole number of at least ${min} (got "${raw}")`);
+    process.exit(1);
+  }
+  return Number(raw);
+}
+const MONITOR_JITTER_MS = monitorSetting('MONITOR_JITTER_MINUTES', 15, 0) * 60 * 1000;
+const MONITOR_MAX_CONCURRENT = monitorSetting('MONITOR_MAX_CONCURRENT', 1, 1);
+
+// Queue a monitor's scheduled scan under the API key that created it, with that key's
+// plan limits and daily quota. Monitor scans don't use AI analysis.
+async function startMonitorScan(monitor, scanId) {
+  const apiKey = apiKeys.get(monitor.api_key_id);
+  if (!apiKey || apiKey.disabled || !canAccessCustomer(apiKey, monitor.customer_id)) {
+    return { status: 'skipped', reason: 'api_key_unavailable' };
+  }
+  const { limits } = apiKey;
+  if (!limits.monitors) {
+    return { status: 'skipped', reason: 'plan_excludes_monitoring' };
+  }
+  if (scanQueue.countActive(params => params.api_key_id === apiKey.id) >= limits.concurrent_scans) {
+    return { status: 'deferred' };
+  }
+  if (!(await scanOwners.claim(scanId, monitor.customer_id))) {
+    return { status: 'skipped', reason: 'scan_id_conflict' };
+  }
+  const quota = await usage.reserveScan(apiKey.id, limits.scans_per_day);
+  if (!quota.allowed) {
+    return { status: 'skipped', reason: 'daily_quota_reached' };
+  }
+  // Checked again with no await before enqueue, as in POST /api/scan
+  if (scanQueue.countActive(params => params.api_key_id === apiKey.id) >= limits.concurrent_scans) {
+    await usage.releaseScan(apiKey.id).catch(() => {});
+    return { status: 'deferred' };
+  }
 
-    // Process each violation type with AI
-    const explanationPromises = Object.entries(violationsByRule).map(async ([ruleId, ruleViolations]) => {
-      try {
-        const firstViolation = ruleViolations[0];
-
-        // Build prompt with specific violation data
-        const prompt = VIOLATION_EXPLANATION_PROMPT
-          .replace('{rule_id}', firstViolation.rule_id)
-          .replace('{impact}', firstViolation.impact)
-          .replace('{description}', firstViolation.description)
-          .replace('{html_snippet}', 'Element at selector: ' + firstViolation.element_selector)
-          .replace('{target}', firstViolation.element_selector);
-
-        const message = await anthropic.messages.create({
-          model: "claude-haiku-4-5-20251001",
-          max_tokens: 1024,
-          temperature: 0,
-          messages: [{
-            role: "user",
-            content: prompt
-          }]
-        });
-
-        const responseText = message.content[0].text;
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-
-        if (jsonMatch) {
-          const explanation = JSON.parse(jsonMatch[0]);
-          return { ruleId, explanation };
-        }
-
-        return { ruleId, explanation: null };
-      } catch (error) {
-        console.error(`[AI EXPLAIN] Error explaining ${ruleId}:`, error.message);
-        return { ruleId, explanation: null };
-      }
-    });
+  const job = scanQueue.enqueue(scanId, {
+    website_url: monitor.website_url,
+    scan_id: scanId,
+    customer_id: monitor.customer_id,
+    plan: apiKey.plan,
+    max_pages: pageLimitFor(limits, monitor.max_pages),
+    ai_level: 'none',
+    ...(monitor.standard && { standard: monitor.standard }),
+    api_key_id: apiKey.id,
+    monitor_id: monitor.monitor_id
+  });
+  if (!job) {
+    await usage.releaseScan(apiKey.id).catch(() => {});
+    return { status: 'skipped', reason: 'already_running' };
+  }
+  return { status: 'queued' };
+}
 
-    // Wait for all explanations with staggered delays to avoid rate limits
-    const explanations = [];
-    for (let i = 0; i < explanationPromises.length; i++) {
-      if (i > 0) {
-        // Add 500ms delay between API calls to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-      explanations.push(await explanationPromises[i]);
+// Send a monitor alert to its callback_url (as an `alert` webhook) and/or its email outbox
+async function sendMonitorAlert(monitor, alert, run) {
+  const payload = {
+    monitor_id: monitor.monitor_id,
+    website_url: monitor.website_url,
+    scan_id: run.scan_id,
+    reasons: alert.reasons,
+    score: run.score,
+    previous_score: alert.previous_score,
+    score_change: alert.score_change,
+    previous_scan_id: alert.previous_scan_id,
+    new_high_impact_count: run.new_high_impact_count,
+    new_violations: run.new_high_impact
+  };
+
+  if (monitor.alert.callback_url) {
+    try {
+      const options = resolveWebhookOptions(monitor.alert, { defaultSecret: WEBHOOK_SECRET });
+      webhooks.deliver(run.scan_id, { ...options, events: new Set(['alert']) }, 'alert', payload, {
+        customerId: monitor.customer_id,
+        key: monitor.monitor_id
+      });
+    } catch (error) {
+      console.error(`[MONITOR] ${monitor.monitor_id}: alert webhook not sent:`, error.message);
     }
+  }
 
-    // Map explanations back to violations
-    const explanationMap = {};
-    explanations.forEach(({ ruleId, explanation }) => {
-      if (explanation) {
-        explanationMap[ruleId] = explanation;
-      }
+  if (monitor.alert.email) {
+    const lines = [
+      `Accessibility monitoring for ${monitor.website_url} found a problem in scan ${run.scan_id}:`,
+      '',
+      ...alert.reasons.map(reason => `- ${reason}`),
+      '',
+      `Score: ${run.score} (previously ${alert.previous_score})`,
+      ...(run.new_high_impact.length > 0 ? ['', 'New critical and serious violations:'] : []),
+      ...run.new_high_impact.map(v => `- [${v.impact}] ${v.description} (${v.page_url})`)
+    ];
+    await emailOutbox.add(`${run.scan_id}-alert`, {
+      to: monitor.alert.email,
+      subject: `Accessibility alert for ${monitor.website_url}`,
+      text: lines.join('\n'),
+      monitor_id: monitor.monitor_id,
+      customer_id: monitor.customer_id,
+      scan_id: run.scan_id,
+      alert: payload
     });
+  }
+}
 
-    // Add explanations to each violation
-    return violations.map(v => ({
-      ...v,
-      ai_explanation: explanationMap[v.rule_id] || null
-    }));
+const monitorScheduler = createMonitorScheduler({
+  store: monitors,
+  startScan: startMonitorScan,
+  isScanActive: (scanId) => {
+    const job = scanQueue.get(scanId);
+    return Boolean(job) && !isTerminalStatus(job.status);
+  },
+  onAlert: sendMonitorAlert,
+  jitterMs: MONITOR_JITTER_MS,
+  maxConcurrent: MONITOR_MAX_CONCURRENT
+});
 
-  } catch (error) {
-    console.error('[AI EXPLAIN] Fatal error:', error);
-    return violations; // Return original violations without explanations
+// Every /api route needs an API key, and each key gets a per-minute request budget
+app.use('/api', (req, res, next) => {
+  const apiKey = apiKeys.lookup(presentedApiKey(req));
+  if (!apiKey || apiKey.disabled) {
+    return res.status(401).json({ success: false, error: 'A valid API key is required (Authorization: Bearer <key>)' });
   }
-}
 
-// Function to run Advanced AI page analysis
-async function runAdvancedAIAnalysis(screenshot, accessibilityData) {
-  try {
-    const formattedData = `
-COMPLETE PAGE TEXT (for reading level analysis):
-${accessibilityData.textContent.substring(0, 10000)}
-
-STATISTICS:
-- Total forms: ${accessibilityData.stats.totalForms}
-- Total buttons: ${accessibilityData.stats.totalButtons}
-- Total links: ${accessibilityData.stats.totalLinks}
-- Inputs with placeholder-only labels: ${accessibilityData.stats.hasPlaceholderOnlyInputs}
-
-FORM ELEMENTS (ALL ${accessibilityData.formElements.length} inputs captured):
-${JSON.stringify(accessibilityData.formElements, null, 2)}
-
-INTERACTIVE ELEMENTS (first 30 of ${accessibilityData.interactiveElements.length}):
-${JSON.stringify(accessibilityData.interactiveElements.slice(0, 30), null, 2)}
-
-ERROR/VALIDATION ELEMENTS:
-${JSON.stringify(accessibilityData.errorElements, null, 2)}
-
-POTENTIAL SENSORY INSTRUCTIONS:
-${JSON.stringify(accessibilityData.sensoryInstructions, null, 2)}
-`;
-
-    const message = await anthropic.messages.create({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 2048,
-      temperature: 0,
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "image",
-              source: {
-                type: "base64",
-                media_type: "image/png",
-                data: screenshot
-              }
-            },
-            {
-              type: "text",
-              text: `${PAGE_ANALYSIS_PROMPT}\n\n${formattedData}`
-            }
-          ]
-        }
-      ]
+  const rate = rateLimiter.hit(apiKey.id, apiKey.limits.requests_per_minute);
+  res.set({
+    'X-RateLimit-Limit': String(rate.limit),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rate.reset_at / 1000))
+  });
+  if (!rate.allowed) {
+    const retryAfter = Math.max(1, Math.ceil((rate.reset_at - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: `Rate limit of ${rate.limit} requests per minute exceeded`,
+      retry_after_seconds: retryAfter
     });
+  }
 
-    const responseText = message.content[0].text;
+  req.apiKey = apiKey;
+  return next();
+});
 
-    // Extract JSON from response (handle markdown code fences)
-    let jsonText = responseText;
+// Customer routes answer only that customer's keys (and admin keys)
+app.param('customer_id', (req, res, next, customerId) => {
+  if (!canAccessCustomer(req.apiKey, customerId)) {
+    return res.status(403).json({ success: false, error: 'This API key cannot access that customer' });
+  }
+  return next();
+});
 
-    if (jsonText.includes('```json')) {
-      const jsonMatch = jsonText.match(/```json\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[1];
+// Scan routes answer only the customer that started the scan. Routes under a customer
+// are already checked above, and read from that customer's own history.
+app.param('scan_id', (req, res, next, scanId) => {
+  if (req.params.customer_id !== undefined) return next();
+  scanOwners.owner(scanId)
+    .then(owner => {
+      const allowed = owner ? canAccessCustomer(req.apiKey, owner.customer_id) : req.apiKey.role === 'admin';
+      if (!allowed) {
+        return res.status(404).json({ success: false, error: 'Scan not found' });
       }
-    } else if (jsonText.includes('```')) {
-      const codeMatch = jsonText.match(/```\s*([\s\S]*?)\s*```/);
-      if (codeMatch) {
-        jsonText = codeMatch[1];
-      }
-    }
+      return next();
+    })
+    .catch(next);
+});
 
-    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
+function scanStatusBody(job) {
+  return {
+    success: true,
+    ...serializeJob(job),
+    queue_position: scanQueue.queuePosition(job.scan_id) || null
+  };
+}
+
+// Enqueue a scan and return immediately; poll GET /api/scan/:scan_id or stream /events
+app.post('/api/scan', async (req, res) => {
+  const { website_url, scan_id } = req.body;
+  const apiKey = req.apiKey;
+
+  if (!website_url) {
+    return res.status(400).json({ success: false, error: 'website_url is required' });
+  }
+
+  if (!scan_id) {
+    return res.status(400).json({ success: false, error: 'scan_id is required' });
+  }
+
+  try {
+    const scope = resolveScope(req.body.scope, website_url);
+    validateAuthSpec(req.body.auth);
+    validateFlows(req.body.flows, url => isSameSite(url, scope));
+    resolveViewportProfiles(req.body.viewports);
+    resolveRuleConfig(req.body, { scannerRules: SCANNER_RULES });
+    const webhook = resolveWebhookOptions(req.body, { defaultSecret: WEBHOOK_SECRET });
+
+    // Resolve every URL the scan will open and refuse private or reserved targets
+    const targets = [
+      ['website_url', website_url],
+      ['auth.login.url', req.body.auth?.login?.url],
+      ...(req.body.flows || []).map((flow, index) => [`flows[${index}].url`, flow.url]),
+      ['callback_url', webhook?.url]
+    ];
+    for (const [field, url] of targets) {
+      if (!url) continue;
       try {
-        return JSON.parse(jsonMatch[0]);
-      } catch (parseError) {
-        console.error('[AI PAGE] JSON parse error:', parseError.message);
-        console.error('[AI PAGE] Attempted to parse:', jsonMatch[0].substring(0, 500));
-        return {
-          summary: 'AI analysis generated but could not be parsed.',
-          visual_issues: [],
-          content_issues: [],
-          _parseError: parseError.message
-        };
+        await targetGuard.check(url);
+      } catch (error) {
+        throw new Error(`${field}: ${error.message}`);
       }
     }
-    return { summary: responseText, visual_issues: [], content_issues: [] };
   } catch (error) {
-    console.error('[AI PAGE] Error:', error.message);
-    if (error.error) {
-      console.error('[AI PAGE] API error details:', error.error);
-    }
-    return null;
+    return res.status(400).json({ success: false, error: `Invalid scan options: ${error.message}` });
   }
-}
 
-// Aggregate AI analyses from multiple pages into structured summary
-function aggregateAIAnalyses(ai_page_analysis) {
-  if (!ai_page_analysis || !Array.isArray(ai_page_analysis) || ai_page_analysis.length === 0) {
-    return {
-      overall_summary: "No AI analysis available",
-      stats: { pages_analyzed: 0, total_issues: 0, total_priority_fixes: 0 },
-      page_analyses: [],
-      aggregated_priority_fixes: [],
-      // Backward compatibility
-      summary: "No AI analysis available",
-      priority_fixes: [],
-      visual_issues: [],
-      content_issues: []
-    };
-  }
-
-  const stats = {
-    pages_analyzed: ai_page_analysis.length,
-    total_issues: 0,
-    total_priority_fixes: 0
-  };
-
-  const allPriorityFixes = [];
-  const allVisualIssues = [];
-  const allContentIssues = [];
-
-  // Extract all issues from all pages
-  ai_page_analysis.forEach(pageData => {
-    const analysis = pageData.analysis;
-    if (!analysis) return;
+  // Customer keys always scan as their own customer; admin keys may scan for anyone
+  const customerId = apiKey.role === 'admin' ? req.body.customer_id || null : apiKey.customer_id;
+  if (req.body.customer_id && req.body.customer_id !== customerId) {
+    return res.status(403).json({ success: false, error: 'customer_id does not match this API key' });
+  }
 
-    const pageUrl = pageData.page_url;
+  const { limits } = apiKey;
+  const concurrencyExceeded = () => scanQueue.countActive(params => params.api_key_id === apiKey.id) >= limits.concurrent_scans;
+  const rejectConcurrency = () => {
+    res.set('Retry-After', '60');
+    return res.status(429).json({
+      success: false,
+      error: `Concurrent scan limit reached (${limits.concurrent_scans} for the ${apiKey.plan} plan)`,
+      retry_after_seconds: 60
+    });
+  };
+  if (concurrencyExceeded()) return rejectConcurrency();
 
-    // Add page_url to each item and collect
-    if (Array.isArray(analysis.priority_fixes)) {
-      analysis.priority_fixes.forEach(fix => {
-        allPriorityFixes.push({ ...fix, page_url: pageUrl });
-      });
-      stats.total_priority_fixes += analysis.priority_fixes.length;
+  try {
+    if (!(await scanOwners.claim(scan_id, customerId))) {
+      return res.status(409).json({ success: false, error: `scan_id ${scan_id} belongs to another customer` });
     }
 
-    if (Array.isArray(analysis.visual_issues)) {
-      analysis.visual_issues.forEach(issue => {
-        allVisualIssues.push({ ...issue, page_url: pageUrl });
+    const quota = await usage.reserveScan(apiKey.id, limits.scans_per_day);
+    if (!quota.allowed) {
+      const retryAfter = secondsUntilQuotaReset();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Daily scan quota reached (${limits.scans_per_day} for the ${apiKey.plan} plan)`,
+        retry_after_seconds: retryAfter
       });
     }
+  } catch (error) {
+    console.error(`[USAGE] Could not check quota for ${apiKey.id}:`, error.message);
+    return res.status(500).json({ success: false, error: 'Could not check scan quota' });
+  }
 
-    if (Array.isArray(analysis.content_issues)) {
-      analysis.content_issues.forEach(issue => {
-        allContentIssues.push({ ...issue, page_url: pageUrl });
-      });
-    }
+  // Plan-derived settings replace anything the body says about them
+  const params = {
+    ...req.body,
+    customer_id: customerId,
+    plan: apiKey.plan,
+    max_pages: pageLimitFor(limits, req.body.max_pages),
+    ai_level: aiLevelFor(limits, req.body.ai_level),
+    api_key_id: apiKey.id
+  };
+
+  // Checked again with no await before enqueue: parallel requests may have queued scans
+  // while this one waited on the owner and quota stores
+  if (concurrencyExceeded()) {
+    await usage.releaseScan(apiKey.id).catch(() => {});
+    return rejectConcurrency();
+  }
+  const job = scanQueue.enqueue(scan_id, params);
+  if (!job) {
+    await usage.releaseScan(apiKey.id).catch(() => {});
+    return res.status(409).json({ success: false, error: `Scan ${scan_id} is already queued or running` });
+  }
+  console.log(`[AUTH] ${apiKey.id} queued ${scan_id} (${apiKey.plan}: ${params.max_pages} pages, AI ${params.ai_level})`);
+
+  return res.status(202).json({
+    ...scanStatusBody(job),
+    status_url: `/api/scan/${encodeURIComponent(scan_id)}`,
+    events_url: `/api/scan/${encodeURIComponent(scan_id)}/events`
   });
+});
 
-  stats.total_issues = allPriorityFixes.length + allVisualIssues.length + allContentIssues.length;
+// Scan status, progress and (once completed) the full result
+app.get('/api/scan/:scan_id', (req, res) => {
+  const job = scanQueue.get(req.params.scan_id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Scan not found' });
+  }
+  return res.status(200).json(scanStatusBody(job));
+});
 
-  // Group similar fixes across pages
-  const fixGroups = new Map();
-  allPriorityFixes.forEach(fix => {
-    // Create a key based on issue text (first 100 chars normalized)
-    const issueKey = (fix.issue || '').toLowerCase().substring(0, 100).trim();
+// Server-Sent Events stream of scan progress; closes once the scan finishes
+app.get('/api/scan/:scan_id/events', (req, res) => {
+  const job = scanQueue.get(req.params.scan_id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Scan not found' });
+  }
 
-    if (!fixGroups.has(issueKey)) {
-      fixGroups.set(issueKey, {
-        ...fix,
-        pages_affected: [fix.page_url]
-      });
-    } else {
-      const existing = fixGroups.get(issueKey);
-      if (!existing.pages_affected.includes(fix.page_url)) {
-        existing.pages_affected.push(fix.page_url);
-      }
-    }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
 
-  // Convert to array and sort by impact, then by frequency
-  const impactOrder = { critical: 0, serious: 1, moderate: 2, minor: 3 };
-  const aggregated_priority_fixes = Array.from(fixGroups.values())
-    .sort((a, b) => {
-      const impactDiff = (impactOrder[a.impact] || 4) - (impactOrder[b.impact] || 4);
-      if (impactDiff !== 0) return impactDiff;
-      return b.pages_affected.length - a.pages_affected.length;
-    })
-    .map((fix, index) => ({
-      rank: index + 1,
-      ...fix
-    }));
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-  // Generate overall summary
-  const criticalCount = aggregated_priority_fixes.filter(f => f.impact === 'critical').length;
-  const overall_summary = `AI analyzed ${stats.pages_analyzed} page${stats.pages_analyzed !== 1 ? 's' : ''}, ` +
-    `found ${stats.total_issues} accessibility issue${stats.total_issues !== 1 ? 's' : ''} that automated testing cannot detect. ` +
-    (criticalCount > 0 ? `${criticalCount} critical issue${criticalCount !== 1 ? 's' : ''} require${criticalCount === 1 ? 's' : ''} immediate attention.` : '');
+  // Replay current state so late subscribers see where the scan is
+  send('status', { status: job.status, progress: job.progress });
+  if (isTerminalStatus(job.status)) {
+    send(job.status, serializeJob(job));
+    return res.end();
+  }
 
-  return {
-    overall_summary,
-    stats,
-    page_analyses: ai_page_analysis,
-    aggregated_priority_fixes,
-    // Backward compatibility fields
-    summary: overall_summary,
-    priority_fixes: aggregated_priority_fixes,
-    visual_issues: allVisualIssues,
-    content_issues: allContentIssues
-  };
-}
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
 
-// Extract structured accessibility data from page for AI analysis
-async function extractAccessibilityData(page) {
-  const data = await page.evaluate(() => {
-    // 1. Extract text content for reading level analysis (limited to first 50k chars)
-    const allText = (document.body.innerText || document.body.textContent).substring(0, 50000);
-
-    // 2. Extract form elements (inputs, textareas, selects)
-    const formElements = Array.from(document.querySelectorAll('input, textarea, select')).map(el => ({
-      type: el.type || el.tagName.toLowerCase(),
-      placeholder: el.placeholder || null,
-      label: el.labels?.[0]?.textContent || null,
-      ariaLabel: el.getAttribute('aria-label') || null,
-      ariaLabelledby: el.getAttribute('aria-labelledby') || null,
-      name: el.name || null,
-      required: el.required || false,
-      hasPlaceholderOnly: !!(el.placeholder && !el.labels?.length && !el.getAttribute('aria-label'))
-    }));
-
-    // 3. Extract buttons and links (for context analysis)
-    const interactiveElements = Array.from(document.querySelectorAll('button, a[href]')).map(el => ({
-      tag: el.tagName.toLowerCase(),
-      text: el.textContent?.trim() || null,
-      ariaLabel: el.getAttribute('aria-label') || null,
-      href: el.href || null,
-      isGeneric: ['click here', 'read more', 'learn more', 'click', 'here'].includes(
-        el.textContent?.trim().toLowerCase()
-      )
-    }));
-
-    // 4. Extract error/validation messages
-    const errorElements = Array.from(document.querySelectorAll(
-      '[role="alert"], [aria-invalid="true"], .error, .error-message, [aria-live="polite"], [aria-live="assertive"]'
-    )).map(el => ({
-      role: el.getAttribute('role'),
-      text: el.textContent?.trim(),
-      ariaLive: el.getAttribute('aria-live')
-    }));
-
-    // 5. Check for sensory-dependent instructions in visible text
-    const textNodes = [];
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
-    let node;
-    while (node = walker.nextNode()) {
-      const text = node.textContent.trim();
-      if (text && /\b(red|green|blue|left|right|above|below|top|bottom)\s+(button|link|icon|item)/i.test(text)) {
-        textNodes.push(text);
-      }
+  const unsubscribe = scanQueue.subscribe(job.scan_id, ({ event, data }) => {
+    send(event, data);
+    if (isTerminalStatus(event)) {
+      cleanup();
+      res.end();
     }
-
-    return {
-      textContent: allText,
-      formElements: formElements,
-      interactiveElements: interactiveElements,
-      errorElements: errorElements,
-      sensoryInstructions: textNodes,
-      stats: {
-        totalForms: formElements.length,
-        totalButtons: interactiveElements.filter(el => el.tag === 'button').length,
-        totalLinks: interactiveElements.filter(el => el.tag === 'a').length,
-        hasPlaceholderOnlyInputs: formElements.filter(el => el.hasPlaceholderOnly).length,
-        hasForms: formElements.length > 0
-      }
-    };
   });
 
-  return data;
-}
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
 
-// Normalize URL to prevent duplicate scanning of same page
-function normalizeUrl(urlString) {
-  try {
-    const url = new URL(urlString);
-    // Force HTTPS
-    url.protocol = 'https:';
-    // Remove trailing slash (except for root path)
-    if (url.pathname !== '/' && url.pathname.endsWith('/')) {
-      url.pathname = url.pathname.slice(0, -1);
-    }
-    // Remove default ports
-    url.port = '';
-    // Lowercase hostname
-    url.hostname = url.hostname.toLowerCase();
-    // Remove fragment
-    url.hash = '';
-    // Remove common tracking parameters
-    url.searchParams.delete('utm_source');
-    url.searchParams.delete('utm_medium');
-    url.searchParams.delete('utm_campaign');
-    url.searchParams.delete('ref');
-    return url.toString();
-  } catch {
-    return urlString; // Return original if parsing fails
+  req.on('close', cleanup);
+});
+
+// Cancel a queued or running scan
+app.delete('/api/scan/:scan_id', (req, res) => {
+  const job = scanQueue.get(req.params.scan_id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Scan not found' });
   }
-}
+  if (!scanQueue.cancel(job.scan_id)) {
+    return res.status(409).json({ success: false, error: `Scan already ${job.status}`, status: job.status });
+  }
+  return res.status(202).json(scanStatusBody(job));
+});
 
-app.post('/api/scan', async (req, res) => {
+// A customer's past scans, newest first (optionally for one website_url)
+app.get('/api/customers/:customer_id/scans', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
   try {
-    const { website_url, customer_id, scan_id, email, company_name, plan, max_pages } = req.body;
+    const { total, scans } = await scanHistory.list(req.params.customer_id, {
+      websiteUrl: req.query.website_url,
+      limit
+    });
+    return res.status(200).json({ success: true, customer_id: req.params.customer_id, total, scans });
+  } catch (error) {
+    console.error('[HISTORY] List failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not read scan history' });
+  }
+});
 
-    if (!website_url) {
-      return res.status(400).json({ success: false, error: 'website_url is required' });
-    }
+// Full stored result of a past scan, optionally re-scored with another scoring version
+app.get('/api/customers/:customer_id/scans/:scan_id', async (req, res) => {
+  const scoreVersion = req.query.score_version ? Number(req.query.score_version) : null;
+  if (scoreVersion !== null && !SCORING_VERSIONS.includes(scoreVersion)) {
+    return res.status(400).json({ success: false, error: `score_version must be one of: ${SCORING_VERSIONS.join(', ')}` });
+  }
 
-    if (!scan_id) {
-      return res.status(400).json({ success: false, error: 'scan_id is required' });
+  try {
+    const result = await scanHistory.get(req.params.customer_id, req.params.scan_id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Scan not found' });
     }
+    return res.status(200).json({ success: true, result: scoreVersion && result.success ? rescoreResult(result, scoreVersion) : result });
+  } catch (error) {
+    console.error('[HISTORY] Read failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not read scan history' });
+  }
+});
 
-    // Set page limit - default to 50, but allow override (e.g., 3 for free tier)
-    const pageLimit = max_pages && max_pages > 0 ? Math.min(max_pages, 50) : 50;
-
-    // Determine AI analysis level based on plan
-    const aiLevel = plan === 'free' ? 'none' :
-                    plan === 'guest' ? 'basic' : 'advanced'; // essentials and professional get advanced
-
-    const visited = new Set();
-    const toVisit = new Set([normalizeUrl(website_url)]);
-    const violations = [];
-    const startTime = Date.now();
-
-    // Track important pages for AI analysis
-    const importantPages = [];
-    const pageViolationCounts = new Map();
-
-    // Launch browser
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ]
-    });
-
-    async function getInternalLinks(page, baseUrl) {
-      // Extract base domain and normalize (remove www for comparison)
-      const url = new URL(baseUrl);
-      const baseHostname = url.hostname.replace(/^www\./, ''); // Remove www for comparison
-
-      const anchors = await page.$$eval('a[href]', (links, baseHost) => {
-        return links
-          .map(link => link.href)
-          .filter(href => {
-            try {
-              const linkUrl = new URL(href);
-              // Compare hostnames without www (handles www.site.com vs site.com)
-              const linkHostname = linkUrl.hostname.replace(/^www\./, '');
-              return linkHostname === baseHost;
-            } catch {
-              return false; // Invalid URL
-            }
-          });
-      }, baseHostname);
-
-      return anchors.map(url => url.split('#')[0]); // remove fragments
-    }
+// Render a completed scan result in the `format` query parameter and send it as a download
+async function sendReport(req, res, result) {
+  const format = (req.query.format || 'html').toLowerCase();
+  if (!REPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+  }
+  if (!result?.success) {
+    return res.status(409).json({ success: false, error: 'Reports are only available for completed scans' });
+  }
 
-    while (toVisit.size > 0 && visited.size < pageLimit) {
-      const currentUrl = Array.from(toVisit)[0];
-      toVisit.delete(currentUrl);
+  try {
+    const report = await renderReport(result, format, { branding: resolveBranding(req.query) });
+    console.log(`[REPORT] ${result.scan_id}: ${format} report rendered`);
+    res.set('Content-Type', report.contentType);
+    res.set('Content-Disposition', `attachment; filename="${report.filename}"`);
+    return res.status(200).send(report.body);
+  } catch (error) {
+    console.error(`[REPORT] Failed to render ${format} report for ${result.scan_id}:`, error.message);
+    return res.status(500).json({ success: false, error: 'Report rendering failed' });
+  }
+}
 
-      // URLs in toVisit are already normalized, but double-check
-      if (visited.has(currentUrl)) continue;
+// Report for a scan still held by the job queue
+app.get('/api/scan/:scan_id/report', async (req, res) => {
+  const job = scanQueue.get(req.params.scan_id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Scan not found' });
+  }
+  return sendReport(req, res, job.result);
+});
 
-      try {
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1280, height: 800 });
-        await page.goto(currentUrl, { waitUntil: "networkidle2", timeout: 30000 });
-
-        // Check if this is an important page for AI analysis
-        let isImportantPage = false;
-        let pageData = null;
-        let pageScreenshot = null;
-
-        // Always mark homepage as important
-        if (visited.size === 0) {
-          isImportantPage = true;
-        }
-
-        // Check if page has forms (important for accessibility)
-        if (aiLevel === 'advanced' && !isImportantPage) {
-          pageData = await extractAccessibilityData(page);
-          if (pageData.stats.hasForms) {
-            isImportantPage = true;
-          }
-        }
-
-        // Inject axe-core from local node_modules (WCAG 2.2 support)
-        await page.addScriptTag({ content: axeCoreScript });
-
-        // Run axe-core scan with WCAG 2.2 Level AA tags
-        const result = await page.evaluate(async () => {
-          return await axe.run({
-            runOnly: {
-              type: 'tag',
-              values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice']
-            }
-          });
-        });
-
-        const scanDate = new Date().toISOString();
-        const pageViolationCount = result.violations.length;
-        pageViolationCounts.set(currentUrl, pageViolationCount);
-
-        // Mark pages with high violation counts as important
-        if (aiLevel === 'advanced' && !isImportantPage && pageViolationCount >= 5) {
-          isImportantPage = true;
-        }
-
-        // Capture screenshot and data for important pages
-        if (aiLevel === 'advanced' && isImportantPage && importantPages.length < 10) {
-          if (!pageData) {
-            pageData = await extractAccessibilityData(page);
-          }
-          pageScreenshot = await page.screenshot({
-            encoding: 'base64',
-            fullPage: false
-          });
-
-          importantPages.push({
-            url: currentUrl,
-            screenshot: pageScreenshot,
-            data: pageData
-          });
-
-          console.log(`[AI PAGE] Marked as important: ${currentUrl} (forms: ${pageData.stats.hasForms}, violations: ${pageViolationCount})`);
-        }
-
-        // Extract violations
-        result.violations.forEach((v, i) => {
-          violations.push({
-            violation_id: `VIO_${scan_id.replace('SCAN_', '')}_${violations.length}`,
-            scan_id: scan_id,
-            customer_id,
-            page_url: currentUrl,
-            rule_id: v.id,
-            impact: v.impact || "unknown",
-            description: v.description,
-            element_selector: v.nodes[0]?.target?.[0] || "N/A",
-            help_url: v.helpUrl,
-            fixed_status: "open",
-            detected_date: scanDate,
-            fixed_date: null
-          });
-        });
-
-        // Get internal links for crawling
-        const internalLinks = await getInternalLinks(page, currentUrl);
-
-        console.log(`[SCAN] Visited: ${currentUrl}`);
-        console.log(`[SCAN] Violations: ${pageViolationCount}, Forms: ${pageData?.stats.hasForms || 'not checked'}`);
-        console.log(`[SCAN] Progress: ${visited.size}/${pageLimit} pages, ${toVisit.size} queued`);
-
-        internalLinks.forEach(link => {
-          const normalizedLink = normalizeUrl(link);
-          if (!visited.has(normalizedLink)) toVisit.add(normalizedLink);
-        });
-
-        visited.add(normalizeUrl(currentUrl));
-        await page.close();
+// Report for any stored scan
+app.get('/api/customers/:customer_id/scans/:scan_id/report', async (req, res) => {
+  let result;
+  try {
+    result = await scanHistory.get(req.params.customer_id, req.params.scan_id);
+  } catch (error) {
+    console.error('[HISTORY] Read failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not read scan history' });
+  }
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Scan not found' });
+  }
+  return sendReport(req, res, result);
+});
 
-      } catch (error) {
-        console.error(`Error scanning ${currentUrl}:`, error.message);
-      }
+// Webhook deliveries for a scan and every attempt made, including after the job expired
+app.get('/api/scan/:scan_id/webhooks', async (req, res) => {
+  try {
+    const log = await webhooks.deliveries(req.params.scan_id);
+    if (!log) {
+      return res.status(404).json({ success: false, error: 'No webhook deliveries for this scan' });
     }
+    return res.status(200).json({ success: true, ...log });
+  } catch (error) {
+    console.error(`[WEBHOOK] Failed to read deliveries for ${req.params.scan_id}:`, error.message);
+    return res.status(500).json({ success: false, error: 'Could not read webhook deliveries' });
+  }
+});
 
-    await browser.close();
-
-    // Run AI analysis based on plan
-    let ai_page_analysis = [];
-    let violationsWithExplanations = violations;
-
-    console.log(`[AI] Level: ${aiLevel}, Violations: ${violations.length}, Important pages: ${importantPages.length}`);
-
-    if (aiLevel === 'advanced') {
-      // Explain all violations
-      if (violations.length > 0) {
-        console.log('[AI] Generating violation explanations...');
-        violationsWithExplanations = await explainViolations(violations);
-        console.log('[AI] Violation explanations complete');
-      }
+// Element and annotated page screenshots captured with the `screenshots` option
+app.get('/api/scan/:scan_id/screenshots/:name', async (req, res) => {
+  try {
+    const image = await artifactStore.read(req.params.scan_id, req.params.name);
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Screenshot not found' });
+    }
+    res.type(req.params.name.endsWith('.jpg') ? 'image/jpeg' : 'image/png');
+    res.set('Cache-Control', 'private, max-age=86400');
+    return res.send(image);
+  } catch (error) {
+    console.error(`[SCREENSHOT] Failed to read ${req.params.name} for ${req.params.scan_id}:`, error.message);
+    return res.status(500).json({ success: false, error: 'Could not read screenshot' });
+  }
+});
 
-      // Analyze important pages
-      if (importantPages.length > 0) {
-        console.log(`[AI] Analyzing ${importantPages.length} important pages...`);
+// The calling key's plan limits and usage: today's counts against quota and daily history
+app.get('/api/usage', async (req, res) => {
+  const apiKey = req.apiKey;
+  const days = Math.min(Math.max(parseInt(req.query.days || '30', 10) || 30, 1), 90);
+  try {
+    const { today, days: history } = await usage.get(apiKey.id, { days });
+    return res.status(200).json({
+      success: true,
+      key_id: apiKey.id,
+      customer_id: apiKey.customer_id,
+      plan: apiKey.plan,
+      limits: apiKey.limits,
+      today,
+      scans_remaining_today: Math.max(0, apiKey.limits.scans_per_day - today.scans_started),
+      active_scans: scanQueue.countActive(params => params.api_key_id === apiKey.id),
+      days: history
+    });
+  } catch (error) {
+    console.error(`[USAGE] Failed to read usage for ${apiKey.id}:`, error.message);
+    return res.status(500).json({ success: false, error: 'Could not read usage' });
+  }
+});
 
-        for (let i = 0; i < importantPages.length; i++) {
-          const pageInfo = importantPages[i];
+// Monitor fields from a request body, with the same standard, target and webhook checks as a scan
+async function resolveMonitorRequest(body, { partial, currentAlert }) {
+  const fields = validateMonitorFields(body, { partial, currentAlert });
+  if (fields.standard !== undefined) {
+    resolveRuleConfig({ standard: fields.standard ?? undefined });
+  }
+  if (fields.alert?.callback_url) {
+    resolveWebhookOptions(fields.alert, { defaultSecret: WEBHOOK_SECRET });
+  }
+  const targets = [['website_url', fields.website_url], ['alert.callback_url', fields.alert?.callback_url]];
+  for (const [field, url] of targets) {
+    if (!url) continue;
+    try {
+      await targetGuard.check(url);
+    } catch (error) {
+      throw new Error(`${field}: ${error.message}`);
+    }
+  }
+  return fields;
+}
 
-          // Add delay between API calls to avoid rate limits
-          if (i > 0) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
+// A customer's monitor by id, or null (monitors of other customers are not found)
+async function findMonitor(req) {
+  const monitor = await monitors.get(req.params.monitor_id);
+  return monitor?.customer_id === req.params.customer_id ? monitor : null;
+}
 
-          const analysis = await runAdvancedAIAnalysis(pageInfo.screenshot, pageInfo.data);
+// Create a monitor that re-scans a site on a schedule and alerts when it gets worse
+app.post('/api/customers/:customer_id/monitors', async (req, res) => {
+  const apiKey = req.apiKey;
+  const { limits } = apiKey;
+  if (!limits.monitors) {
+    return res.status(403).json({ success: false, error: `The ${apiKey.plan} plan does not include scheduled monitoring` });
+  }
 
-          if (analysis) {
-            ai_page_analysis.push({
-              page_url: pageInfo.url,
-              analysis: analysis
-            });
-          }
-        }
+  let fields;
+  try {
+    fields = await resolveMonitorRequest(req.body, { partial: false });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Invalid monitor: ${error.message}` });
+  }
 
-        console.log(`[AI] Page analysis complete: ${ai_page_analysis.length} pages analyzed`);
-      }
-    } else if (aiLevel === 'basic' && violations.length > 0) {
-      // For basic tier (guest), just provide simple explanations
-      console.log('[AI] Generating basic violation explanations...');
-      violationsWithExplanations = await explainViolations(violations);
-      console.log('[AI] Basic explanations complete');
+  try {
+    const existing = await monitors.list(req.params.customer_id);
+    if (existing.length >= limits.monitors) {
+      return res.status(403).json({ success: false, error: `Monitor limit reached (${limits.monitors} for the ${apiKey.plan} plan)` });
     }
+    const monitor = await monitors.create(req.params.customer_id, apiKey.id, fields, { jitterMs: MONITOR_JITTER_MS });
+    console.log(`[MONITOR] ${apiKey.id} created ${monitor.monitor_id} (${monitor.cadence}) for ${monitor.website_url}`);
+    return res.status(201).json({ success: true, monitor: serializeMonitor(monitor) });
+  } catch (error) {
+    console.error('[MONITOR] Create failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not save monitor' });
+  }
+});
 
-    const scanDuration = Math.round((Date.now() - startTime) / 1000);
+// A customer's monitors with their schedule and latest run
+app.get('/api/customers/:customer_id/monitors', async (req, res) => {
+  try {
+    const list = await monitors.list(req.params.customer_id);
+    return res.status(200).json({
+      success: true,
+      customer_id: req.params.customer_id,
+      monitors: list.map(({ runs, ...monitor }) => serializeMonitor(monitor))
+    });
+  } catch (error) {
+    console.error('[MONITOR] List failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not read monitors' });
+  }
+});
 
-    // Check if any pages were actually scanned
-    if (visited.size === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Unable to access website',
-        error_details: 'The website could not be reached. Please check that the URL is correct and the website is accessible. Common issues: invalid domain, website is down, or website blocks automated scanning.',
-        website_url,
-        pages_scanned: 0,
-        scan_id,
-        customer_id,
-        email,
-        company_name,
-        plan
-      });
+// One monitor with its recent runs
+app.get('/api/customers/:customer_id/monitors/:monitor_id', async (req, res) => {
+  try {
+    const monitor = await findMonitor(req);
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
     }
+    return res.status(200).json({ success: true, monitor: serializeMonitor(monitor) });
+  } catch (error) {
+    console.error('[MONITOR] Read failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not read monitor' });
+  }
+});
 
-    const complianceScore = Math.max(0, 100 - violations.length * 5);
+// Change a monitor's site, cadence, page limit, standard, alert settings or pause it
+app.patch('/api/customers/:customer_id/monitors/:monitor_id', async (req, res) => {
+  let current;
+  try {
+    current = await findMonitor(req);
+  } catch (error) {
+    console.error('[MONITOR] Read failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not read monitor' });
+  }
+  if (!current) {
+    return res.status(404).json({ success: false, error: 'Monitor not found' });
+  }
 
-    // Convert visited Set to comma-separated string for Google Sheets storage
-    const scannedPageUrls = Array.from(visited).join(',');
+  let fields;
+  try {
+    fields = await resolveMonitorRequest(req.body, { partial: true, currentAlert: current.alert });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Invalid monitor: ${error.message}` });
+  }
 
-    return res.status(200).json({
-      violations: violationsWithExplanations,
-      complianceScore,
-      total_violations: violations.length,
-      critical_count: violations.filter(v => v.impact === "critical").length,
-      serious_count: violations.filter(v => v.impact === "serious").length,
-      moderate_count: violations.filter(v => v.impact === "moderate").length,
-      minor_count: violations.filter(v => v.impact === "minor").length,
-      pages_scanned: visited.size,
-      scanned_page_urls: scannedPageUrls,
-      max_pages: pageLimit,
-      scan_id: scan_id,
-      success: true,
-      customer_id,
-      email,
-      company_name,
-      website_url,
-      plan,
-      scan_date: new Date().toISOString(),
-      scan_duration_seconds: scanDuration,
-      status: "completed",
-      scanner_version: "axe-core 4.10.3 + puppeteer + Claude Haiku 4.5 (Cloud Run)",
-      scan_method: "Self-hosted Puppeteer + axe-core + Claude AI",
-      ai_analysis: aggregateAIAnalyses(ai_page_analysis),
-      ai_level: aiLevel,
-      important_pages_analyzed: importantPages.length
+  try {
+    const monitor = await monitors.update(req.params.monitor_id, m => {
+      const cadenceChanged = fields.cadence !== undefined && fields.cadence !== m.cadence;
+      const resumed = fields.enabled === true && !m.enabled;
+      Object.assign(m, fields, { updated_at: new Date().toISOString() });
+      // A new cadence restarts the schedule from the monitor's anchor; resuming skips missed runs
+      if (cadenceChanged) m.next_slot_at = m.anchor_at;
+      if (cadenceChanged || resumed) scheduleNext(m, { jitterMs: MONITOR_JITTER_MS });
     });
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    return res.status(200).json({ success: true, monitor: serializeMonitor(monitor) });
+  } catch (error) {
+    console.error('[MONITOR] Update failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not save monitor' });
+  }
+});
 
+// Delete a monitor. A run already in progress finishes but isn't recorded.
+app.delete('/api/customers/:customer_id/monitors/:monitor_id', async (req, res) => {
+  try {
+    if (!(await findMonitor(req)) || !(await monitors.remove(req.params.monitor_id))) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    console.log(`[MONITOR] ${req.apiKey.id} deleted ${req.params.monitor_id}`);
+    return res.status(200).json({ success: true, monitor_id: req.params.monitor_id, deleted: true });
   } catch (error) {
-    console.error('Scan error:', error);
-    return res.status(500).json({
-      violations: [],
-      complianceScore: 0,
-      total_violations: 0,
-      success: false,
-      error: error.message
-    });
+    console.error('[MONITOR] Delete failed:', error.message);
+    return res.status(500).json({ success: false, error: 'Could not delete monitor' });
+  }
+});
+
+// Run the monitor scheduler once: for an external trigger such as Cloud Scheduler, which
+// keeps firing while an instance's own timers may not (MONITOR_SCHEDULER=external)
+app.post('/api/monitors/tick', async (req, res) => {
+  if (req.apiKey.role !== 'admin') {
+    return res.status(403).json({ success: false, error: 'Only admin keys can run the monitor scheduler' });
+  }
+  if (MONITOR_SCHEDULER === 'off') {
+    return res.status(409).json({ success: false, error: 'Monitoring is turned off (MONITOR_SCHEDULER=off)' });
+  }
+  const result = await monitorScheduler.tick();
+  if (result.status === 'failed') {
+    return res.status(500).json({ success: false, error: 'Monitor scheduler tick failed' });
   }
+  return res.status(200).json({ success: true, ...result });
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', service: 'ada-scanner-cloud-run' });
+  res.status(200).json({ status: 'ok', service: 'ada-scanner-cloud-run', scans: scanQueue.stats() });
 });
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`ADA Scanner running on port ${PORT}`);
+
+  // `interval` runs the scheduler on this process's own timer; `external` leaves it to
+  // POST /api/monitors/tick
+  if (MONITOR_SCHEDULER === 'interval') {
+    monitorScheduler.start().catch(error => {
+      console.error('[MONITOR] Scheduler failed to start:', error.message);
+    });
+  }
 });